@@ -2,97 +2,248 @@
  * Zen Sand Garden
  * A meditative sand garden simulation with a rotating dual-sided blade
  * Features realistic sand physics with true conservation of mass
+ * Input and animation loop; the simulation lives in sand-garden.js and
+ * drawing in sand-renderer.js
  */
 
 (function () {
     'use strict';
 
-    // ==================== CONFIGURATION ====================
-    const CONFIG = {
-        // Sand appearance
-        sand: {
-            baseColor: { r: 245, g: 240, b: 230 },
-            shadowColor: { r: 160, g: 145, b: 125 },
-            highlightColor: { r: 255, g: 253, b: 250 },
-        },
-
-        // Garden dimensions
-        garden: {
-            padding: 20,
-            frameWidth: 12,
-            frameColor: '#2D2D2D'
-        },
+    // ==================== STATE ====================
+    let canvas, ctx;
+    let surface = null;        // Canvas drawn on here: the garden's own, or the overlay when a worker has it
+    let gardenRadius, centerX, centerY;
+    let host = null;           // SandHost running the live garden, here or in a worker
+    let garden = null;         // host.garden
+    let renderer = null;
+    let currentTool = 'dig';
+    let toolButtons = [];
+
+    // Every finger, pen or mouse button down on the garden, by pointerId
+    // (or KEYBOARD_ID / GAMEPAD_ID): { anchor, pending, pointerType, contact,
+    // sampled } where anchor is where its stroke has been applied up to,
+    // pending holds samples since then and sampled is set once samples are
+    // applied during the current display frame
+    const activePointers = new Map();
+
+    // Keyboard and gamepad steer a cursor of their own, drawn over the garden
+    const cursor = { x: 0, y: 0, shown: false, fast: false };
+    const heldKeys = new Set();       // Arrow keys down
+    let gamepadConnected = false;
+    let gamepadButtons = [];          // Buttons pressed at the last poll
+    let motionQuery = null;           // prefers-reduced-motion
+    let reducedMotion = false;
+
+    // The other tabs or devices tending this garden, with ?sync=
+    let sync = null;
+    let loop = null;
+    let unheardSeconds = 0;    // Garden time whose sand the hiss hasn't been given
+    let rotationSpeed = SandGarden.DEFAULTS.blade.baseRotationSpeed;
+    let speedSlider = null;
+    let patternSelect = null;
+    let patternName = SandGarden.DEFAULTS.waves.pattern;
+    let showMassAudit = false;
+    let resizeTimer = null;
+
+    // Session recording (the host records) and replay: not both at once
+    let recording = false;
+    let player = null;
+    let lastSession = null;
+    let sessionArrived = Promise.resolve();  // Settles when the host hands back a stopped session
+    let replayTool = null;     // Live tool to return to when replay ends
+    let updateWorker = null;   // A new service worker waiting to take over
+
+    // Undo steps are whole strokes: from the first finger down to the last up
+    const undo = SandHistory.createUndo();
+    const timeline = SandHistory.createTimeline();
+    let ownStrokes = null;     // Strokes drawn here in the undo step under way
+    let scrub = null;          // { index, garden } while the time-lapse is shown
+
+    // Strokes drawn since the garden was loaded, for sand table export
+    let drawnStrokes = [];
+    let ballPreview = null;    // { track, lengths, distance } while the ball path plays
+
+    // Tunable config, keyed like SandSettings.SCHEMA, and the panel inputs showing it
+    let settings = SandSettings.defaults();
+    const settingInputs = new Map();  // key -> { field, input }
+    let settingsSaveTimer = null;
+    let fastHour = SandThemes.DEFAULTS.fastStartHour;  // Clock of the 'fast' day cycle
+    let daylightWait = 0;                               // Seconds until the light is next moved
+
+    // ==================== INPUT SETTINGS ====================
+    const INPUT = {
+        referenceContact: 30,  // Contact diameter (CSS px) that digs at normal size
+        minContactSize: 0.5,
+        maxContactSize: 2,
+        penSize: 0.35,         // Pens draw fine lines
+        stoneTapMs: 300,       // A quick tap on a stone without dragging removes it
+        stoneDragSlop: 4,      // CSS px a stone press may wander before it counts as a drag
+        stoneMinRadius: 16,
+        stoneMaxRadius: 38
+    };
 
-        // Blade settings
-        blade: {
-            baseRotationSpeed: 0.003,
-            width: 8,
-            color: '#FAFAFA',
-            shadowColor: 'rgba(0, 0, 0, 0.15)',
-            centerRadius: 14,
-            pushStrength: 0.025  // Much slower healing - many passes needed
-        },
+    const RESIZE_DEBOUNCE_MS = 200;
 
-        // Wave pattern
-        waves: {
-            amplitude: 1.0,
-        },
-
-        // Interaction - only digging holes now
-        touch: {
-            radius: 35,
-            digStrength: 0.25,
-            duneSpreadRadius: 4,  // How far the displaced sand spreads
-            maxHeight: 6,
-            minHeight: -6
-        },
+    // ==================== KEYBOARD & GAMEPAD ====================
+    const CURSOR = {
+        speed: 240,            // CSS px per second, arrow key held or stick fully over
+        fastFactor: 3,         // With Shift held
+        deadZone: 0.2          // Stick travel that counts as centered
+    };
+    const KEYBOARD_ID = 'keyboard';
+    const GAMEPAD_ID = 'gamepad';
+    const CURSOR_KEYS = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+    // Buttons in the standard gamepad mapping
+    const GAMEPAD = { press: 0, previousTool: 4, nextTool: 5 };
+
+    // Blade speed across the slider, radians per second
+    const MIN_BLADE_SPEED = 0.06;
+    const MAX_BLADE_SPEED = 0.9;
+
+    // With reduced motion the blade turns slower and eases between speeds
+    const REDUCED_MOTION = {
+        maxBladeSpeed: 0.3,
+        bladeAcceleration: 0.1  // Radians per second, per second
+    };
 
-        // Simulation
-        simulation: {
-            gridResolution: 2,
-            normalRate: 0.92,
-            disturbanceThreshold: 0.3,  // Lower threshold = cleaner result
-            spreadRadius: 6
-        }
+    // ==================== PERSISTENCE SETTINGS ====================
+    const AUTOSAVE_KEY = 'autosave';
+    const SHARE_PREFIX = '#garden=';
+    const SHARE_STEP = 1 / 32;        // Quantization for share links
+    const MAX_SHARE_LENGTH = 8000;    // Characters of fragment we are willing to put in a link
+    const SESSION_KEY = 'session';
+    const SETTINGS_KEY = 'settings';
+    const SETTINGS_SAVE_MS = 500;     // Sliders fire continuously; save once they settle
+
+    // Moving the light reshades all the sand, so it moves in steps
+    const DAYLIGHT_STEP_SECONDS = { real: 30, fast: 0.5 };
+
+    // What Export produces, keyed by the format picker's values
+    const EXPORT_FORMATS = {
+        garden: { file: 'zen-garden.zsg', type: 'application/octet-stream', produce: () => encodeGarden() },
+        image: { file: 'zen-garden.png', type: 'image/png', produce: () => SandExport.renderImage(garden, { renderer: renderer.config }) },
+        heightmap: { file: 'zen-garden-heightmap.png', type: 'image/png', produce: () => SandExport.heightmapPng(garden) },
+        pgm: { file: 'zen-garden-heightmap.pgm', type: 'image/x-portable-graymap', produce: () => SandExport.heightmapPgm(garden) },
+        contours: { file: 'zen-garden-contours.svg', type: 'image/svg+xml', produce: () => SandExport.contourSvg(garden) },
+        stl: { file: 'zen-garden.stl', type: 'model/stl', produce: () => SandExport.reliefStl(garden) },
+        obj: { file: 'zen-garden.obj', type: 'model/obj', produce: () => SandExport.reliefObj(garden) },
+        thr: { file: 'zen-garden.thr', type: 'text/plain', produce: () => SandPaths.toThetaRho(garden, tableTrack()) },
+        gcode: { file: 'zen-garden.gcode', type: 'text/plain', produce: () => SandPaths.toGcode(garden, tableTrack()) }
     };
 
-    // ==================== STATE ====================
-    let canvas, ctx;
-    let gardenRadius, centerX, centerY;
-    let bladeAngle = 0;
-    let heightMap = [];
-    let targetHeightMap = [];
-    let gridWidth, gridHeight;
-    let isInteracting = false;
-    let lastTouchPos = null;
-    let currentTouchPos = null;
-    let animationId = null;
-    let teethCount = 0;
-    let rotationSpeed = CONFIG.blade.baseRotationSpeed;
-    let speedSlider = null;
+    const BALL_PREVIEW_SECONDS = 30;  // The whole track plays back in this long
 
-    // ==================== AUDIO HOOKS (for future) ====================
+    // ==================== AUDIO ====================
+    const AUDIO_FADE_MS = 250;  // Mute fade before the context is suspended
+
+    // Browsers only let an AudioContext start from a user gesture, so the
+    // sound graph is built on the first one and the garden is silent until then
     const AudioManager = {
-        initialized: false,
-        init() { this.initialized = true; },
-        playAmbient() { },
-        stopAmbient() { },
-        playDisturbSound(intensity) { },
-        playBladeSound() { }
+        sound: null,
+        volume: SandAudio.DEFAULTS.master.volume,
+        muted: false,
+        init() {
+            if (this.sound) {
+                this.resume();
+                return;
+            }
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) return;
+
+            this.sound = SandAudio.create(new AudioContextClass(), {
+                config: { master: { volume: this.volume, muted: this.muted } }
+            });
+            this.sound.start();
+            this.playAmbient();
+            this.resume();
+        },
+        resume() {
+            if (this.sound && !this.muted && this.sound.context.state !== 'running') {
+                this.sound.context.resume();
+            }
+        },
+        // Suspended contexts cost nothing; used while muted or hidden
+        suspend() {
+            if (this.sound && this.sound.context.state === 'running') {
+                this.sound.context.suspend();
+            }
+        },
+        playAmbient() { if (this.sound) this.sound.playAmbient(); },
+        stopAmbient() { if (this.sound) this.sound.stopAmbient(); },
+        playSandSound(amount, seconds) {
+            if (this.sound && !this.muted) this.sound.update(amount, undefined, seconds);
+        },
+        setVolume(value) {
+            this.volume = value;
+            if (this.sound) this.sound.setVolume(value);
+        },
+        setMuted(muted) {
+            this.muted = muted;
+            if (!this.sound) return;
+            this.sound.setMuted(muted);
+            if (muted) {
+                // Let the fade finish before cutting the context
+                setTimeout(() => { if (this.muted) this.suspend(); }, AUDIO_FADE_MS);
+            } else {
+                this.resume();
+            }
+        }
     };
 
     // ==================== INITIALIZATION ====================
     function init() {
+        const params = new URLSearchParams(window.location.search);
         canvas = document.getElementById('garden');
-        ctx = canvas.getContext('2d');
+        renderer = SandRenderer.create();
         speedSlider = document.getElementById('speed-slider');
+        patternSelect = document.getElementById('pattern-select');
+        showMassAudit = params.has('audit');
+        if (window.matchMedia) {
+            motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+            reducedMotion = motionQuery.matches;
+            motionQuery.addEventListener('change', updateMotion);
+        }
+
+        // A worker draws the live garden on the canvas itself; what the page
+        // draws (replays, the time-lapse, overlays) goes on a canvas above it.
+        // ?main keeps everything on the page.
+        const overlay = document.getElementById('overlay');
+        const useWorker = overlay && !params.has('main') && SandHost.supportsWorker(canvas);
+        surface = useWorker ? overlay : canvas;
+        if (overlay) overlay.hidden = !useWorker;
+        ctx = surface.getContext('2d');
 
         setupCanvas();
-        initHeightMap();
+        createGarden();
         setupEventListeners();
         setupSpeedControl();
+        setupPatternControl();
+        setupToolPalette();
+        setupKeyboardAndGamepad();
+        setupSync(params);
+        setupPersistence();
+        setupAudio();
+        setupRecording();
+        setupHistory();
+        setupSettings();
+        setupUpdates();
+
+        loop = SandLoop.create({ frame: updateFrame, step: stepGarden, render });
+        loop.start();
+    }
 
-        animate();
+    // Pausing holds the simulation still; the sand can still be drawn in.
+    // Exposed as window.ZenGarden for kiosk scripts and the console.
+    function pause() {
+        loop.pause();
+        host.pause();
+        announce('Paused');
+    }
+
+    function resume() {
+        loop.resume();
+        host.resume();
+        announce('Running');
     }
 
     function setupSpeedControl() {
@@ -104,463 +255,1474 @@
         }
     }
 
+    // With reduced motion the garden is brought to the new speed gradually,
+    // by easeBladeSpeed()
     function updateSpeed() {
         const value = parseInt(speedSlider.value);
-        rotationSpeed = 0.001 + (value / 100) * 0.014;
+        rotationSpeed = MIN_BLADE_SPEED + (value / 100) * (maxBladeSpeed() - MIN_BLADE_SPEED);
+        if (!garden) return;
+        if (!reducedMotion) perform('speed', { speed: rotationSpeed });
+        else if (sync) sync.share('speed', { speed: rotationSpeed });
+    }
+
+    function maxBladeSpeed() {
+        return reducedMotion ? REDUCED_MOTION.maxBladeSpeed : MAX_BLADE_SPEED;
+    }
+
+    // Once per fixed step, so the blade speeds up at the same rate whatever
+    // the display's refresh rate
+    function easeBladeSpeed(seconds) {
+        if (!reducedMotion || garden.rotationSpeed === rotationSpeed) return;
+        const change = REDUCED_MOTION.bladeAcceleration * seconds;
+        const difference = rotationSpeed - garden.rotationSpeed;
+        const speed = Math.abs(difference) <= change ? rotationSpeed : garden.rotationSpeed + Math.sign(difference) * change;
+        if (speed === garden.rotationSpeed) return;
+        // The other screens were sent where it is heading
+        perform('speed', { speed }, true);
+    }
+
+    // The Motion setting, or the system's preference when it is 'system'
+    function updateMotion() {
+        const mode = settings['theme.motion'];
+        const reduced = mode === 'reduced' || (mode === 'system' && !!motionQuery && motionQuery.matches);
+        if (reduced === reducedMotion) return;
+
+        reducedMotion = reduced;
+        rotationSpeed = Math.min(rotationSpeed, maxBladeSpeed());
+        if (!reducedMotion) perform('speed', { speed: rotationSpeed });
+        showSpeed(rotationSpeed);
+        announce(reducedMotion ? 'Reduced motion' : 'Full motion');
+    }
+
+    // Bring the controls in line with a garden that was just loaded
+    function syncControls() {
+        rotationSpeed = Math.min(garden.rotationSpeed, maxBladeSpeed());
+        patternName = garden.getPattern().name;
+        showControls(garden);
+    }
+
+    function showControls(source) {
+        showSpeed(source.rotationSpeed);
+        if (patternSelect) {
+            patternSelect.value = source.getPattern().name;
+        }
+    }
+
+    function showSpeed(speed) {
+        if (speedSlider) {
+            speedSlider.value = Math.round((speed - MIN_BLADE_SPEED) / (maxBladeSpeed() - MIN_BLADE_SPEED) * 100);
+        }
+    }
+
+    function setupPatternControl() {
+        if (!patternSelect) return;
+
+        SandPatterns.list().forEach(({ name, label }) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = label;
+            patternSelect.appendChild(option);
+        });
+        patternSelect.value = patternName;
+
+        patternSelect.addEventListener('change', () => {
+            patternName = patternSelect.value;
+            perform('pattern', { name: patternName });
+        });
+        patternSelect.addEventListener('touchstart', (e) => e.stopPropagation());
+    }
+
+    function setupToolPalette() {
+        const palette = document.getElementById('tool-palette');
+        if (!palette) return;
+
+        toolButtons = Array.from(palette.querySelectorAll('button[data-tool]'));
+        toolButtons.forEach((button) => {
+            button.addEventListener('click', () => selectTool(button.dataset.tool));
+        });
+        palette.addEventListener('touchstart', (e) => e.stopPropagation());
+    }
+
+    function selectTool(tool) {
+        const changed = tool !== currentTool;
+        currentTool = tool;
+        toolButtons.forEach((b) => {
+            b.classList.toggle('active', b.dataset.tool === tool);
+            b.setAttribute('aria-pressed', String(b.dataset.tool === tool));
+        });
+        if (recording) perform('tool', { tool });
+        if (changed) announce(`${toolLabel(tool)} tool`);
+    }
+
+    function toolLabel(tool) {
+        const button = toolButtons.find((b) => b.dataset.tool === tool);
+        return button ? button.textContent : tool;
     }
 
     function setupCanvas() {
         const dpr = window.devicePixelRatio || 1;
-        canvas.width = window.innerWidth * dpr;
-        canvas.height = window.innerHeight * dpr;
-        canvas.style.width = window.innerWidth + 'px';
-        canvas.style.height = window.innerHeight + 'px';
+        surface.width = window.innerWidth * dpr;
+        surface.height = window.innerHeight * dpr;
+        [canvas, surface].forEach((element) => {
+            element.style.width = window.innerWidth + 'px';
+            element.style.height = window.innerHeight + 'px';
+        });
         ctx.scale(dpr, dpr);
 
-        const minDimension = Math.min(window.innerWidth, window.innerHeight);
-        gardenRadius = (minDimension / 2) - CONFIG.garden.padding - CONFIG.garden.frameWidth;
+        fitGarden();
         centerX = window.innerWidth / 2;
         centerY = window.innerHeight / 2;
+        if (cursor.shown) {
+            moveCursor(0, 0);
+        } else {
+            cursor.x = centerX;
+            cursor.y = centerY;
+        }
+        if (host) host.setLayout(canvasLayout());
+    }
+
+    function canvasLayout() {
+        return {
+            width: window.innerWidth,
+            height: window.innerHeight,
+            centerX,
+            centerY,
+            pixelRatio: window.devicePixelRatio || 1
+        };
+    }
+
+    // The largest radius whose shape, frame included, fits the window
+    function fitGarden() {
+        const extent = SandShapes.get(settings['simulation.shape']).extent;
+        const margin = renderer.config.garden.padding + renderer.config.garden.frameWidth;
+        gardenRadius = Math.min(
+            (window.innerWidth / 2 - margin) / extent.x,
+            (window.innerHeight / 2 - margin) / extent.y
+        );
+    }
 
-        const bladeLength = gardenRadius - 20;
-        const teethSpacing = 12;
-        teethCount = Math.floor(bladeLength / teethSpacing);
+    function createGarden() {
+        host = SandHost.create({
+            garden: { radius: gardenRadius, pattern: patternName },
+            canvas: surface === canvas ? null : canvas,
+            renderer: renderer.config,
+            layout: canvasLayout(),
+            onError: fallBackToPage
+        });
+        host.perform('speed', { speed: rotationSpeed });
+        garden = host.garden;
     }
 
-    function initHeightMap() {
-        const resolution = CONFIG.simulation.gridResolution;
-        gridWidth = Math.ceil((gardenRadius * 2) / resolution);
-        gridHeight = Math.ceil((gardenRadius * 2) / resolution);
+    // The worker failed: carry on with the garden here. Its canvas now
+    // belongs to the dead worker, so a fresh one takes its place.
+    function fallBackToPage(error) {
+        console.log('Garden worker failed, running on the page:', error.message);
+        const snapshot = garden.snapshot();
+
+        const fresh = canvas.cloneNode(false);
+        canvas.replaceWith(fresh);
+        canvas = fresh;
+        listenToCanvas();
+        surface.hidden = true;
+        surface = canvas;
+        ctx = surface.getContext('2d');
+
+        recording = false;
+        setRecordLabel(false);
+        host = SandHost.create({ garden: { radius: garden.radius, resolution: garden.resolution, shape: garden.shape.name } });
+        host.restore(snapshot);
+        garden = host.garden;
+        undo.clear();
+        setupCanvas();
+    }
 
-        heightMap = [];
-        targetHeightMap = [];
+    // ==================== EVENT HANDLING ====================
+    function setupEventListeners() {
+        listenToCanvas();
 
-        for (let y = 0; y < gridHeight; y++) {
-            heightMap[y] = [];
-            targetHeightMap[y] = [];
-            for (let x = 0; x < gridWidth; x++) {
-                heightMap[y][x] = 0;
-                targetHeightMap[y][x] = 0;
+        window.addEventListener('resize', handleResize);
+        window.addEventListener('orientationchange', handleResize);
+
+        // No frames while hidden; the loop's clock restarts when it returns,
+        // so a backgrounded tab doesn't jump ahead
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                loop.stop();
+                host.stop();
+            } else {
+                loop.start();
+                if (!player && !scrub) host.start();
             }
-        }
+        });
+    }
 
-        calculateTargetWavePattern();
-        applyInitialPattern();
+    function listenToCanvas() {
+        canvas.addEventListener('pointerdown', handlePointerDown);
+        canvas.addEventListener('pointermove', handlePointerMove);
+        canvas.addEventListener('pointerup', handlePointerEnd);
+        canvas.addEventListener('pointercancel', handlePointerEnd);
+        canvas.addEventListener('lostpointercapture', handlePointerEnd);
+        canvas.addEventListener('keydown', handleKeyDown);
+        canvas.addEventListener('keyup', handleKeyUp);
+        canvas.addEventListener('blur', releaseKeys);
+        // Tabbing in shows the cursor; a click that focuses the canvas doesn't
+        canvas.addEventListener('focus', () => {
+            if (canvas.matches(':focus-visible')) cursor.shown = true;
+        });
     }
 
-    function calculateTargetWavePattern() {
-        const resolution = CONFIG.simulation.gridResolution;
+    function handlePointerDown(e) {
+        e.preventDefault();
+        if (player || scrub) return;
+        canvas.setPointerCapture(e.pointerId);
+        cursor.shown = false;
+        press(e.pointerId, getEventPos(e), e.pointerType, getContact(e));
+    }
 
-        for (let y = 0; y < gridHeight; y++) {
-            for (let x = 0; x < gridWidth; x++) {
-                const worldX = (x * resolution) - gardenRadius;
-                const worldY = (y * resolution) - gardenRadius;
-                const dist = Math.sqrt(worldX * worldX + worldY * worldY);
+    // Start a stroke or take hold of a stone, for any kind of pointer
+    function press(id, pos, pointerType, contact) {
+        if (currentTool === 'stone') {
+            activePointers.set(id, pressStone(pos));
+            return;
+        }
 
-                if (dist < gardenRadius - 5) {
-                    const waveFreq = teethCount / gardenRadius;
-                    const waveVal = Math.sin(dist * waveFreq * Math.PI * 2);
-                    targetHeightMap[y][x] = waveVal * CONFIG.waves.amplitude;
-                }
-            }
+        if (!drawing()) beginUndoStep();
+        activePointers.set(id, { anchor: pos, pending: [], pointerType, contact });
+    }
+
+    function handlePointerMove(e) {
+        const pointer = activePointers.get(e.pointerId);
+        if (!pointer) return;
+        e.preventDefault();
+
+        if (pointer.isStone) {
+            if (pointer.stoneId) dragStone(pointer, getEventPos(e));
+            return;
         }
+
+        // Coalesced events carry the samples the browser merged into this one
+        const samples = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+        (samples.length > 0 ? samples : [e]).forEach((sample) => {
+            pointer.pending.push(getEventPos(sample));
+        });
+        pointer.contact = getContact(e);
+    }
+
+    function handlePointerEnd(e) {
+        release(e.pointerId);
     }
 
-    function applyInitialPattern() {
-        const resolution = CONFIG.simulation.gridResolution;
+    function release(id) {
+        const pointer = activePointers.get(id);
+        if (!pointer) return;
+        activePointers.delete(id);
 
-        for (let y = 0; y < gridHeight; y++) {
-            for (let x = 0; x < gridWidth; x++) {
-                const worldX = (x * resolution) - gardenRadius;
-                if (worldX >= 0) {
-                    heightMap[y][x] = targetHeightMap[y][x];
-                } else {
-                    heightMap[y][x] = 0;
-                }
+        if (pointer.isStone) {
+            if (pointer.stoneId) releaseStone(pointer);
+            return;
+        }
+
+        // Apply samples that arrived after the last step before letting go
+        applyPointerStroke(pointer);
+        if (!drawing()) endUndoStep();
+    }
+
+    // ==================== KEYBOARD & GAMEPAD INPUT ====================
+    // Arrow keys or the left stick move the cursor; Space or the A button
+    // works the tool under it like a press, and number keys or the shoulder
+    // buttons pick tools.
+    function setupKeyboardAndGamepad() {
+        window.addEventListener('gamepadconnected', () => {
+            gamepadConnected = true;
+            cursor.shown = true;
+            announce('Gamepad connected: left stick moves, A works the tool, shoulder buttons change tools');
+        });
+        window.addEventListener('gamepaddisconnected', () => {
+            gamepadConnected = Array.from(navigator.getGamepads()).some((pad) => pad && pad.connected);
+            if (!gamepadConnected) {
+                release(GAMEPAD_ID);
+                gamepadButtons = [];
+                announce('Gamepad disconnected');
             }
+        });
+    }
+
+    function handleKeyDown(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        cursor.fast = e.shiftKey;
+
+        if (CURSOR_KEYS[e.key]) {
+            e.preventDefault();
+            heldKeys.add(e.key);
+            cursor.shown = true;
+        } else if (e.key === ' ') {
+            e.preventDefault();
+            if (!e.repeat) pressCursor(KEYBOARD_ID);
+        } else if (/^[1-9]$/.test(e.key) && toolButtons[e.key - 1]) {
+            selectTool(toolButtons[e.key - 1].dataset.tool);
+        } else if (e.key === 'Escape') {
+            releaseKeys();
         }
     }
 
-    // ==================== EVENT HANDLING ====================
-    function setupEventListeners() {
-        canvas.addEventListener('mousedown', handleInteractionStart);
-        canvas.addEventListener('mousemove', handleInteractionMove);
-        canvas.addEventListener('mouseup', handleInteractionEnd);
-        canvas.addEventListener('mouseleave', handleInteractionEnd);
+    function handleKeyUp(e) {
+        cursor.fast = e.shiftKey;
+        heldKeys.delete(e.key);
+        if (e.key === ' ') release(KEYBOARD_ID);
+    }
 
-        canvas.addEventListener('touchstart', handleTouchStart, { passive: false });
-        canvas.addEventListener('touchmove', handleTouchMove, { passive: false });
-        canvas.addEventListener('touchend', handleInteractionEnd);
-        canvas.addEventListener('touchcancel', handleInteractionEnd);
+    // Keys let go while focus was elsewhere never come up here
+    function releaseKeys() {
+        heldKeys.clear();
+        release(KEYBOARD_ID);
+    }
 
-        window.addEventListener('resize', handleResize);
+    function pressCursor(id) {
+        if (player || scrub) return;
+        cursor.shown = true;
+        press(id, { x: cursor.x, y: cursor.y }, id, { pressure: 1, size: 1 });
     }
 
-    function handleInteractionStart(e) {
-        e.preventDefault();
-        isInteracting = true;
-        const pos = getEventPos(e);
-        lastTouchPos = pos;
-        currentTouchPos = pos;
+    function cycleTool(direction) {
+        const index = toolButtons.findIndex((b) => b.dataset.tool === currentTool);
+        const next = toolButtons[(index + direction + toolButtons.length) % toolButtons.length];
+        if (next) selectTool(next.dataset.tool);
     }
 
-    function handleInteractionMove(e) {
-        if (!isInteracting) return;
-        e.preventDefault();
-        const pos = getEventPos(e);
-        lastTouchPos = currentTouchPos;
-        currentTouchPos = pos;
+    function steerCursor(seconds) {
+        let dx = 0;
+        let dy = 0;
+        heldKeys.forEach((key) => {
+            dx += CURSOR_KEYS[key][0];
+            dy += CURSOR_KEYS[key][1];
+        });
+        const stick = gamepadConnected ? pollGamepad() : null;
+        if (stick) {
+            dx += stick.x;
+            dy += stick.y;
+        }
+        if (dx === 0 && dy === 0) return;
+
+        const distance = CURSOR.speed * (cursor.fast ? CURSOR.fastFactor : 1) * seconds;
+        moveCursor(dx * distance, dy * distance);
     }
 
-    function handleInteractionEnd(e) {
-        isInteracting = false;
-        lastTouchPos = null;
-        currentTouchPos = null;
+    // Kept on the screen; a press under way follows it
+    function moveCursor(dx, dy) {
+        cursor.x = Math.max(0, Math.min(window.innerWidth, cursor.x + dx));
+        cursor.y = Math.max(0, Math.min(window.innerHeight, cursor.y + dy));
+
+        [KEYBOARD_ID, GAMEPAD_ID].forEach((id) => {
+            const pointer = activePointers.get(id);
+            if (!pointer) return;
+            const pos = { x: cursor.x, y: cursor.y };
+            if (!pointer.isStone) pointer.pending.push(pos);
+            else if (pointer.stoneId) dragStone(pointer, pos);
+        });
     }
 
-    function handleTouchStart(e) {
-        e.preventDefault();
-        if (e.touches.length > 0) {
-            isInteracting = true;
-            const pos = getTouchPos(e.touches[0]);
-            lastTouchPos = pos;
-            currentTouchPos = pos;
+    /**
+     * Handle the first connected gamepad's buttons.
+     * @returns {Object|null} its left stick { x, y }, each in [-1, 1]
+     */
+    function pollGamepad() {
+        const pad = Array.from(navigator.getGamepads()).find((p) => p && p.connected);
+        if (!pad) return null;
+
+        const pressed = pad.buttons.map((button) => button.pressed);
+        const went = (i) => pressed[i] && !gamepadButtons[i];
+        if (went(GAMEPAD.press)) pressCursor(GAMEPAD_ID);
+        if (!pressed[GAMEPAD.press] && gamepadButtons[GAMEPAD.press]) release(GAMEPAD_ID);
+        if (went(GAMEPAD.previousTool)) cycleTool(-1);
+        if (went(GAMEPAD.nextTool)) cycleTool(1);
+        gamepadButtons = pressed;
+
+        const axis = (value) => Math.abs(value || 0) < CURSOR.deadZone ? 0 : value;
+        const x = axis(pad.axes[0]);
+        const y = axis(pad.axes[1]);
+        if (x !== 0 || y !== 0) cursor.shown = true;
+        return { x, y };
+    }
+
+    // ==================== SHARED GARDEN ====================
+    // ?sync=tabs shares the garden with this browser's other tabs, ?sync=lan
+    // with the devices on the relay (sand-relay.js) this page came from and
+    // ?sync=ws://host:port through another relay. ?room= names the garden.
+    function setupSync(params) {
+        const mode = params.get('sync');
+        if (!mode) return;
+        const room = params.get('room') || 'garden';
+
+        let transport;
+        try {
+            if (mode === 'tabs') {
+                transport = SandSync.broadcastTransport(room);
+            } else {
+                const scheme = window.location.protocol === 'https:' ? 'wss://' : 'ws://';
+                transport = SandSync.websocketTransport(mode === 'lan' ? `${scheme}${window.location.host}/sync` : mode, room);
+            }
+        } catch (err) {
+            console.log('Sync unavailable:', err);
+            return;
         }
+
+        sync = SandSync.create({
+            transport,
+            garden: () => garden,
+            onOperation: applyPeerOperation,
+            onBlade: (state) => {
+                if (!player && !scrub) perform('blade', state, true);
+            },
+            onSnapshot: (bytes, resync) => {
+                if (resync) return resyncHeights(bytes);
+                return loadGardenBytes(bytes).then(() => announce('Joined the shared garden'));
+            },
+            onPeers: (count) => announce(count === 1 ? 'One other screen is here' : `${count} other screens are here`)
+        });
+        window.addEventListener('pagehide', () => sync.close());
     }
 
-    function handleTouchMove(e) {
-        if (!isInteracting) return;
-        e.preventDefault();
-        if (e.touches.length > 0) {
-            const pos = getTouchPos(e.touches[0]);
-            lastTouchPos = currentTouchPos;
-            currentTouchPos = pos;
+    function applyPeerOperation(type, data) {
+        if (type === 'speed') {
+            // Eased into, like the slider, with reduced motion
+            rotationSpeed = Math.min(data.speed, maxBladeSpeed());
+            showSpeed(rotationSpeed);
+            if (!reducedMotion) perform('speed', { speed: rotationSpeed }, true);
+            return;
+        }
+        // Undoing a stroke drawn here meanwhile leaves this
+        undo.exclude(garden, () => perform(type, data, true));
+        if (type === 'pattern') {
+            patternName = data.name;
+            if (patternSelect) patternSelect.value = data.name;
         }
     }
 
+    // The leader's heights, when this screen's have drifted from them
+    function resyncHeights(bytes) {
+        return SandSerializer.decode(bytes).then((saved) => {
+            const width = garden.gridWidth;
+            const height = garden.gridHeight;
+            const heights = saved.gridWidth === width && saved.gridHeight === height
+                ? saved.heightMap
+                : SandGarden.resampleGrid(saved.heightMap, saved.gridWidth, saved.gridHeight, width, height);
+            applyPeerOperation('region', { x0: 0, y0: 0, x1: width - 1, y1: height - 1, heights: Array.from(heights) });
+        });
+    }
+
+    // A garden loaded here replaces the shared one everywhere
+    function shareLoadedGarden() {
+        if (!sync) return;
+        sync.shareGarden().catch((err) => console.log('Sharing the garden failed:', err));
+    }
+
+    // The first stroke under way, else the keyboard cursor, else nothing
+    function shareCursor() {
+        const pointer = Array.from(activePointers.values()).find((p) => !p.isStone);
+        if (pointer) {
+            sync.pointer(pointer.anchor.x - centerX, pointer.anchor.y - centerY, true);
+        } else if (cursor.shown) {
+            sync.pointer(cursor.x - centerX, cursor.y - centerY, false);
+        } else {
+            sync.pointer(null);
+        }
+    }
+
+    function drawGhosts() {
+        sync.ghosts().forEach((ghost) => {
+            ctx.save();
+            ctx.globalAlpha = ghost.fade;
+            ctx.beginPath();
+            ctx.arc(centerX + ghost.x, centerY + ghost.y, ghost.down ? 10 : 7, 0, Math.PI * 2);
+            ctx.lineWidth = 3;
+            ctx.strokeStyle = ghost.color;
+            ctx.stroke();
+            if (ghost.down) {
+                ctx.globalAlpha = ghost.fade * 0.35;
+                ctx.fillStyle = ghost.color;
+                ctx.fill();
+            }
+            ctx.restore();
+        });
+    }
+
+    // ==================== ANNOUNCEMENTS ====================
+    // Mode changes are read out by screen readers through a live region
+    function announce(text) {
+        const region = document.getElementById('announcer');
+        if (!region) return;
+        // Emptied first, so the same message twice is read twice
+        region.textContent = '';
+        setTimeout(() => { region.textContent = text; }, 50);
+    }
+
+    // Whether any pointer is drawing, rather than holding a stone
+    function drawing() {
+        return Array.from(activePointers.values()).some((pointer) => !pointer.isStone);
+    }
+
     function getEventPos(e) {
         const rect = canvas.getBoundingClientRect();
         return { x: e.clientX - rect.left, y: e.clientY - rect.top };
     }
 
-    function getTouchPos(touch) {
-        const rect = canvas.getBoundingClientRect();
-        return { x: touch.clientX - rect.left, y: touch.clientY - rect.top };
+    /**
+     * Pressure and contact size as multipliers around 1. Touch screens that
+     * report no pressure send 0 or 0.5, both of which mean "normal".
+     */
+    function getContact(e) {
+        if (e.pointerType === 'mouse') {
+            return { pressure: 1, size: 1 };
+        }
+
+        const pressure = e.pressure > 0 ? Math.min(2, Math.max(0.2, e.pressure / 0.5)) : 1;
+
+        if (e.pointerType === 'pen') {
+            return { pressure, size: INPUT.penSize };
+        }
+
+        const diameter = Math.max(e.width || 0, e.height || 0);
+        const size = diameter > 1
+            ? Math.min(INPUT.maxContactSize, Math.max(INPUT.minContactSize, diameter / INPUT.referenceContact))
+            : 1;
+        return { pressure, size };
     }
 
+    // The canvas follows the window at once; the garden is rebuilt only when
+    // resizing settles, so dragging a window edge doesn't resample dozens of times
     function handleResize() {
         setupCanvas();
-        initHeightMap();
+        clearTimeout(resizeTimer);
+        resizeTimer = setTimeout(resizeGarden, RESIZE_DEBOUNCE_MS);
+    }
+
+    function resizeGarden() {
+        if (Math.abs(gardenRadius - garden.radius) < 0.5) return;
+
+        // Resamples the old sand onto a grid for the new radius; teeth and
+        // the comb target are derived from the new radius by the fresh garden
+        perform('resize', { radius: gardenRadius });
+    }
+
+    // Every change to the garden between steps goes through here, so a
+    // recording holds exactly what happened and replays it the same way.
+    // Unless quiet, a shared garden sends it to the other screens too.
+    function perform(type, data, quiet) {
+        if (sync && !quiet) sync.share(type, data);
+        if (type === 'stroke') {
+            drawnStrokes.push(data);
+            if (ownStrokes && !quiet) ownStrokes.push(data);
+        }
+        if (type === 'resize') scaleStrokes(data.radius / garden.radius);
+        const previous = garden;
+        host.perform(type, data);
+        garden = host.garden;
+        if (type === 'stroke' && !quiet) undo.track(garden);
+        // Undo steps are grid regions, meaningless on a rebuilt grid
+        if (garden !== previous) {
+            undo.clear();
+            updateHistoryControls();
+        }
     }
 
     // ==================== SAND INTERACTION ====================
+    // Once per fixed step, so a tool held still works the sand at the same
+    // rate whatever the display's refresh rate
     function processInteraction() {
-        if (!isInteracting || !currentTouchPos) return;
-
-        const screenX = currentTouchPos.x;
-        const screenY = currentTouchPos.y;
-
-        const worldX = screenX - centerX;
-        const worldY = screenY - centerY;
-        const distFromCenter = Math.sqrt(worldX * worldX + worldY * worldY);
-        if (distFromCenter > gardenRadius - 10) return;
-
-        // Always dig holes (both drag and hold)
-        digHoleWithConservation(screenX, screenY);
-    }
-
-    function digHoleWithConservation(screenX, screenY) {
-        const resolution = CONFIG.simulation.gridResolution;
-        const gridX = Math.floor((screenX - centerX + gardenRadius) / resolution);
-        const gridY = Math.floor((screenY - centerY + gardenRadius) / resolution);
-        const digRadius = Math.ceil(CONFIG.touch.radius / resolution);
-        const spreadRadius = CONFIG.touch.duneSpreadRadius;
-
-        let totalRemoved = 0;
-        const affectedCells = [];
-
-        // First pass: dig the hole and count removed sand
-        for (let dy = -digRadius; dy <= digRadius; dy++) {
-            for (let dx = -digRadius; dx <= digRadius; dx++) {
-                const gx = gridX + dx;
-                const gy = gridY + dy;
-
-                if (gx >= 0 && gx < gridWidth && gy >= 0 && gy < gridHeight) {
-                    const dist = Math.sqrt(dx * dx + dy * dy);
-                    if (dist <= digRadius) {
-                        const falloff = 1 - (dist / digRadius);
-                        const strength = falloff * falloff * CONFIG.touch.digStrength;
-
-                        const currentHeight = heightMap[gy][gx];
-                        const newHeight = Math.max(CONFIG.touch.minHeight, currentHeight - strength);
-                        const removed = currentHeight - newHeight;
-
-                        if (removed > 0) {
-                            heightMap[gy][gx] = newHeight;
-                            totalRemoved += removed;
-                        }
-                    }
-                }
+        activePointers.forEach((pointer) => {
+            if (!pointer.isStone) applyPointerStroke(pointer);
+        });
+    }
+
+    // ==================== STONES ====================
+    // Pressing empty sand drops a new stone there; pressing a stone grabs it.
+    function pressStone(pos) {
+        const x = pos.x - centerX;
+        const y = pos.y - centerY;
+        let stoneId = garden.stoneAt(x, y);
+        let grabX = 0;
+        let grabY = 0;
+        const fresh = !stoneId;
+
+        if (fresh) {
+            const rx = INPUT.stoneMinRadius + Math.random() * (INPUT.stoneMaxRadius - INPUT.stoneMinRadius);
+            if (garden.shape.distance(x, y) < rx + 10) {
+                return { isStone: true, stoneId: null };
             }
+
+            perform('addStone', {
+                x,
+                y,
+                rx,
+                ry: rx * (0.65 + Math.random() * 0.35),
+                rotation: Math.random() * Math.PI,
+                tone: Math.random()
+            });
+            stoneId = garden.stoneAt(x, y);
+        } else {
+            const stone = garden.getStones().find(s => s.id === stoneId);
+            grabX = x - stone.x;
+            grabY = y - stone.y;
         }
 
-        // Second pass: pile the removed sand around the hole (conservation of mass)
-        if (totalRemoved > 0) {
-            const ringInner = digRadius + 1;
-            const ringOuter = digRadius + spreadRadius;
-            const ringCells = [];
-
-            // Collect cells in the ring around the hole
-            for (let dy = -ringOuter; dy <= ringOuter; dy++) {
-                for (let dx = -ringOuter; dx <= ringOuter; dx++) {
-                    const gx = gridX + dx;
-                    const gy = gridY + dy;
-
-                    if (gx >= 0 && gx < gridWidth && gy >= 0 && gy < gridHeight) {
-                        const dist = Math.sqrt(dx * dx + dy * dy);
-                        if (dist >= ringInner && dist <= ringOuter) {
-                            // Check it's inside the garden circle
-                            const worldX = (gx * resolution) - gardenRadius;
-                            const worldY = (gy * resolution) - gardenRadius;
-                            const gardenDist = Math.sqrt(worldX * worldX + worldY * worldY);
-                            if (gardenDist < gardenRadius - 5) {
-                                ringCells.push({ x: gx, y: gy, dist: dist });
-                            }
-                        }
-                    }
-                }
-            }
+        return { isStone: true, stoneId, grabX, grabY, start: pos, fresh, moved: false, downTime: performance.now() };
+    }
 
-            // Distribute the removed sand to the ring cells (closer = more sand)
-            if (ringCells.length > 0) {
-                let totalWeight = 0;
-                ringCells.forEach(cell => {
-                    cell.weight = 1 - ((cell.dist - ringInner) / spreadRadius);
-                    totalWeight += cell.weight;
-                });
+    function dragStone(pointer, pos) {
+        const dx = pos.x - pointer.start.x;
+        const dy = pos.y - pointer.start.y;
+        if (!pointer.moved && Math.sqrt(dx * dx + dy * dy) < INPUT.stoneDragSlop) return;
+
+        pointer.moved = true;
+        perform('moveStone', {
+            id: pointer.stoneId,
+            x: pos.x - centerX - pointer.grabX,
+            y: pos.y - centerY - pointer.grabY
+        });
+    }
 
-                ringCells.forEach(cell => {
-                    const sandShare = (cell.weight / totalWeight) * totalRemoved;
-                    heightMap[cell.y][cell.x] += sandShare;
-                    heightMap[cell.y][cell.x] = Math.min(CONFIG.touch.maxHeight, heightMap[cell.y][cell.x]);
-                });
-            }
+    function releaseStone(pointer) {
+        const quickTap = performance.now() - pointer.downTime < INPUT.stoneTapMs;
+        if (!pointer.fresh && !pointer.moved && quickTap) {
+            perform('removeStone', { id: pointer.stoneId });
         }
     }
 
-    // ==================== BLADE MECHANICS ====================
-    function updateBlade() {
-        bladeAngle += rotationSpeed;
-        if (bladeAngle > Math.PI * 2) {
-            bladeAngle -= Math.PI * 2;
-        }
-
-        applyBladeEffects();
-    }
-
-    function applyBladeEffects() {
-        const resolution = CONFIG.simulation.gridResolution;
-        const bladeLength = gardenRadius - 5;
-        const wedgeAngle = rotationSpeed * 8;  // Much wider coverage
-        const pushStrength = CONFIG.blade.pushStrength;
-
-        for (let side = 0; side < 2; side++) {
-            const sideAngle = side === 0 ? 0 : Math.PI;
-            const isCombSide = (side === 0);
-
-            for (let r = 20; r < bladeLength; r += resolution) {
-                for (let a = -wedgeAngle; a <= 0; a += 0.01) {  // Finer step
-                    const angle = bladeAngle + a + sideAngle;
-                    const worldX = Math.cos(angle) * r;
-                    const worldY = Math.sin(angle) * r;
-
-                    const gridX = Math.floor((worldX + gardenRadius) / resolution);
-                    const gridY = Math.floor((worldY + gardenRadius) / resolution);
-
-                    if (gridX >= 0 && gridX < gridWidth && gridY >= 0 && gridY < gridHeight) {
-                        const currentHeight = heightMap[gridY][gridX];
-
-                        if (isCombSide) {
-                            // COMB SIDE: creates wave pattern
-                            const targetHeight = targetHeightMap[gridY][gridX];
-                            const diff = targetHeight - currentHeight;
-                            const absDiff = Math.abs(diff);
-
-                            if (absDiff > 1.5) {
-                                const moveAmount = diff * pushStrength;
-                                heightMap[gridY][gridX] += moveAmount;
-                                if (absDiff > 2.5) {
-                                    spreadToNeighbors(gridX, gridY, -moveAmount * 0.3, angle);
-                                }
-                            } else if (absDiff > 0.1) {
-                                heightMap[gridY][gridX] = currentHeight + diff * 0.15;
-                            } else {
-                                heightMap[gridY][gridX] = targetHeight;
-                            }
-                        } else {
-                            // SMOOTH SIDE: ALWAYS flatten to exactly 0
-                            const absCurrent = Math.abs(currentHeight);
-
-                            if (absCurrent > 2.0) {
-                                // Only big disturbances heal slowly
-                                heightMap[gridY][gridX] = currentHeight * (1 - pushStrength);
-                            } else {
-                                // Everything else: set to exactly 0
-                                heightMap[gridY][gridX] = 0;
-                            }
-                        }
-                    }
-                }
-            }
+    function applyPointerStroke(pointer) {
+        // A pen digging would gouge; it draws a fine stylus line instead
+        const tool = pointer.pointerType === 'pen' && currentTool === 'dig' ? 'stylus' : currentTool;
+
+        // Holding still: a zero-length stroke keeps digging/smoothing in
+        // place. A later step of a frame that moved the pointer isn't held.
+        if (pointer.pending.length === 0) {
+            if (pointer.sampled) return;
+            pointer.pending.push(pointer.anchor);
+        } else {
+            pointer.sampled = true;
         }
+
+        // Walk every sample so the tool follows the path, not just its ends
+        pointer.pending.forEach((pos) => {
+            perform('stroke', {
+                tool,
+                x0: pointer.anchor.x - centerX,
+                y0: pointer.anchor.y - centerY,
+                x1: pos.x - centerX,
+                y1: pos.y - centerY,
+                contact: pointer.contact
+            });
+            pointer.anchor = pos;
+        });
+        pointer.pending = [];
     }
 
-    function spreadToNeighbors(originX, originY, amount, bladeAngle) {
-        if (Math.abs(amount) < 0.001) return;
+    // ==================== SAVE, LOAD & SHARE ====================
+    function setupPersistence() {
+        const hash = window.location.hash;
+        // A shared garden comes from the screens already tending it
+        const loading = hash.startsWith(SHARE_PREFIX)
+            ? Promise.resolve(SandSerializer.fromBase64Url(hash.slice(SHARE_PREFIX.length)))
+            : (sync ? Promise.resolve(null) : SandStorage.load(AUTOSAVE_KEY));
+
+        loading
+            .then((bytes) => bytes && loadGardenBytes(bytes).then(shareLoadedGarden))
+            .catch((err) => console.log('Garden restore failed:', err));
+
+        // Hidden is the last moment a mobile browser reliably lets us run
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') autosave();
+        });
+
+        const exportButton = document.getElementById('export-button');
+        const importButton = document.getElementById('import-button');
+        const importInput = document.getElementById('import-input');
+        const shareButton = document.getElementById('share-button');
+
+        if (exportButton) exportButton.addEventListener('click', () => exportGarden(exportButton));
+        if (importButton && importInput) {
+            importButton.addEventListener('click', () => importInput.click());
+            importInput.addEventListener('change', () => {
+                const file = importInput.files[0];
+                importInput.value = '';
+                if (!file) return;
+                file.arrayBuffer()
+                    .then((buffer) => loadGardenBytes(new Uint8Array(buffer)))
+                    .then(shareLoadedGarden)
+                    .catch((err) => flashLabel(importButton, 'Unreadable'));
+            });
+        }
+        if (shareButton) shareButton.addEventListener('click', () => shareGarden(shareButton));
+
+        const ballButton = document.getElementById('ball-path-button');
+        if (ballButton) {
+            ballButton.addEventListener('click', () => {
+                if (ballPreview) stopBallPreview();
+                else startBallPreview();
+                ballButton.classList.toggle('active', !!ballPreview);
+            });
+        }
+    }
 
-        const spreadAngle = bladeAngle + Math.PI / 2;
-        const dirX = Math.round(Math.cos(spreadAngle) * 2);
-        const dirY = Math.round(Math.sin(spreadAngle) * 2);
+    function encodeGarden(step) {
+        return SandSerializer.encode(garden.snapshot(), { step, extras: { tool: currentTool } });
+    }
 
-        const gx = originX + dirX;
-        const gy = originY + dirY;
+    function loadGardenBytes(bytes) {
+        return SandSerializer.decode(bytes).then((saved) => {
+            // Loading is not a replayable command; keep what was recorded so far
+            stopRecording();
+            host.restore(saved);
+            // A saved garden brings its own config; the user's settings win
+            perform('configure', { config: SandSettings.toConfig(settings, 'garden') });
+            drawnStrokes = [];
+            undo.clear();
+            updateHistoryControls();
+            syncControls();
+            if (saved.extras && saved.extras.tool) selectTool(saved.extras.tool);
+        });
+    }
 
-        if (gx >= 0 && gx < gridWidth && gy >= 0 && gy < gridHeight) {
-            heightMap[gy][gx] += amount;
-            heightMap[gy][gx] = Math.max(CONFIG.touch.minHeight,
-                Math.min(CONFIG.touch.maxHeight, heightMap[gy][gx]));
+    function autosave() {
+        return encodeGarden()
+            .then((bytes) => SandStorage.save(AUTOSAVE_KEY, bytes))
+            .catch((err) => console.log('Garden autosave failed:', err));
+    }
+
+    function exportGarden(button) {
+        const picker = document.getElementById('export-format');
+        const format = EXPORT_FORMATS[picker ? picker.value : 'garden'] || EXPORT_FORMATS.garden;
+
+        Promise.resolve()
+            .then(() => format.produce())
+            .then((data) => {
+                const blob = data instanceof Blob ? data : new Blob([data], { type: format.type });
+                const url = URL.createObjectURL(blob);
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = format.file;
+                link.click();
+                setTimeout(() => URL.revokeObjectURL(url), 1000);
+            })
+            .catch((err) => {
+                console.log('Export failed:', err);
+                flashLabel(button, 'Export failed');
+            });
+    }
+
+    // Coarse quantization keeps the link short; big gardens still won't fit
+    function shareGarden(button) {
+        encodeGarden(SHARE_STEP).then((bytes) => {
+            const text = SandSerializer.toBase64Url(bytes);
+            if (text.length > MAX_SHARE_LENGTH) {
+                flashLabel(button, 'Too large - use Export');
+                return;
+            }
+
+            history.replaceState(null, '', SHARE_PREFIX + text);
+            if (navigator.clipboard) {
+                navigator.clipboard.writeText(window.location.href)
+                    .then(() => flashLabel(button, 'Link copied'), () => flashLabel(button, 'Link in address bar'));
+            } else {
+                flashLabel(button, 'Link in address bar');
+            }
+        });
+    }
+
+    function flashLabel(button, text) {
+        const original = button.dataset.label || button.textContent;
+        button.dataset.label = original;
+        button.textContent = text;
+        setTimeout(() => { button.textContent = original; }, 2000);
+    }
+
+    // ==================== SAND TABLE ====================
+    function tableTrack() {
+        return SandPaths.buildTrack(garden, drawnStrokes);
+    }
+
+    // Keep drawn strokes over the same sand when the garden is resized
+    function scaleStrokes(scale) {
+        drawnStrokes = drawnStrokes.map((stroke) => Object.assign({}, stroke, {
+            x0: stroke.x0 * scale,
+            y0: stroke.y0 * scale,
+            x1: stroke.x1 * scale,
+            y1: stroke.y1 * scale
+        }));
+    }
+
+    function startBallPreview() {
+        const track = tableTrack();
+        // Distance along the track to each point, to find the ball by time
+        const lengths = new Float64Array(track.points.length);
+        for (let i = 1; i < track.points.length; i++) {
+            const a = track.points[i - 1];
+            const b = track.points[i];
+            lengths[i] = lengths[i - 1] + Math.sqrt((b.x - a.x) * (b.x - a.x) + (b.y - a.y) * (b.y - a.y));
         }
+        ballPreview = { track, lengths, distance: 0 };
     }
 
-    // ==================== RENDERING ====================
-    function render() {
-        ctx.fillStyle = '#1A1A1A';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    function stopBallPreview() {
+        ballPreview = null;
+    }
 
-        drawFrame();
-        drawSand();
-        drawBlade();
-        drawCenter();
+    function advanceBallPreview(seconds) {
+        const total = ballPreview.track.length;
+        ballPreview.distance = Math.min(total, ballPreview.distance + seconds * total / BALL_PREVIEW_SECONDS);
     }
 
-    function drawFrame() {
-        const outerRadius = gardenRadius + CONFIG.garden.frameWidth;
+    // The path so far over the garden, travel moves fainter, and the ball
+    // at its head
+    function drawBallPreview() {
+        const points = ballPreview.track.points;
+        const lengths = ballPreview.lengths;
+        let head = points[0];
+
+        ctx.save();
+        ctx.lineWidth = 1.5;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        let travel = null;
+        for (let i = 1; i < points.length && lengths[i - 1] < ballPreview.distance; i++) {
+            const from = points[i - 1];
+            let to = points[i];
+            if (lengths[i] > ballPreview.distance) {
+                const t = (ballPreview.distance - lengths[i - 1]) / (lengths[i] - lengths[i - 1]);
+                to = { x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t };
+            }
+            // One canvas path per run of drawing or travel
+            if (points[i].travel !== travel) {
+                if (travel !== null) ctx.stroke();
+                travel = points[i].travel;
+                ctx.strokeStyle = travel ? 'rgba(255, 255, 255, 0.25)' : 'rgba(255, 240, 200, 0.8)';
+                ctx.beginPath();
+                ctx.moveTo(centerX + from.x, centerY + from.y);
+            }
+            ctx.lineTo(centerX + to.x, centerY + to.y);
+            head = to;
+        }
+        if (travel !== null) ctx.stroke();
+
+        ctx.fillStyle = '#d8d8d8';
         ctx.beginPath();
-        ctx.arc(centerX, centerY, outerRadius, 0, Math.PI * 2);
-        ctx.fillStyle = CONFIG.garden.frameColor;
+        ctx.arc(centerX + head.x, centerY + head.y, 4, 0, Math.PI * 2);
         ctx.fill();
+        ctx.restore();
     }
 
-    function drawSand() {
-        const resolution = CONFIG.simulation.gridResolution;
+    // ==================== RECORD & REPLAY ====================
+    function setupRecording() {
+        const recordButton = document.getElementById('record-button');
+        const replayButton = document.getElementById('replay-button');
+        const playButton = document.getElementById('replay-play');
+        const seekSlider = document.getElementById('replay-seek');
+        const speedSelect = document.getElementById('replay-speed');
+        const exitButton = document.getElementById('replay-exit');
+
+        if (recordButton) {
+            recordButton.addEventListener('click', () => {
+                if (recording) stopRecording();
+                else startRecording();
+            });
+        }
+        if (replayButton) {
+            replayButton.addEventListener('click', () => {
+                sessionArrived
+                    .then(() => lastSession ||
+                        SandStorage.load(SESSION_KEY).then((bytes) => bytes && SandRecorder.decodeSession(bytes)))
+                    .then((session) => {
+                        if (session) startReplay(session);
+                        else flashLabel(replayButton, 'Nothing recorded');
+                    })
+                    .catch((err) => flashLabel(replayButton, 'Unreadable'));
+            });
+        }
 
-        ctx.save();
-        ctx.beginPath();
-        ctx.arc(centerX, centerY, gardenRadius, 0, Math.PI * 2);
-        ctx.clip();
+        if (playButton) {
+            playButton.addEventListener('click', () => {
+                if (!player) return;
+                if (player.playing) player.pause();
+                else player.play();
+            });
+        }
+        if (seekSlider) {
+            seekSlider.addEventListener('input', () => {
+                if (player) player.seek(parseInt(seekSlider.value));
+            });
+        }
+        if (speedSelect) {
+            speedSelect.addEventListener('change', () => {
+                if (player) player.setSpeed(parseInt(speedSelect.value));
+            });
+        }
+        if (exitButton) exitButton.addEventListener('click', stopReplay);
+    }
+
+    function startRecording() {
+        host.startRecording();
+        recording = true;
+        // Seed the log with the tool in hand so replay shows it from the start
+        perform('tool', { tool: currentTool });
+        setRecordLabel(true);
+        announce('Recording');
+    }
+
+    function stopRecording() {
+        if (!recording) return;
+
+        recording = false;
+        setRecordLabel(false);
+        announce('Recording stopped');
+        sessionArrived = host.stopRecording().then((session) => {
+            if (session) lastSession = session;
+            return session;
+        });
+        sessionArrived
+            .then((session) => session && SandStorage.save(SESSION_KEY, SandRecorder.encodeSession(session)))
+            .catch((err) => console.log('Session save failed:', err));
+    }
+
+    function setRecordLabel(active) {
+        const recordButton = document.getElementById('record-button');
+        if (!recordButton) return;
+        recordButton.textContent = active ? 'Stop' : 'Record';
+        recordButton.classList.toggle('active', active);
+    }
 
-        for (let y = 0; y < gridHeight; y++) {
-            for (let x = 0; x < gridWidth; x++) {
-                const worldX = (x * resolution) - gardenRadius + centerX;
-                const worldY = (y * resolution) - gardenRadius + centerY;
+    // Replay runs on a garden of its own; the live garden waits untouched
+    function startReplay(session) {
+        stopRecording();
+        activePointers.clear();
+        endUndoStep();
+        replayTool = currentTool;
+        host.stop();
+
+        player = SandRecorder.createPlayer(session, { onEntry: showReplayEntry });
+        player.play();
+
+        const seekSlider = document.getElementById('replay-seek');
+        if (seekSlider) seekSlider.max = session.frames;
+        setReplayControls(true);
+        announce('Replaying the recording');
+    }
 
-                const dx = worldX - centerX;
-                const dy = worldY - centerY;
-                if (dx * dx + dy * dy > gardenRadius * gardenRadius) continue;
+    function stopReplay() {
+        if (!player) return;
+        player = null;
+        host.start();
+        setReplayControls(false);
+        selectTool(replayTool);
+        syncControls();
+        announce('Replay ended');
+    }
 
-                const height = heightMap[y][x];
-                const color = getHeightColor(height);
+    function showReplayEntry(entry) {
+        if (entry.type === 'tool') {
+            toolButtons.forEach((b) => b.classList.toggle('active', b.dataset.tool === entry.data.tool));
+        } else if (entry.type === 'speed' || entry.type === 'pattern') {
+            showControls(player.garden);
+        }
+    }
+
+    // The live controls are locked while replaying so nothing changes the
+    // hidden live garden by accident
+    function setReplayControls(replaying) {
+        const replayControls = document.getElementById('replay-controls');
+        if (replayControls) replayControls.hidden = !replaying;
+        if (speedSlider) speedSlider.disabled = replaying;
+        if (patternSelect) patternSelect.disabled = replaying;
+        const settingsPanel = document.getElementById('settings-panel');
+        if (settingsPanel) settingsPanel.disabled = replaying;
+        toolButtons.forEach((b) => { b.disabled = replaying; });
+        updateHistoryControls();
+    }
+
+    function updateReplayControls() {
+        const playButton = document.getElementById('replay-play');
+        const seekSlider = document.getElementById('replay-seek');
+        if (playButton) playButton.textContent = player.playing ? 'Pause' : 'Play';
+        if (seekSlider) seekSlider.value = player.frame;
+    }
 
-                ctx.fillStyle = color;
-                ctx.fillRect(worldX, worldY, resolution, resolution);
+    // ==================== UNDO & TIME-LAPSE ====================
+    function setupHistory() {
+        const undoButton = document.getElementById('undo-button');
+        const redoButton = document.getElementById('redo-button');
+        const timelapseButton = document.getElementById('timelapse-button');
+        const seekSlider = document.getElementById('timelapse-seek');
+        const resumeButton = document.getElementById('timelapse-resume');
+        const exitButton = document.getElementById('timelapse-exit');
+
+        if (undoButton) undoButton.addEventListener('click', undoStroke);
+        if (redoButton) redoButton.addEventListener('click', redoStroke);
+        if (timelapseButton) {
+            timelapseButton.addEventListener('click', () => {
+                if (scrub) stopScrub();
+                else startScrub();
+            });
+        }
+        if (seekSlider) seekSlider.addEventListener('input', () => showKeyframe(parseInt(seekSlider.value)));
+        if (resumeButton) resumeButton.addEventListener('click', resumeFromKeyframe);
+        if (exitButton) exitButton.addEventListener('click', stopScrub);
+
+        // Ctrl+Z undoes; Ctrl+Shift+Z and Ctrl+Y redo (Cmd on a Mac)
+        window.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z') {
+                e.preventDefault();
+                if (e.shiftKey) redoStroke();
+                else undoStroke();
+            } else if (key === 'y') {
+                e.preventDefault();
+                redoStroke();
             }
+        });
+
+        updateHistoryControls();
+    }
+
+    function beginUndoStep() {
+        ownStrokes = [];
+        undo.begin(garden);
+    }
+
+    function endUndoStep() {
+        undo.end(garden, { strokes: ownStrokes || [] });
+        ownStrokes = null;
+        updateHistoryControls();
+    }
+
+    // The drawn strokes travel with their step, so the sand table export
+    // leaves out what was undone
+    function undoStroke() {
+        if (player || scrub || drawing()) return;
+        const step = undo.undo(garden);
+        if (!step) return;
+        perform('adjust', step.region);
+        // Other screens' strokes may have come in since
+        drawnStrokes = drawnStrokes.filter((stroke) => step.data.strokes.indexOf(stroke) < 0);
+        updateHistoryControls();
+        announce('Stroke undone');
+    }
+
+    function redoStroke() {
+        if (player || scrub || drawing()) return;
+        const step = undo.redo();
+        if (!step) return;
+        perform('adjust', step.region);
+        drawnStrokes = drawnStrokes.concat(step.data.strokes);
+        updateHistoryControls();
+        announce('Stroke redone');
+    }
+
+    function updateHistoryControls() {
+        const locked = !!player || !!scrub;
+        const undoButton = document.getElementById('undo-button');
+        const redoButton = document.getElementById('redo-button');
+        const timelapseButton = document.getElementById('timelapse-button');
+        if (undoButton) undoButton.disabled = locked || !undo.canUndo;
+        if (redoButton) redoButton.disabled = locked || !undo.canRedo;
+        if (timelapseButton) {
+            timelapseButton.disabled = !!player;
+            timelapseButton.classList.toggle('active', !!scrub);
         }
+    }
 
-        ctx.restore();
+    // The live garden stands still while the time-lapse is shown
+    function startScrub() {
+        if (player) return;
+        activePointers.clear();
+        endUndoStep();
+        host.stop();
+        timeline.capture(garden);
+
+        const last = timeline.length - 1;
+        const seekSlider = document.getElementById('timelapse-seek');
+        if (seekSlider) {
+            seekSlider.max = last;
+            seekSlider.value = last;
+        }
+        showKeyframe(last);
+
+        const controls = document.getElementById('timelapse-controls');
+        if (controls) controls.hidden = false;
+        updateHistoryControls();
+        announce('Time-lapse: drag the slider to go back');
     }
 
-    function getHeightColor(height) {
-        const sand = CONFIG.sand;
-        let r, g, b;
+    function stopScrub() {
+        if (!scrub) return;
+        scrub = null;
+        host.start();
+        const controls = document.getElementById('timelapse-controls');
+        if (controls) controls.hidden = true;
+        updateHistoryControls();
+        announce('Back to now');
+    }
 
-        if (height > 0) {
-            const t = Math.min(height / 3, 1);
-            r = sand.baseColor.r + (sand.highlightColor.r - sand.baseColor.r) * t;
-            g = sand.baseColor.g + (sand.highlightColor.g - sand.baseColor.g) * t;
-            b = sand.baseColor.b + (sand.highlightColor.b - sand.baseColor.b) * t;
-        } else {
-            const t = Math.min(-height / 3, 1);
-            r = sand.baseColor.r + (sand.shadowColor.r - sand.baseColor.r) * t;
-            g = sand.baseColor.g + (sand.shadowColor.g - sand.baseColor.g) * t;
-            b = sand.baseColor.b + (sand.shadowColor.b - sand.baseColor.b) * t;
+    function showKeyframe(index) {
+        scrub = { index, garden: timeline.gardenAt(index) };
+        const age = formatAge(timeline.ageOf(index));
+        const label = document.getElementById('timelapse-time');
+        if (label) label.textContent = age;
+        const seekSlider = document.getElementById('timelapse-seek');
+        if (seekSlider) seekSlider.setAttribute('aria-valuetext', age);
+    }
+
+    function formatAge(seconds) {
+        if (seconds < 1) return 'now';
+        const whole = Math.round(seconds);
+        return `-${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+    }
+
+    // Going back in time is not a replayable command, like loading a garden
+    function resumeFromKeyframe() {
+        if (!scrub) return;
+        const index = scrub.index;
+        stopRecording();
+        host.restore(timeline.snapshotAt(index));
+        perform('configure', { config: SandSettings.toConfig(settings, 'garden') });
+        timeline.truncate(index);
+        drawnStrokes = [];
+        undo.clear();
+        stopScrub();
+        syncControls();
+        shareLoadedGarden();
+    }
+
+    // ==================== SETTINGS ====================
+    // The panel is generated from SandSettings.SCHEMA. Garden settings go
+    // through perform() so recordings include them; the look applies directly.
+    function setupSettings() {
+        const button = document.getElementById('settings-button');
+        const panel = document.getElementById('settings-panel');
+        const fields = document.getElementById('settings-fields');
+        const presetSelect = document.getElementById('settings-preset');
+        const resetButton = document.getElementById('settings-reset');
+
+        if (button && panel) {
+            button.addEventListener('click', () => {
+                panel.hidden = !panel.hidden;
+                button.setAttribute('aria-expanded', String(!panel.hidden));
+                button.classList.toggle('active', !panel.hidden);
+            });
+            panel.addEventListener('touchstart', (e) => e.stopPropagation());
+        }
+        if (fields) buildSettingsFields(fields);
+        if (presetSelect) {
+            [{ name: '', label: 'Custom' }].concat(SandSettings.PRESETS).forEach(({ name, label }) => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = label;
+                presetSelect.appendChild(option);
+            });
+            presetSelect.addEventListener('change', () => {
+                if (presetSelect.value) changeSettings(SandSettings.preset(presetSelect.value));
+            });
         }
+        if (resetButton) resetButton.addEventListener('click', () => changeSettings(SandSettings.defaults()));
 
-        return `rgb(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)})`;
+        showSettings();
+        SandStorage.load(SETTINGS_KEY)
+            .then((bytes) => bytes && applySettings(SandSettings.decode(bytes)))
+            .catch((err) => console.log('Settings restore failed:', err));
     }
 
-    function drawBlade() {
-        const blade = CONFIG.blade;
-        const bladeLength = gardenRadius - 5;
+    function buildSettingsFields(container) {
+        const groups = new Map();
+        SandSettings.SCHEMA.forEach((field) => {
+            if (!groups.has(field.group)) {
+                const fieldset = document.createElement('fieldset');
+                const legend = document.createElement('legend');
+                legend.textContent = field.group;
+                fieldset.appendChild(legend);
+                container.appendChild(fieldset);
+                groups.set(field.group, fieldset);
+            }
 
-        ctx.save();
-        ctx.translate(centerX, centerY);
-        ctx.rotate(bladeAngle);
+            const label = document.createElement('label');
+            const name = document.createElement('span');
+            name.textContent = field.label;
+            const input = createSettingInput(field);
+            input.addEventListener(field.type === 'select' ? 'change' : 'input', () => {
+                const value = SandSettings.normalize(field, input.value);
+                if (value !== undefined) changeSettings(SandSettings.set(settings, field.key, value));
+            });
+            label.appendChild(name);
+            label.appendChild(input);
+            groups.get(field.group).appendChild(label);
+            settingInputs.set(field.key, { field, input });
+        });
+    }
 
-        ctx.shadowColor = blade.shadowColor;
-        ctx.shadowBlur = 10;
-        ctx.shadowOffsetX = 3;
-        ctx.shadowOffsetY = 3;
+    function createSettingInput(field) {
+        if (field.type === 'select') {
+            const select = document.createElement('select');
+            field.options.forEach(({ value, label }) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+            return select;
+        }
 
-        // Full blade body - NO TEETH (smooth blade visual)
-        ctx.beginPath();
-        ctx.moveTo(20, -blade.width / 2);
-        ctx.lineTo(bladeLength, -blade.width / 2 - 2);
-        ctx.lineTo(bladeLength, blade.width / 2 + 2);
-        ctx.lineTo(20, blade.width / 2);
-        ctx.lineTo(-20, blade.width / 2);
-        ctx.lineTo(-bladeLength, blade.width / 2 + 2);
-        ctx.lineTo(-bladeLength, -blade.width / 2 - 2);
-        ctx.lineTo(-20, -blade.width / 2);
-        ctx.closePath();
-
-        ctx.fillStyle = blade.color;
-        ctx.fill();
+        const input = document.createElement('input');
+        input.type = field.type;
+        if (field.type === 'range') {
+            input.min = field.min;
+            input.max = field.max;
+            input.step = field.step;
+        }
+        return input;
+    }
 
-        // No teeth drawn - just a smooth blade
+    function showSettings() {
+        settingInputs.forEach(({ field, input }, key) => {
+            input.value = field.type === 'color' ? SandSettings.toHex(settings[key]) : settings[key];
+        });
 
-        ctx.restore();
+        const presetSelect = document.getElementById('settings-preset');
+        if (presetSelect) {
+            const match = SandSettings.PRESETS.find((p) =>
+                Object.keys(SandSettings.diff(settings, SandSettings.preset(p.name))).length === 0);
+            presetSelect.value = match ? match.name : '';
+        }
     }
 
-    function drawCenter() {
-        const blade = CONFIG.blade;
+    // Only what changed is applied, so a color tweak doesn't rebuild the comb target
+    function applySettings(next) {
+        const changed = SandSettings.diff(settings, next);
+        settings = next;
+
+        const gardenConfig = SandSettings.toConfig(changed, 'garden');
+        if (Object.keys(gardenConfig).length > 0) perform('configure', { config: gardenConfig });
+        // A new shape was built at the old radius; grow it to fill the window
+        if ('simulation.shape' in changed) {
+            fitGarden();
+            resizeGarden();
+        }
+        const rendererConfig = SandSettings.toConfig(changed, 'renderer');
+        if (Object.keys(rendererConfig).length > 0) configureRenderer(rendererConfig);
+        const themeConfig = SandSettings.toConfig(changed, 'theme').theme;
+        if (themeConfig) applyTheme(themeConfig);
+        if ('theme.motion' in changed) updateMotion();
 
+        showSettings();
+    }
+
+    // The material's colors are ordinary settings; its buried layer is not
+    function applyTheme(theme) {
+        if ('material' in theme) {
+            const sand = SandThemes.material(theme.material);
+            configureRenderer({ sand: { layer: sand ? sand.layer : null } });
+        }
+        if ('daylight' in theme) {
+            if (theme.daylight === 'off') {
+                configureRenderer({
+                    lighting: {
+                        azimuth: settings['lighting.azimuth'],
+                        elevation: settings['lighting.elevation'],
+                        color: SandRenderer.DEFAULTS.lighting.color
+                    }
+                });
+            }
+            daylightWait = 0;
+        }
+    }
+
+    function updateDaylight(seconds) {
+        const mode = settings['theme.daylight'];
+        if (mode === 'off') return;
+
+        fastHour = (fastHour + seconds / SandThemes.DEFAULTS.fastDaySeconds * 24) % 24;
+        daylightWait -= seconds;
+        if (daylightWait > 0) return;
+
+        daylightWait = DAYLIGHT_STEP_SECONDS[mode];
+        const hour = mode === 'real' ? SandThemes.hourOfDay(new Date()) : fastHour;
+        configureRenderer({ lighting: SandThemes.daylightAt(hour) });
+    }
+
+    // The page's renderer draws replays and exports; a worker draws the live garden
+    function configureRenderer(config) {
+        renderer.configure(config);
+        host.configureRenderer(config);
+    }
+
+    function changeSettings(next) {
+        applySettings(next);
+        clearTimeout(settingsSaveTimer);
+        settingsSaveTimer = setTimeout(() => {
+            SandStorage.save(SETTINGS_KEY, SandSettings.encode(settings))
+                .catch((err) => console.log('Settings save failed:', err));
+        }, SETTINGS_SAVE_MS);
+    }
+
+    // ==================== SOUND ====================
+    function setupAudio() {
+        const startAudio = () => AudioManager.init();
+        window.addEventListener('pointerdown', startAudio);
+        window.addEventListener('keydown', startAudio);
+
+        // Nothing updates the hiss while the page is hidden, so pause it all
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') AudioManager.suspend();
+            else AudioManager.resume();
+        });
+
+        const muteButton = document.getElementById('mute-button');
+        const volumeSlider = document.getElementById('volume-slider');
+
+        if (muteButton) {
+            muteButton.addEventListener('click', () => {
+                AudioManager.setMuted(!AudioManager.muted);
+                muteButton.textContent = AudioManager.muted ? 'Unmute' : 'Mute';
+                muteButton.classList.toggle('active', AudioManager.muted);
+            });
+        }
+        if (volumeSlider) {
+            volumeSlider.value = Math.round(AudioManager.volume * 100);
+            volumeSlider.addEventListener('input', () => AudioManager.setVolume(volumeSlider.value / 100));
+        }
+    }
+
+    // ==================== RENDERING ====================
+    function render(alpha) {
+        if (host.remote && !player && !scrub) {
+            // The worker draws the live garden under this
+            ctx.clearRect(0, 0, window.innerWidth, window.innerHeight);
+        } else {
+            drawGarden(alpha);
+        }
+
+        if (ballPreview && !player && !scrub) {
+            drawBallPreview();
+        }
+        if (cursor.shown && !player && !scrub) {
+            drawCursor();
+        }
+        if (sync && !player && !scrub) {
+            drawGhosts();
+        }
+        if (showMassAudit) {
+            drawMassAudit();
+        }
+    }
+
+    // A ring the size of the dig, dark and light so it shows on any sand
+    function drawCursor() {
+        const radius = currentTool === 'stone' ? INPUT.stoneMinRadius : settings['touch.radius'];
+        const held = activePointers.has(KEYBOARD_ID) || activePointers.has(GAMEPAD_ID);
+
+        ctx.save();
         ctx.beginPath();
-        ctx.arc(centerX, centerY, blade.centerRadius, 0, Math.PI * 2);
-        ctx.fillStyle = '#E8E8E8';
-        ctx.fill();
-        ctx.strokeStyle = '#CCCCCC';
+        ctx.arc(cursor.x, cursor.y, radius, 0, Math.PI * 2);
+        ctx.moveTo(cursor.x - 4, cursor.y);
+        ctx.lineTo(cursor.x + 4, cursor.y);
+        ctx.moveTo(cursor.x, cursor.y - 4);
+        ctx.lineTo(cursor.x, cursor.y + 4);
+        ctx.lineWidth = 4;
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.stroke();
         ctx.lineWidth = 2;
+        ctx.strokeStyle = held ? '#FFD500' : '#FFFFFF';
         ctx.stroke();
+        ctx.restore();
+    }
 
-        ctx.beginPath();
-        ctx.arc(centerX, centerY, blade.centerRadius * 0.5, 0, Math.PI * 2);
-        ctx.fillStyle = '#CCCCCC';
-        ctx.fill();
+    function drawGarden(alpha) {
+        renderer.render(ctx, shownGarden(), {
+            width: window.innerWidth,
+            height: window.innerHeight,
+            centerX,
+            centerY,
+            alpha: player ? player.alpha : (scrub ? 1 : alpha)
+        });
+    }
 
-        ctx.beginPath();
-        ctx.arc(centerX, centerY, 3, 0, Math.PI * 2);
-        ctx.fillStyle = '#999999';
-        ctx.fill();
+    // Debug overlay (?audit) proving the sand total stays constant
+    function drawMassAudit() {
+        const audit = shownGarden().massAudit();
+
+        ctx.font = '12px monospace';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.fillText(`mass ${audit.total.toFixed(3)}  carried ${audit.carried.toFixed(3)}`, 10, 20);
+        ctx.fillText(`drift ${audit.drift.toExponential(2)}`, 10, 36);
+    }
+
+    // A replay or the time-lapse stands in for the live garden
+    function shownGarden() {
+        if (player) return player.garden;
+        return scrub ? scrub.garden : garden;
     }
 
     // ==================== ANIMATION LOOP ====================
-    function animate() {
+    // SandLoop calls updateFrame once per displayed frame, then stepGarden
+    // for every fixed step that is due, then render. A replay keeps its own
+    // clock, so it advances here instead of through the steps.
+    function updateFrame(seconds) {
+        activePointers.forEach((pointer) => {
+            pointer.sampled = false;
+        });
+        if (player) {
+            player.update(seconds);
+            updateReplayControls();
+        } else if (!scrub) {
+            steerCursor(seconds);
+            if (sync) shareCursor();
+            if (ballPreview) advanceBallPreview(seconds);
+        }
+        if (sync) sync.tick(seconds);
+        // The sand moved over the steps run since the last sound update; a
+        // frame with no steps leaves the hiss as it is
+        if (player || scrub) unheardSeconds += seconds;
+        if (unheardSeconds > 0) {
+            AudioManager.playSandSound(shownGarden().takeSandMoved(), unheardSeconds);
+            unheardSeconds = 0;
+        }
+        updateDaylight(seconds);
+    }
+
+    function stepGarden(seconds) {
+        if (player || scrub) return;
+        unheardSeconds += seconds;
         processInteraction();
-        updateBlade();
-        render();
-        animationId = requestAnimationFrame(animate);
+        easeBladeSpeed(seconds);
+        host.step(seconds);
+        timeline.tick(garden, seconds);
+    }
+
+    // ==================== UPDATES ====================
+    // index.html hands over a new service worker once it is waiting. It
+    // takes over when asked, after the garden is saved; the page reloads
+    // onto the new version and picks the garden up from the autosave.
+    function setupUpdates() {
+        const reloadButton = document.getElementById('update-reload');
+        if (!reloadButton) return;
+
+        reloadButton.addEventListener('click', () => {
+            if (!updateWorker) return;
+            reloadButton.disabled = true;
+            navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+            autosave().then(() => updateWorker.postMessage({ type: 'skipWaiting' }));
+        });
     }
 
+    function offerUpdate(worker) {
+        updateWorker = worker;
+        const prompt = document.getElementById('update-prompt');
+        if (prompt) prompt.hidden = false;
+    }
+
+    window.ZenGarden = {
+        pause,
+        resume,
+        offerUpdate,
+        get paused() { return loop.paused; }
+    };
+
     // ==================== START ====================
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,95 @@
+/**
+ * Zen Sand Garden - Benchmark
+ * Times the same work animate() does per frame on a fixed-size garden,
+ * repeated for several grid resolutions.
+ */
+
+(function () {
+    'use strict';
+
+    const RESOLUTIONS = [1, 1.5, 2, 3, 4];
+    const GARDEN_RADIUS = 340;
+    const WARMUP_TICKS = 30;
+    const MEASURED_TICKS = 300;
+
+    const canvas = document.getElementById('preview');
+    const ctx = canvas.getContext('2d');
+    const results = document.getElementById('results');
+    const runButton = document.getElementById('run');
+
+    function benchmark(resolution) {
+        const garden = SandGarden.create({ radius: GARDEN_RADIUS, resolution });
+        const renderer = SandRenderer.create();
+        const layout = { width: canvas.width, height: canvas.height, centerX: canvas.width / 2, centerY: canvas.height / 2 };
+        garden.setRotationSpeed(0.008);
+
+        const stepTimes = [];
+        const renderTimes = [];
+
+        for (let i = 0; i < WARMUP_TICKS + MEASURED_TICKS; i++) {
+            // A finger circling the garden, like a visitor drawing a loop
+            const angle = i * 0.05;
+            const start = performance.now();
+            garden.dig(Math.cos(angle) * GARDEN_RADIUS * 0.5, Math.sin(angle) * GARDEN_RADIUS * 0.5);
+            garden.step();
+            const stepped = performance.now();
+            renderer.render(ctx, garden, layout);
+            const rendered = performance.now();
+
+            if (i >= WARMUP_TICKS) {
+                stepTimes.push(stepped - start);
+                renderTimes.push(rendered - stepped);
+            }
+        }
+
+        const ticks = stepTimes.map((t, i) => t + renderTimes[i]).sort((a, b) => a - b);
+        return {
+            resolution,
+            grid: `${garden.gridWidth}x${garden.gridHeight}`,
+            step: mean(stepTimes),
+            render: mean(renderTimes),
+            tick: mean(ticks),
+            p95: ticks[Math.floor(ticks.length * 0.95)]
+        };
+    }
+
+    function mean(values) {
+        return values.reduce((sum, v) => sum + v, 0) / values.length;
+    }
+
+    function addRow(result) {
+        const row = document.createElement('tr');
+        [
+            result.resolution,
+            result.grid,
+            result.step.toFixed(2),
+            result.render.toFixed(2),
+            result.tick.toFixed(2),
+            result.p95.toFixed(2)
+        ].forEach((value) => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        results.appendChild(row);
+    }
+
+    // One resolution per macrotask so the table fills in as it goes
+    function run() {
+        runButton.disabled = true;
+        results.textContent = '';
+
+        let index = 0;
+        function next() {
+            if (index >= RESOLUTIONS.length) {
+                runButton.disabled = false;
+                return;
+            }
+            addRow(benchmark(RESOLUTIONS[index++]));
+            setTimeout(next, 0);
+        }
+        next();
+    }
+
+    runButton.addEventListener('click', run);
+})();
@@ -0,0 +1,297 @@
+/**
+ * Zen Sand Garden - Audio
+ * Procedural sand sounds on the Web Audio API, nothing downloaded: a
+ * filtered-noise hiss with scattered grains that follows how much sand
+ * moves, over a quiet drone and wind bed.
+ *
+ * Works on any BaseAudioContext, so the graph can be rendered offline
+ * with an OfflineAudioContext.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./sand-garden.js'));
+    } else {
+        root.SandAudio = factory(root.SandGarden);
+    }
+})(typeof self !== 'undefined' ? self : this, function (SandGarden) {
+    'use strict';
+
+    // ==================== DEFAULTS ====================
+    const DEFAULTS = {
+        master: {
+            volume: 0.6,
+            muted: false,
+            fadeTime: 0.1         // Seconds to reach a new volume
+        },
+        hiss: {
+            reference: 3600,      // Sand moved per second that gives ~63% loudness
+            gain: 0.35,
+            frequency: 2200,      // Band-pass center of the continuous hiss
+            q: 0.6,
+            attack: 0.03,         // Time constants of the loudness envelope
+            release: 0.2
+        },
+        grains: {
+            rate: 90,             // Grains per second at full loudness
+            gain: 0.25,
+            frequency: 3500,      // High-pass cutoff; grains are the bright ticks
+            minDuration: 0.008,
+            maxDuration: 0.035
+        },
+        ambient: {
+            droneFrequency: 55,
+            droneGain: 0.04,
+            droneCutoff: 240,
+            windGain: 0.05,
+            windFrequency: 420,
+            windQ: 0.8,
+            gustRate: 0.07,       // Hz of the slow sweep through the wind band
+            gustDepth: 180,       // Hz the wind band sweeps by
+            fadeTime: 2
+        },
+        noiseSeconds: 2,
+        seed: 1
+    };
+
+    // Small seeded generator so offline renders come out the same every time
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    function createNoiseBuffer(context, seconds, random) {
+        const length = Math.max(1, Math.floor(context.sampleRate * seconds));
+        const buffer = context.createBuffer(1, length, context.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+            data[i] = random() * 2 - 1;
+        }
+        return buffer;
+    }
+
+    // ==================== FACTORY ====================
+    /**
+     * Build the sound graph on a context. Nothing plays until start().
+     * @param {BaseAudioContext} context - AudioContext or OfflineAudioContext
+     * @param {Object} [options]
+     * @param {Object} [options.config] - Overrides of DEFAULTS
+     * @param {AudioNode} [options.destination] - Defaults to context.destination
+     */
+    function create(context, options) {
+        options = options || {};
+        const config = SandGarden.mergeConfig(DEFAULTS, options.config);
+        const random = createRandom(config.seed);
+        const noise = createNoiseBuffer(context, config.noiseSeconds, random);
+
+        let volume = config.master.volume;
+        let muted = config.master.muted;
+        let started = false;
+        let lastUpdate = null;
+        let grainDebt = 0;
+        let hissLevel = 0;
+        const sources = [];
+
+        // ==================== GRAPH ====================
+        const master = context.createGain();
+        master.gain.value = muted ? 0 : volume;
+        master.connect(options.destination || context.destination);
+
+        // Continuous hiss: looping noise through a band-pass, level follows the sand
+        const hissFilter = context.createBiquadFilter();
+        hissFilter.type = 'bandpass';
+        hissFilter.frequency.value = config.hiss.frequency;
+        hissFilter.Q.value = config.hiss.q;
+        const hissGain = context.createGain();
+        hissGain.gain.value = 0;
+        hissFilter.connect(hissGain);
+        hissGain.connect(master);
+
+        // Grains share one bright filter; each grain brings its own envelope
+        const grainFilter = context.createBiquadFilter();
+        grainFilter.type = 'highpass';
+        grainFilter.frequency.value = config.grains.frequency;
+        grainFilter.connect(master);
+
+        // Ambient bed: two soft detuned oscillators and a slowly sweeping wind band
+        const ambientGain = context.createGain();
+        ambientGain.gain.value = 0;
+        ambientGain.connect(master);
+
+        const droneFilter = context.createBiquadFilter();
+        droneFilter.type = 'lowpass';
+        droneFilter.frequency.value = config.ambient.droneCutoff;
+        const droneGain = context.createGain();
+        droneGain.gain.value = config.ambient.droneGain;
+        droneFilter.connect(droneGain);
+        droneGain.connect(ambientGain);
+
+        const windFilter = context.createBiquadFilter();
+        windFilter.type = 'bandpass';
+        windFilter.frequency.value = config.ambient.windFrequency;
+        windFilter.Q.value = config.ambient.windQ;
+        const windGain = context.createGain();
+        windGain.gain.value = config.ambient.windGain;
+        windFilter.connect(windGain);
+        windGain.connect(ambientGain);
+
+        function loopNoise(destination) {
+            const source = context.createBufferSource();
+            source.buffer = noise;
+            source.loop = true;
+            source.connect(destination);
+            sources.push(source);
+            return source;
+        }
+
+        function oscillator(type, frequency, destination) {
+            const node = context.createOscillator();
+            node.type = type;
+            node.frequency.value = frequency;
+            node.connect(destination);
+            sources.push(node);
+            return node;
+        }
+
+        /**
+         * Start the looping sources. The hiss stays silent until update()
+         * reports moving sand; the ambient bed until playAmbient().
+         * @param {number} [when] - Context time, defaults to now
+         */
+        function start(when) {
+            if (started) return;
+            started = true;
+            const at = when === undefined ? context.currentTime : when;
+
+            loopNoise(hissFilter);
+            // Start the wind somewhere else in the buffer so it doesn't echo the hiss
+            const wind = loopNoise(windFilter);
+            oscillator('sine', config.ambient.droneFrequency, droneFilter);
+            oscillator('triangle', config.ambient.droneFrequency * 1.5 * 1.003, droneFilter);
+
+            const gust = context.createGain();
+            gust.gain.value = config.ambient.gustDepth;
+            gust.connect(windFilter.frequency);
+            oscillator('sine', config.ambient.gustRate, gust);
+
+            sources.forEach((source) => {
+                if (source === wind) source.start(at, config.noiseSeconds / 2);
+                else source.start(at);
+            });
+        }
+
+        function stop(when) {
+            const at = when === undefined ? context.currentTime : when;
+            sources.forEach((source) => source.stop(at));
+            sources.length = 0;
+            started = false;
+        }
+
+        // ==================== SAND ====================
+        /**
+         * Report how much sand moved over the last duration seconds (see
+         * garden.takeSandMoved()). Sets the hiss loudness from the rate, so
+         * it doesn't depend on how often this is called, and scatters grains
+         * over the interval that follows.
+         * @param {number} amount
+         * @param {number} [when] - Context time, defaults to now
+         * @param {number} [duration] - Seconds the amount was moved over,
+         *   and until the next update; defaults to the time since the
+         *   previous one
+         * @returns {number} loudness in [0, 1]
+         */
+        function update(amount, when, duration) {
+            const at = when === undefined ? context.currentTime : when;
+            if (duration === undefined) {
+                duration = lastUpdate === null ? 1 / 60 : Math.min(0.1, Math.max(0, at - lastUpdate));
+            }
+            lastUpdate = at;
+
+            // Updates at one moment (a context not yet running) count as a frame apart
+            const rate = Math.max(0, amount) / (duration > 0 ? duration : 1 / 60);
+            const level = 1 - Math.exp(-rate / config.hiss.reference);
+            // Track the target ourselves: gain.value lags behind scheduled
+            // changes, and offline contexts don't advance it until rendering
+            const target = level * config.hiss.gain;
+            hissGain.gain.setTargetAtTime(target, at, target > hissLevel ? config.hiss.attack : config.hiss.release);
+            hissLevel = target;
+
+            if (started) {
+                grainDebt += config.grains.rate * level * duration;
+                while (grainDebt >= 1) {
+                    grainDebt -= 1;
+                    playGrain(at + random() * duration, level);
+                }
+            }
+            return level;
+        }
+
+        function playGrain(at, level) {
+            const grains = config.grains;
+            const length = grains.minDuration + random() * (grains.maxDuration - grains.minDuration);
+            const peak = grains.gain * level * (0.4 + 0.6 * random());
+
+            const source = context.createBufferSource();
+            source.buffer = noise;
+            source.playbackRate.value = 0.8 + random() * 0.4;
+            const envelope = context.createGain();
+            envelope.gain.setValueAtTime(0, at);
+            envelope.gain.linearRampToValueAtTime(peak, at + length * 0.2);
+            envelope.gain.linearRampToValueAtTime(0, at + length);
+
+            source.connect(envelope);
+            envelope.connect(grainFilter);
+            source.start(at, random() * (config.noiseSeconds - length), length);
+            source.onended = () => envelope.disconnect();
+        }
+
+        // ==================== AMBIENT ====================
+        function playAmbient(when) {
+            const at = when === undefined ? context.currentTime : when;
+            ambientGain.gain.setTargetAtTime(1, at, config.ambient.fadeTime / 3);
+        }
+
+        function stopAmbient(when) {
+            const at = when === undefined ? context.currentTime : when;
+            ambientGain.gain.setTargetAtTime(0, at, config.ambient.fadeTime / 3);
+        }
+
+        // ==================== VOLUME ====================
+        function applyVolume() {
+            master.gain.setTargetAtTime(muted ? 0 : volume, context.currentTime, config.master.fadeTime / 3);
+        }
+
+        function setVolume(value) {
+            volume = Math.max(0, Math.min(1, value));
+            applyVolume();
+        }
+
+        function setMuted(value) {
+            muted = !!value;
+            applyVolume();
+        }
+
+        return {
+            config,
+            context,
+            output: master,
+            start,
+            stop,
+            update,
+            playAmbient,
+            stopAmbient,
+            setVolume,
+            setMuted,
+            get volume() { return volume; },
+            get muted() { return muted; }
+        };
+    }
+
+    return { create, DEFAULTS };
+});
@@ -0,0 +1,560 @@
+/**
+ * Zen Sand Garden - Export
+ * Turns a garden into files for printing and 3D tools, entirely in the
+ * browser: a high-resolution PNG rendering, 16-bit grayscale heightmaps
+ * (PNG and PGM), SVG contour lines and an STL/OBJ relief mesh.
+ *
+ * Heights are sampled at cell centers; samples outside the garden's edge
+ * are left out.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./sand-garden.js'), require('./sand-renderer.js'));
+    } else {
+        root.SandExport = factory(root.SandGarden, root.SandRenderer);
+    }
+})(typeof self !== 'undefined' ? self : this, function (SandGarden, SandRenderer) {
+    'use strict';
+
+    const DEFAULTS = {
+        image: {
+            size: 2048,          // Output pixels per side
+            maxCells: 2048       // Cap on the resampled grid, bounds memory
+        },
+        contours: {
+            interval: 0.5,       // Height units between lines
+            strokeWidth: 0.6,    // World units
+            color: '#3A342C'
+        },
+        relief: {
+            diameter: 100,       // Millimetres across the garden
+            base: 3,             // Millimetres of solid under the deepest groove
+            exaggeration: 3      // Vertical scale relative to horizontal
+        }
+    };
+
+    const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+    // ==================== SAMPLING ====================
+    // Everything below reads the grid through this: which samples lie in
+    // the garden, where they are, and the height range to scale by.
+    // heights defaults to the height map; any grid of the same size works.
+    function sampleGrid(garden, heights) {
+        const { gridWidth, gridHeight, resolution, shape, halfWidth, halfHeight } = garden;
+        heights = heights || garden.getHeightMap();
+        const inside = new Uint8Array(gridWidth * gridHeight);
+        let min = Infinity;
+        let max = -Infinity;
+
+        for (let y = 0; y < gridHeight; y++) {
+            const worldY = (y + 0.5) * resolution - halfHeight;
+            for (let x = 0; x < gridWidth; x++) {
+                const worldX = (x + 0.5) * resolution - halfWidth;
+                if (shape.distance(worldX, worldY) < 0) continue;
+
+                const index = y * gridWidth + x;
+                inside[index] = 1;
+                if (heights[index] < min) min = heights[index];
+                if (heights[index] > max) max = heights[index];
+            }
+        }
+
+        return {
+            width: gridWidth,
+            height: gridHeight,
+            heights,
+            inside,
+            min: min === Infinity ? 0 : min,
+            max: max === -Infinity ? 0 : max,
+            worldX: (x) => (x + 0.5) * resolution - halfWidth,
+            worldY: (y) => (y + 0.5) * resolution - halfHeight
+        };
+    }
+
+    // ==================== RENDERED IMAGE ====================
+    /**
+     * Render the garden as it looks on screen, minus the blade, at a fixed
+     * size along its longer side. The sand is resampled to about one cell per pixel first so the
+     * lighting stays sharp instead of being stretched from the screen grid.
+     * Needs a DOM canvas or OffscreenCanvas.
+     * @param {Object} garden
+     * @param {Object} [options] - { config: overrides, renderer: renderer config }
+     * @returns {Promise<Blob>} PNG
+     */
+    function renderImage(garden, options) {
+        const config = SandGarden.mergeConfig(DEFAULTS, options && options.config).image;
+        const renderer = SandRenderer.create({ config: options && options.renderer });
+        const frame = renderer.config.garden;
+        const extentX = garden.halfWidth + frame.frameWidth + frame.padding;
+        const extentY = garden.halfHeight + frame.frameWidth + frame.padding;
+        const scale = config.size / (2 * Math.max(extentX, extentY));
+
+        const resolution = Math.min(garden.resolution, Math.max(1 / scale, 2 * garden.radius / config.maxCells));
+        const detailed = SandGarden.create({ radius: garden.radius, resolution, shape: garden.shape.name });
+        detailed.restore(garden.snapshot());
+
+        const canvas = createCanvas(Math.round(2 * extentX * scale), Math.round(2 * extentY * scale));
+        const ctx = canvas.getContext('2d');
+        ctx.scale(scale, scale);
+        renderer.render(ctx, detailed, {
+            width: 2 * extentX,
+            height: 2 * extentY,
+            centerX: extentX,
+            centerY: extentY,
+            blade: false
+        });
+
+        if (canvas.convertToBlob) {
+            return canvas.convertToBlob({ type: 'image/png' });
+        }
+        return new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+    }
+
+    function createCanvas(width, height) {
+        if (typeof document !== 'undefined') {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            return canvas;
+        }
+        return new OffscreenCanvas(width, height);
+    }
+
+    // ==================== HEIGHTMAPS ====================
+    // Heights map linearly from the garden's minHeight..maxHeight onto
+    // 0..65535, the same for every export, so files can be compared and
+    // turned back into heights. Samples outside the garden read as flat sand.
+    function heightLevels(garden) {
+        const grid = sampleGrid(garden);
+        const low = garden.config.touch.minHeight;
+        const high = garden.config.touch.maxHeight;
+        const levels = new Uint16Array(grid.width * grid.height);
+        const flat = Math.round((0 - low) / (high - low) * 65535);
+
+        for (let i = 0; i < levels.length; i++) {
+            levels[i] = grid.inside[i]
+                ? Math.round(Math.max(0, Math.min(1, (grid.heights[i] - low) / (high - low))) * 65535)
+                : flat;
+        }
+        return { levels, width: grid.width, height: grid.height };
+    }
+
+    /**
+     * Binary PGM (P5) with 16-bit samples.
+     * @returns {Uint8Array}
+     */
+    function heightmapPgm(garden) {
+        const { levels, width, height } = heightLevels(garden);
+        const header = new TextEncoder().encode(`P5\n${width} ${height}\n65535\n`);
+        const bytes = new Uint8Array(header.length + levels.length * 2);
+        bytes.set(header, 0);
+
+        const view = new DataView(bytes.buffer);
+        for (let i = 0; i < levels.length; i++) {
+            view.setUint16(header.length + i * 2, levels[i], false);
+        }
+        return bytes;
+    }
+
+    /**
+     * 16-bit grayscale PNG.
+     * @returns {Promise<Uint8Array>}
+     */
+    async function heightmapPng(garden) {
+        const { levels, width, height } = heightLevels(garden);
+
+        // Each row: filter type 0, then big-endian samples
+        const stride = 1 + width * 2;
+        const raw = new Uint8Array(stride * height);
+        const view = new DataView(raw.buffer);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                view.setUint16(y * stride + 1 + x * 2, levels[y * width + x], false);
+            }
+        }
+
+        const header = new Uint8Array(13);
+        const headerView = new DataView(header.buffer);
+        headerView.setUint32(0, width, false);
+        headerView.setUint32(4, height, false);
+        header[8] = 16;  // Bit depth
+        header[9] = 0;   // Grayscale
+
+        const chunks = [
+            pngChunk('IHDR', header),
+            pngChunk('IDAT', await zlibCompress(raw)),
+            pngChunk('IEND', new Uint8Array(0))
+        ];
+        return concat([new Uint8Array(PNG_SIGNATURE)].concat(chunks));
+    }
+
+    function pngChunk(type, data) {
+        const chunk = new Uint8Array(12 + data.length);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, data.length, false);
+        for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+        chunk.set(data, 8);
+        view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)), false);
+        return chunk;
+    }
+
+    let crcTable = null;
+
+    function crc32(bytes) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // PNG wants zlib framing. Without CompressionStream the data goes into
+    // stored (uncompressed) deflate blocks, which every decoder accepts.
+    async function zlibCompress(bytes) {
+        if (typeof CompressionStream !== 'undefined' && typeof Response !== 'undefined') {
+            const stream = new Response(bytes).body.pipeThrough(new CompressionStream('deflate'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        }
+
+        const blockSize = 65535;
+        const blocks = Math.max(1, Math.ceil(bytes.length / blockSize));
+        const out = new Uint8Array(2 + bytes.length + blocks * 5 + 4);
+        const view = new DataView(out.buffer);
+        out[0] = 0x78;
+        out[1] = 0x01;
+
+        let offset = 2;
+        for (let block = 0; block < blocks; block++) {
+            const data = bytes.subarray(block * blockSize, (block + 1) * blockSize);
+            out[offset] = block === blocks - 1 ? 1 : 0;
+            view.setUint16(offset + 1, data.length, true);
+            view.setUint16(offset + 3, ~data.length & 0xFFFF, true);
+            out.set(data, offset + 5);
+            offset += 5 + data.length;
+        }
+        view.setUint32(offset, adler32(bytes), false);
+        return out;
+    }
+
+    function adler32(bytes) {
+        let a = 1;
+        let b = 0;
+        for (let i = 0; i < bytes.length; i++) {
+            a = (a + bytes[i]) % 65521;
+            b = (b + a) % 65521;
+        }
+        return ((b << 16) | a) >>> 0;
+    }
+
+    function concat(parts) {
+        const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        parts.forEach((part) => {
+            out.set(part, offset);
+            offset += part.length;
+        });
+        return out;
+    }
+
+    // ==================== CONTOURS ====================
+    // Marching squares: which square edges a level crosses, by corner case
+    // (top-left 8, top-right 4, bottom-right 2, bottom-left 1 set when the
+    // corner is at or above the level). Edges are T, R, B, L; the two
+    // saddle cases are settled by the average of the four corners.
+    const SEGMENTS = [
+        [], [['L', 'B']], [['B', 'R']], [['L', 'R']],
+        [['T', 'R']], null, [['T', 'B']], [['T', 'L']],
+        [['T', 'L']], [['T', 'B']], null, [['T', 'R']],
+        [['L', 'R']], [['B', 'R']], [['L', 'B']], []
+    ];
+
+    /**
+     * Trace iso-height lines at every multiple of the interval.
+     * @param {Object} garden
+     * @param {Object} [options] - { config: overrides }
+     * @returns {string} SVG document, in world units around the center
+     */
+    function contourSvg(garden, options) {
+        const config = SandGarden.mergeConfig(DEFAULTS, options && options.config).contours;
+        const grid = sampleGrid(garden);
+        const { halfWidth, halfHeight } = garden;
+        const edge = garden.shape.outline(0).map((point) => point.map(round).join(' ')).join('L');
+        const paths = [];
+
+        const first = Math.ceil(grid.min / config.interval);
+        const last = Math.floor(grid.max / config.interval);
+        for (let step = first; step <= last; step++) {
+            const level = step * config.interval;
+            const data = traceLevel(grid, level).map((line) =>
+                'M' + line.points.map((point) => point.map(round).join(' ')).join('L') + (line.closed ? 'Z' : '')
+            ).join('');
+            if (data) {
+                paths.push(`<path data-level="${round(level)}" d="${data}"/>`);
+            }
+        }
+
+        const stones = garden.getStones().map((stone) =>
+            `<ellipse cx="${round(stone.x)}" cy="${round(stone.y)}" rx="${round(stone.rx)}" ry="${round(stone.ry)}" ` +
+            `transform="rotate(${round(stone.rotation * 180 / Math.PI)} ${round(stone.x)} ${round(stone.y)})"/>`);
+
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${round(-halfWidth)} ${round(-halfHeight)} ` +
+                `${round(2 * halfWidth)} ${round(2 * halfHeight)}" width="${round(2 * halfWidth)}" height="${round(2 * halfHeight)}">`,
+            `<path d="M${edge}Z" fill="none" stroke="${config.color}" stroke-width="${config.strokeWidth * 2}"/>`,
+            `<g fill="none" stroke="${config.color}" stroke-width="${config.strokeWidth}" stroke-linejoin="round">`,
+            ...paths,
+            '</g>',
+            `<g fill="${config.color}" fill-opacity="0.25" stroke="${config.color}" stroke-width="${config.strokeWidth}">`,
+            ...stones,
+            '</g>',
+            '</svg>'
+        ].join('\n');
+    }
+
+    /**
+     * Iso-height lines of a grid as polylines in world coordinates.
+     * @param {Object} garden
+     * @param {number} level
+     * @param {Float32Array} [heights] - Grid to trace, defaults to the height map
+     * @returns {Array} [{ points: [[x, y], ...], closed }]
+     */
+    function traceContours(garden, level, heights) {
+        return traceLevel(sampleGrid(garden, heights), level);
+    }
+
+    // Segments found square by square, joined into polylines
+    function traceLevel(grid, level) {
+        const { width, height, heights, inside } = grid;
+        const verticalBase = width * height;
+        const points = new Map();     // Edge id -> [x, y] of the crossing
+        const neighbors = new Map();  // Edge id -> edge ids it connects to
+
+        const edgeId = (x, y, edge) => {
+            if (edge === 'T') return y * width + x;
+            if (edge === 'B') return (y + 1) * width + x;
+            if (edge === 'L') return verticalBase + y * width + x;
+            return verticalBase + y * width + x + 1;
+        };
+
+        const crossing = (x, y, edge) => {
+            const id = edgeId(x, y, edge);
+            if (!points.has(id)) {
+                let ax = x, ay = y, bx = x + 1, by = y;
+                if (edge === 'B') { ay = by = y + 1; }
+                else if (edge === 'L') { bx = x; by = y + 1; }
+                else if (edge === 'R') { ax = bx = x + 1; by = y + 1; }
+                const a = heights[ay * width + ax];
+                const b = heights[by * width + bx];
+                const t = a === b ? 0.5 : (level - a) / (b - a);
+                points.set(id, [
+                    grid.worldX(ax + (bx - ax) * t),
+                    grid.worldY(ay + (by - ay) * t)
+                ]);
+            }
+            return id;
+        };
+
+        const link = (a, b) => {
+            if (!neighbors.has(a)) neighbors.set(a, []);
+            if (!neighbors.has(b)) neighbors.set(b, []);
+            neighbors.get(a).push(b);
+            neighbors.get(b).push(a);
+        };
+
+        for (let y = 0; y < height - 1; y++) {
+            for (let x = 0; x < width - 1; x++) {
+                const tl = y * width + x;
+                const tr = tl + 1;
+                const bl = tl + width;
+                const br = bl + 1;
+                if (!inside[tl] || !inside[tr] || !inside[bl] || !inside[br]) continue;
+
+                const index = (heights[tl] >= level ? 8 : 0) | (heights[tr] >= level ? 4 : 0) |
+                    (heights[br] >= level ? 2 : 0) | (heights[bl] >= level ? 1 : 0);
+                let segments = SEGMENTS[index];
+                if (!segments) {
+                    const centerHigh = (heights[tl] + heights[tr] + heights[bl] + heights[br]) / 4 >= level;
+                    if (index === 5) {
+                        segments = centerHigh ? [['T', 'L'], ['B', 'R']] : [['T', 'R'], ['L', 'B']];
+                    } else {
+                        segments = centerHigh ? [['T', 'R'], ['L', 'B']] : [['T', 'L'], ['B', 'R']];
+                    }
+                }
+
+                segments.forEach(([from, to]) => link(crossing(x, y, from), crossing(x, y, to)));
+            }
+        }
+
+        // Walk the segment graph: open chains first (from their ends), then loops
+        const visited = new Set();
+        const lines = [];
+        const walk = (start) => {
+            const chain = [start];
+            visited.add(start);
+            let current = start;
+            for (;;) {
+                const next = neighbors.get(current).find((id) => !visited.has(id));
+                if (next === undefined) break;
+                visited.add(next);
+                chain.push(next);
+                current = next;
+            }
+            const closed = chain.length > 2 && neighbors.get(current).includes(start);
+            lines.push({ points: chain.map((id) => points.get(id)), closed });
+        };
+
+        neighbors.forEach((links, id) => {
+            if (links.length === 1 && !visited.has(id)) walk(id);
+        });
+        neighbors.forEach((links, id) => {
+            if (!visited.has(id)) walk(id);
+        });
+
+        return lines;
+    }
+
+    function round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    // ==================== RELIEF MESH ====================
+    /**
+     * Build a closed, printable relief: the sand surface on top, a flat
+     * bottom and walls around the rim. Millimetres, z up, the garden's
+     * screen-up toward +y.
+     * @returns {Object} { positions: Float32Array (xyz), triangles: Uint32Array }
+     */
+    function reliefMesh(garden, options) {
+        const config = SandGarden.mergeConfig(DEFAULTS, options && options.config).relief;
+        const grid = sampleGrid(garden);
+        const { width, height, heights, inside } = grid;
+        const scale = config.diameter / (2 * garden.radius);
+        const lift = scale * config.exaggeration;
+
+        // Top vertices first, then a matching bottom vertex for each
+        const vertexOf = new Int32Array(width * height).fill(-1);
+        let count = 0;
+        for (let i = 0; i < vertexOf.length; i++) {
+            if (inside[i]) vertexOf[i] = count++;
+        }
+
+        const positions = new Float32Array(count * 6);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const vertex = vertexOf[y * width + x];
+                if (vertex < 0) continue;
+                const px = grid.worldX(x) * scale;
+                const py = -grid.worldY(y) * scale;
+                positions.set([px, py, config.base + (heights[y * width + x] - grid.min) * lift], vertex * 3);
+                positions.set([px, py, 0], (count + vertex) * 3);
+            }
+        }
+
+        const triangles = [];
+        const edgeUses = new Map();  // Undirected edge -> the directed edge, or null once shared
+        const addTop = (a, b, c) => {
+            triangles.push(a, b, c, count + a, count + c, count + b);
+            [[a, b], [b, c], [c, a]].forEach(([from, to]) => {
+                const key = Math.min(from, to) * count + Math.max(from, to);
+                edgeUses.set(key, edgeUses.has(key) ? null : [from, to]);
+            });
+        };
+
+        // Counterclockwise seen from above with y flipped
+        for (let y = 0; y < height - 1; y++) {
+            for (let x = 0; x < width - 1; x++) {
+                const tl = vertexOf[y * width + x];
+                const tr = vertexOf[y * width + x + 1];
+                const bl = vertexOf[(y + 1) * width + x];
+                const br = vertexOf[(y + 1) * width + x + 1];
+                if (tl < 0 || tr < 0 || bl < 0 || br < 0) continue;
+                addTop(tl, bl, br);
+                addTop(tl, br, tr);
+            }
+        }
+
+        // An edge only one top triangle uses is on the rim; drop a wall from it
+        edgeUses.forEach((edge) => {
+            if (!edge) return;
+            const [a, b] = edge;
+            triangles.push(a, count + a, count + b, a, count + b, b);
+        });
+
+        return { positions, triangles: new Uint32Array(triangles) };
+    }
+
+    /**
+     * Binary STL of reliefMesh().
+     * @returns {Uint8Array}
+     */
+    function reliefStl(garden, options) {
+        const { positions, triangles } = reliefMesh(garden, options);
+        const faces = triangles.length / 3;
+        const bytes = new Uint8Array(84 + faces * 50);
+        const view = new DataView(bytes.buffer);
+        bytes.set(new TextEncoder().encode('Zen Sand Garden relief'), 0);
+        view.setUint32(80, faces, true);
+
+        for (let f = 0; f < faces; f++) {
+            const offset = 84 + f * 50;
+            const corners = [0, 1, 2].map((k) => positions.subarray(triangles[f * 3 + k] * 3, triangles[f * 3 + k] * 3 + 3));
+            const normal = faceNormal(corners[0], corners[1], corners[2]);
+            normal.forEach((value, k) => view.setFloat32(offset + k * 4, value, true));
+            corners.forEach((corner, c) => {
+                for (let k = 0; k < 3; k++) {
+                    view.setFloat32(offset + 12 + c * 12 + k * 4, corner[k], true);
+                }
+            });
+        }
+        return bytes;
+    }
+
+    function faceNormal(a, b, c) {
+        const ux = b[0] - a[0], uy = b[1] - a[1], uz = b[2] - a[2];
+        const vx = c[0] - a[0], vy = c[1] - a[1], vz = c[2] - a[2];
+        const nx = uy * vz - uz * vy;
+        const ny = uz * vx - ux * vz;
+        const nz = ux * vy - uy * vx;
+        const length = Math.sqrt(nx * nx + ny * ny + nz * nz) || 1;
+        return [nx / length, ny / length, nz / length];
+    }
+
+    /**
+     * Wavefront OBJ of reliefMesh().
+     * @returns {string}
+     */
+    function reliefObj(garden, options) {
+        const { positions, triangles } = reliefMesh(garden, options);
+        const lines = ['# Zen Sand Garden relief, millimetres'];
+        for (let i = 0; i < positions.length; i += 3) {
+            lines.push(`v ${positions[i].toFixed(3)} ${positions[i + 1].toFixed(3)} ${positions[i + 2].toFixed(3)}`);
+        }
+        for (let i = 0; i < triangles.length; i += 3) {
+            lines.push(`f ${triangles[i] + 1} ${triangles[i + 1] + 1} ${triangles[i + 2] + 1}`);
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    return {
+        renderImage,
+        heightmapPng,
+        heightmapPgm,
+        contourSvg,
+        traceContours,
+        reliefMesh,
+        reliefStl,
+        reliefObj,
+        DEFAULTS
+    };
+});
@@ -0,0 +1,1676 @@
+/**
+ * Zen Sand Garden - Simulation
+ * Headless sand simulation: height map, digging, blade sweep and spreading.
+ * Has no DOM dependency so it can run in Node, a worker or a test harness.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./sand-patterns.js'), require('./sand-shapes.js'));
+    } else {
+        root.SandGarden = factory(root.SandPatterns, root.SandShapes);
+    }
+})(typeof self !== 'undefined' ? self : this, function (SandPatterns, SandShapes) {
+    'use strict';
+
+    // ==================== DEFAULTS ====================
+    const DEFAULTS = {
+        // Blade settings
+        blade: {
+            baseRotationSpeed: 0.18,  // Radians per second
+            pushStrength: 1.5,    // Per second of contact; much slower healing - many passes needed
+            settleRate: 9,        // Per second: sand within 1.5 of the target closes the gap this fast
+            snapSpeed: 6,         // Height units per second the last 0.1 to the target goes at
+            flattenSpeed: 120,    // Height units per second smoothing arms level shallow sand by
+            carryCapacity: 0.5,   // Sand the blade holds per cell of its length before spilling ahead
+            layout: 'classic',    // Key of BLADE_LAYOUTS
+            arms: null,           // Or an explicit [{ angle (radians from the first arm), role }]
+            reverse: false,       // Turn the other way (counterclockwise on screen)
+            ploughSpacing: 24,    // World units between the furrows a plough arm cuts
+            ploughDepth: 2,
+            spiralStep: 1,        // Groove spacings a spiral comb's grooves move outward per turn
+            pivotOffset: 0,       // Hub distance from the garden center, as a fraction of the radius
+            orbitSpeed: 0         // Radians per second the hub circles the center
+        },
+
+        // Wave pattern followed by the comb side (see sand-patterns.js)
+        waves: {
+            amplitude: 1.0,
+            pattern: 'ripples',
+            params: {}
+        },
+
+        // Interaction - digging holes
+        touch: {
+            radius: 35,
+            digStrength: 0.25,
+            duneSpreadRadius: 4,  // How far the displaced sand spreads
+            maxHeight: 6,
+            minHeight: -6
+        },
+
+        // Drawing tools (world units unless noted)
+        tools: {
+            grooveDepth: 1.5,     // Height units below flat sand a tine carves to
+            ridgeWidth: 4,        // Strip beside a groove that receives its sand
+            stylusWidth: 5,
+            rakeTines: 5,
+            rakeTineSpacing: 12,
+            rakeTineWidth: 4,
+            trowelWidth: 40,
+            trowelLength: 10,
+            trowelStrength: 0.3,  // Fraction of the way to the local mean per stamp
+            maxStamps: 200        // Per stroke segment, bounds the cost of a wild drag
+        },
+
+        // Stones resting on the sand
+        stones: {
+            haloRings: 4,  // Ripple rings the comb draws around each stone
+            haloGap: 3     // World units of bare sand between a stone and its first ring
+        },
+
+        // Simulation
+        simulation: {
+            shape: 'circle',     // Key of SandShapes; fixed for a garden's life like the grid
+            gridResolution: 2,
+            normalRate: 0.92,
+            disturbanceThreshold: 0.3,  // Lower threshold = cleaner result
+            spreadRadius: 6,
+            conserveMass: true,  // Blade and dunes move sand instead of creating/destroying it
+            angleOfRepose: 34,   // Degrees; steeper slopes slump (height units are world pixels)
+            slumpRate: 0.5,      // Fraction of the excess slope moved per pass
+            slumpIterations: 1   // Relaxation passes per step, 0 disables slumping
+        }
+    };
+
+    const TEETH_SPACING = 12;
+    const TILE_SIZE = 16;  // Cells per side of a change-tracking tile
+    const DEPOSIT_PASSES = 8;
+    const STEP_SECONDS = 1 / 60;  // The fixed timestep the app drives step() with
+    const WEDGE_SECONDS = 8 / 60; // Blade travel time covered by one sweep
+    const TOOLS = ['dig', 'rake', 'stylus', 'trowel'];
+
+    // What an arm of the blade does as it sweeps:
+    //   comb   - draws the garden's pattern
+    //   smooth - flattens
+    //   plough - cuts deep concentric furrows around the hub
+    //   spiral - combs grooves that move outward each turn, leaving a spiral
+    const BLADE_ROLES = ['comb', 'smooth', 'plough', 'spiral'];
+
+    const BLADE_LAYOUTS = {
+        classic: { label: 'Comb and smoother', arms: [{ angle: 0, role: 'comb' }, { angle: Math.PI, role: 'smooth' }] },
+        triple: {
+            label: 'Three arms',
+            arms: [{ angle: 0, role: 'comb' }, { angle: Math.PI * 2 / 3, role: 'smooth' }, { angle: Math.PI * 4 / 3, role: 'comb' }]
+        },
+        cross: {
+            label: 'Four arms',
+            arms: [
+                { angle: 0, role: 'comb' }, { angle: Math.PI / 2, role: 'smooth' },
+                { angle: Math.PI, role: 'comb' }, { angle: Math.PI * 1.5, role: 'smooth' }
+            ]
+        },
+        plough: { label: 'Plough and smoother', arms: [{ angle: 0, role: 'plough' }, { angle: Math.PI, role: 'smooth' }] },
+        spiral: { label: 'Spiral comb', arms: [{ angle: 0, role: 'spiral' }, { angle: Math.PI, role: 'smooth' }] }
+    };
+
+    /**
+     * How every module applies config overrides to its DEFAULTS: a section
+     * (an object) is merged one level deep, any other value is replaced,
+     * and sections the defaults don't have are kept as given.
+     */
+    function mergeConfig(base, overrides) {
+        const result = {};
+        Object.keys(base).forEach((key) => {
+            const override = overrides ? overrides[key] : undefined;
+            if (base[key] !== null && typeof base[key] === 'object' && !Array.isArray(base[key])) {
+                result[key] = Object.assign({}, base[key], override);
+            } else {
+                result[key] = override !== undefined ? override : base[key];
+            }
+        });
+        if (overrides) {
+            Object.keys(overrides).forEach((key) => {
+                if (!(key in result)) result[key] = overrides[key];
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Bilinear resample of a row-major grid covering the same rectangle onto
+     * another size. Cell centers are matched, edges clamp.
+     * @returns {Float32Array}
+     */
+    function resampleGrid(source, sourceWidth, sourceHeight, width, height) {
+        const result = new Float32Array(width * height);
+        const scaleX = sourceWidth / width;
+        const scaleY = sourceHeight / height;
+
+        for (let y = 0; y < height; y++) {
+            const sy = Math.min(sourceHeight - 1, Math.max(0, (y + 0.5) * scaleY - 0.5));
+            const y0 = Math.floor(sy);
+            const y1 = Math.min(sourceHeight - 1, y0 + 1);
+            const fy = sy - y0;
+
+            for (let x = 0; x < width; x++) {
+                const sx = Math.min(sourceWidth - 1, Math.max(0, (x + 0.5) * scaleX - 0.5));
+                const x0 = Math.floor(sx);
+                const x1 = Math.min(sourceWidth - 1, x0 + 1);
+                const fx = sx - x0;
+
+                const top = source[y0 * sourceWidth + x0] * (1 - fx) + source[y0 * sourceWidth + x1] * fx;
+                const bottom = source[y1 * sourceWidth + x0] * (1 - fx) + source[y1 * sourceWidth + x1] * fx;
+                result[y * width + x] = top * (1 - fy) + bottom * fy;
+            }
+        }
+
+        return result;
+    }
+
+    function checkBlade(blade) {
+        if (blade.layout !== undefined && !BLADE_LAYOUTS[blade.layout]) {
+            throw new Error(`Unknown blade layout: ${blade.layout}`);
+        }
+        (blade.arms || []).forEach((arm) => {
+            if (BLADE_ROLES.indexOf(arm.role) < 0) {
+                throw new Error(`Unknown blade role: ${arm.role}`);
+            }
+        });
+    }
+
+    // ==================== FACTORY ====================
+    /**
+     * Create a sand garden simulation.
+     * @param {Object} options
+     * @param {number} options.radius - Garden radius in world units (pixels):
+     *   half its larger extent for shapes that aren't round
+     * @param {number} [options.resolution] - World units per grid cell
+     * @param {string} [options.shape] - SandShapes name, defaults to simulation.shape
+     * @param {Object} [options.config] - Partial config merged over DEFAULTS
+     * @param {string} [options.pattern] - Comb pattern name, defaults to waves.pattern
+     * @param {Object} [options.patternParams] - Overrides of the pattern's parameters
+     */
+    function create(options) {
+        const config = mergeConfig(DEFAULTS, options.config);
+        checkBlade(config.blade);
+        const radius = options.radius;
+        const resolution = options.resolution || config.simulation.gridResolution;
+        const shape = SandShapes.create(options.shape || config.simulation.shape, radius);
+        config.simulation.shape = shape.name;
+
+        // The grid covers the shape's bounding box, extentX and extentY either
+        // side of world (0, 0) at its center
+        const extentX = shape.halfWidth;
+        const extentY = shape.halfHeight;
+        const gridWidth = Math.ceil((extentX * 2) / resolution);
+        const gridHeight = Math.ceil((extentY * 2) / resolution);
+        const teethCount = Math.floor((radius - 20) / TEETH_SPACING);
+        const cellCount = gridWidth * gridHeight;
+        const linear = shape.sweep === 'linear';
+
+        // Row-major grids: cell (x, y) lives at index y * gridWidth + x
+        const heightMap = new Float32Array(cellCount);
+        const targetHeightMap = new Float32Array(cellCount);
+        let bladeAngle = 0;
+        let previousBladeAngle = 0;
+        let pivotAngle = 0;          // Where an off-center hub is on its orbit
+        let previousPivotAngle = 0;
+        let spiralShift = 0;         // How far spiral grooves have moved out, world units
+        let rotationSpeed = config.blade.baseRotationSpeed;
+        let patternName = options.pattern || config.waves.pattern;
+        let patternParams = Object.assign({}, config.waves.params, options.patternParams);
+
+        // Sand riding on the blade, one bin per grid step along its length.
+        // Shared by both sides: what the smooth side scrapes up the comb side lays down.
+        // A linear rake spans the garden and carries one bin per grid row.
+        const bladeInner = 20;
+        const bladeLength = linear ? extentY - 5 : shape.reach - 5;
+        const rakeTravel = extentX - 5;  // How far either side of center the rake goes
+        const bladeLoad = new Float64Array(linear
+            ? gridHeight
+            : Math.max(0, Math.ceil((bladeLength - bladeInner) / resolution)));
+        let initialMass = 0;
+
+        // Sand shifted by the blade and the tools since takeSandMoved() was
+        // last called; feeds the sand sounds
+        let sandMoved = 0;
+
+        // Change tracking in TILE_SIZE square tiles. dirtyTiles is drained by
+        // the renderer; activeTiles tells the slumping pass where to look.
+        const tilesX = Math.ceil(gridWidth / TILE_SIZE);
+        const tilesY = Math.ceil(gridHeight / TILE_SIZE);
+        const dirtyTiles = new Uint8Array(tilesX * tilesY);
+        const activeTiles = new Uint8Array(tilesX * tilesY);
+        // Grid rectangle the drawing tools changed since takeTouched()
+        let touched = null;
+
+        // Cells that hold sand; slumping never moves sand across the rim
+        const insideMask = new Uint8Array(cellCount);
+        for (let y = 0; y < gridHeight; y++) {
+            for (let x = 0; x < gridWidth; x++) {
+                const worldX = (x * resolution) - extentX;
+                const worldY = (y * resolution) - extentY;
+                if (shape.contains(worldX, worldY, 5)) {
+                    insideMask[y * gridWidth + x] = 1;
+                }
+            }
+        }
+
+        // Stones freeze the sand beneath them. openMask is insideMask minus
+        // stone cells: the cells tools, the blade and slumping may change.
+        let stones = [];
+        let nextStoneId = 1;
+        const stoneMask = new Uint8Array(cellCount);
+        const openMask = insideMask.slice();
+
+        // ==================== GRID ====================
+        function initHeightMap() {
+            heightMap.fill(0);
+            targetHeightMap.fill(0);
+
+            calculateTargetWavePattern();
+            applyInitialPattern();
+
+            bladeLoad.fill(0);
+            initialMass = totalMass();
+            markDirty(0, 0, gridWidth - 1, gridHeight - 1);
+        }
+
+        function calculateTargetWavePattern() {
+            const sample = SandPatterns.createSampler(patternName, patternParams, { radius, teethCount });
+
+            for (let y = 0; y < gridHeight; y++) {
+                for (let x = 0; x < gridWidth; x++) {
+                    const worldX = (x * resolution) - extentX;
+                    const worldY = (y * resolution) - extentY;
+
+                    if (shape.contains(worldX, worldY, 5)) {
+                        targetHeightMap[y * gridWidth + x] = sample(worldX, worldY) * config.waves.amplitude;
+                    }
+                }
+            }
+
+            applyStoneHalos();
+        }
+
+        /**
+         * Switch the comb side to another pattern. The sand is not touched;
+         * the blade reshapes it gradually on its next passes.
+         * @param {string} name - Registered pattern name
+         * @param {Object} [params] - Overrides of the pattern's parameters
+         */
+        function setPattern(name, params) {
+            if (!SandPatterns.get(name)) {
+                throw new Error(`Unknown sand pattern: ${name}`);
+            }
+            patternName = name;
+            patternParams = Object.assign({}, params);
+            calculateTargetWavePattern();
+        }
+
+        /**
+         * Change settings of a running garden, section by section like the
+         * config given to create(). The comb target is rebuilt when its
+         * inputs change. The grid resolution and shape are fixed for a
+         * garden's life; resample into a new garden to change them.
+         * @param {Object} overrides - { section: { key: value } }
+         */
+        function configure(overrides) {
+            if (overrides.blade) checkBlade(overrides.blade);
+            Object.keys(overrides).forEach((key) => {
+                if (config[key]) Object.assign(config[key], overrides[key]);
+            });
+            if (overrides.waves || overrides.stones) {
+                calculateTargetWavePattern();
+            }
+        }
+
+        // ==================== STONES ====================
+        /**
+         * Place a stone. Coordinates are relative to the garden center.
+         * @param {Object} stone - { x, y, rx, ry, rotation (radians), tone (0-1) }
+         * @returns {number} id of the new stone
+         */
+        function addStone(stone) {
+            const id = nextStoneId++;
+            stones.push({
+                id,
+                x: stone.x,
+                y: stone.y,
+                rx: stone.rx,
+                ry: stone.ry === undefined ? stone.rx : stone.ry,
+                rotation: stone.rotation || 0,
+                tone: stone.tone === undefined ? 0.5 : stone.tone
+            });
+            stonesChanged();
+            return id;
+        }
+
+        function moveStone(id, x, y) {
+            const stone = stones.find(s => s.id === id);
+            if (!stone) return false;
+            markStoneDirty(stone);
+            stone.x = x;
+            stone.y = y;
+            stonesChanged();
+            return true;
+        }
+
+        function removeStone(id) {
+            const stone = stones.find(s => s.id === id);
+            if (!stone) return false;
+            markStoneDirty(stone);
+            stones = stones.filter(s => s !== stone);
+            stonesChanged();
+            return true;
+        }
+
+        function getStones() {
+            return stones.map(stone => Object.assign({}, stone));
+        }
+
+        /**
+         * @returns {number|null} id of the topmost stone covering the point
+         */
+        function stoneAt(x, y) {
+            for (let i = stones.length - 1; i >= 0; i--) {
+                if (stoneDistance(stones[i], x, y) <= 0) return stones[i].id;
+            }
+            return null;
+        }
+
+        // Signed distance to a stone's outline; exact for round stones and
+        // close enough for the ripple halo of elliptical ones
+        function stoneDistance(stone, x, y) {
+            const cos = Math.cos(stone.rotation);
+            const sin = Math.sin(stone.rotation);
+            const u = (x - stone.x) * cos + (y - stone.y) * sin;
+            const v = -(x - stone.x) * sin + (y - stone.y) * cos;
+            const dist = Math.sqrt(u * u + v * v);
+            const k = Math.sqrt((u / stone.rx) * (u / stone.rx) + (v / stone.ry) * (v / stone.ry));
+            return k > 0 ? dist - dist / k : -Math.min(stone.rx, stone.ry);
+        }
+
+        function stoneBounds(stone, margin) {
+            const extent = Math.max(stone.rx, stone.ry) + margin;
+            return {
+                x0: Math.floor((stone.x - extent + extentX) / resolution),
+                y0: Math.floor((stone.y - extent + extentY) / resolution),
+                x1: Math.ceil((stone.x + extent + extentX) / resolution),
+                y1: Math.ceil((stone.y + extent + extentY) / resolution)
+            };
+        }
+
+        function markStoneDirty(stone) {
+            const b = stoneBounds(stone, resolution);
+            markDirty(b.x0, b.y0, b.x1, b.y1);
+        }
+
+        function stonesChanged() {
+            stoneMask.fill(0);
+            stones.forEach((stone) => {
+                const b = stoneBounds(stone, 0);
+                for (let gy = Math.max(0, b.y0); gy <= Math.min(gridHeight - 1, b.y1); gy++) {
+                    for (let gx = Math.max(0, b.x0); gx <= Math.min(gridWidth - 1, b.x1); gx++) {
+                        const cx = (gx + 0.5) * resolution - extentX;
+                        const cy = (gy + 0.5) * resolution - extentY;
+                        if (stoneDistance(stone, cx, cy) <= 0) {
+                            stoneMask[gy * gridWidth + gx] = 1;
+                        }
+                    }
+                }
+                markStoneDirty(stone);
+            });
+
+            for (let i = 0; i < cellCount; i++) {
+                openMask[i] = insideMask[i] && !stoneMask[i] ? 1 : 0;
+            }
+
+            calculateTargetWavePattern();
+        }
+
+        /**
+         * Around each stone the comb follows the stone's outline in
+         * concentric rings, fading into the garden pattern beyond the halo.
+         * Where halos overlap the nearest stone wins.
+         */
+        function applyStoneHalos() {
+            if (stones.length === 0) return;
+
+            const wavelength = radius / teethCount;
+            const gap = config.stones.haloGap;
+            const haloWidth = gap + config.stones.haloRings * wavelength;
+
+            stones.forEach((stone) => {
+                const b = stoneBounds(stone, haloWidth);
+                for (let gy = Math.max(0, b.y0); gy <= Math.min(gridHeight - 1, b.y1); gy++) {
+                    for (let gx = Math.max(0, b.x0); gx <= Math.min(gridWidth - 1, b.x1); gx++) {
+                        const index = gy * gridWidth + gx;
+                        if (!insideMask[index]) continue;
+
+                        const worldX = (gx * resolution) - extentX;
+                        const worldY = (gy * resolution) - extentY;
+                        let nearest = Infinity;
+                        stones.forEach((other) => {
+                            nearest = Math.min(nearest, stoneDistance(other, worldX, worldY));
+                        });
+                        if (nearest !== stoneDistance(stone, worldX, worldY) || nearest >= haloWidth) continue;
+
+                        // Trough right at the gap, then whole rings outward
+                        const ring = -Math.cos(Math.max(0, nearest - gap) / wavelength * Math.PI * 2);
+                        const halo = nearest < gap ? -1 : ring;
+                        const fade = Math.min(1, (haloWidth - nearest) / wavelength);
+                        const amplitude = config.waves.amplitude;
+                        targetHeightMap[index] = halo * amplitude * fade + targetHeightMap[index] * (1 - fade);
+                    }
+                }
+            });
+        }
+
+        function applyInitialPattern() {
+            for (let y = 0; y < gridHeight; y++) {
+                for (let x = 0; x < gridWidth; x++) {
+                    const worldX = (x * resolution) - extentX;
+                    const index = y * gridWidth + x;
+                    heightMap[index] = worldX >= 0 ? targetHeightMap[index] : 0;
+                }
+            }
+        }
+
+        // ==================== CHANGE TRACKING ====================
+        function markDirty(x0, y0, x1, y1) {
+            x0 = Math.max(0, x0);
+            y0 = Math.max(0, y0);
+            x1 = Math.min(gridWidth - 1, x1);
+            y1 = Math.min(gridHeight - 1, y1);
+            if (x0 > x1 || y0 > y1) return;
+
+            const tx1 = Math.floor(x1 / TILE_SIZE);
+            const ty1 = Math.floor(y1 / TILE_SIZE);
+            for (let ty = Math.floor(y0 / TILE_SIZE); ty <= ty1; ty++) {
+                for (let tx = Math.floor(x0 / TILE_SIZE); tx <= tx1; tx++) {
+                    dirtyTiles[ty * tilesX + tx] = 1;
+                    activeTiles[ty * tilesX + tx] = 1;
+                }
+            }
+        }
+
+        // Dirty, and also part of what the drawing tools have changed
+        function markTouched(x0, y0, x1, y1) {
+            markDirty(x0, y0, x1, y1);
+            if (!touched) {
+                touched = { x0, y0, x1, y1 };
+            } else {
+                touched.x0 = Math.min(touched.x0, x0);
+                touched.y0 = Math.min(touched.y0, y0);
+                touched.x1 = Math.max(touched.x1, x1);
+                touched.y1 = Math.max(touched.y1, y1);
+            }
+        }
+
+        /**
+         * Hand over the regions changed since the last call and start afresh.
+         * Dirty tiles are merged into one rectangle per horizontal run.
+         * @returns {Array<{x0: number, y0: number, x1: number, y1: number}>}
+         */
+        function takeDirtyRects() {
+            const rects = [];
+
+            for (let ty = 0; ty < tilesY; ty++) {
+                let tx = 0;
+                while (tx < tilesX) {
+                    if (!dirtyTiles[ty * tilesX + tx]) {
+                        tx++;
+                        continue;
+                    }
+
+                    const start = tx;
+                    while (tx < tilesX && dirtyTiles[ty * tilesX + tx]) {
+                        dirtyTiles[ty * tilesX + tx] = 0;
+                        tx++;
+                    }
+
+                    rects.push({
+                        x0: start * TILE_SIZE,
+                        y0: ty * TILE_SIZE,
+                        x1: Math.min(gridWidth, tx * TILE_SIZE) - 1,
+                        y1: Math.min(gridHeight, (ty + 1) * TILE_SIZE) - 1
+                    });
+                }
+            }
+
+            return rects;
+        }
+
+        // ==================== DIGGING ====================
+        /**
+         * Dig a hole at a point relative to the garden center, piling the
+         * removed sand in a dune ring around it.
+         * @param {Object} [contact] - { pressure, size } multipliers, see stroke()
+         * @returns {boolean} false if the point is outside the diggable area
+         */
+        function dig(x, y, contact) {
+            if (!shape.contains(x, y, 10)) return false;
+
+            digHoleWithConservation(x, y, resolveContact(contact));
+            return true;
+        }
+
+        function resolveContact(contact) {
+            return {
+                pressure: contact && contact.pressure !== undefined ? contact.pressure : 1,
+                size: contact && contact.size !== undefined ? contact.size : 1
+            };
+        }
+
+        function digHoleWithConservation(worldX, worldY, contact) {
+            const gridX = Math.floor((worldX + extentX) / resolution);
+            const gridY = Math.floor((worldY + extentY) / resolution);
+            const digRadius = Math.max(1, Math.ceil(config.touch.radius * contact.size / resolution));
+            const spreadRadius = config.touch.duneSpreadRadius;
+            const reach = digRadius + spreadRadius;
+
+            markTouched(gridX - reach, gridY - reach, gridX + reach, gridY + reach);
+
+            let totalRemoved = 0;
+            const holeCells = [];
+
+            // First pass: dig the hole and count removed sand
+            for (let dy = -digRadius; dy <= digRadius; dy++) {
+                for (let dx = -digRadius; dx <= digRadius; dx++) {
+                    const gx = gridX + dx;
+                    const gy = gridY + dy;
+
+                    if (gx >= 0 && gx < gridWidth && gy >= 0 && gy < gridHeight) {
+                        const dist = Math.sqrt(dx * dx + dy * dy);
+                        if (dist <= digRadius) {
+                            const falloff = 1 - (dist / digRadius);
+                            const strength = falloff * falloff * config.touch.digStrength * contact.pressure;
+
+                            const index = gy * gridWidth + gx;
+                            if (stoneMask[index]) continue;
+
+                            const currentHeight = heightMap[index];
+                            heightMap[index] = Math.max(config.touch.minHeight, currentHeight - strength);
+                            const removed = currentHeight - heightMap[index];
+
+                            if (removed > 0) {
+                                totalRemoved += removed;
+                                sandMoved += removed;
+                                holeCells.push({ index, weight: removed });
+                            }
+                        }
+                    }
+                }
+            }
+
+            // Second pass: pile the removed sand around the hole (conservation of mass)
+            if (totalRemoved > 0) {
+                const ringInner = digRadius + 1;
+                const ringOuter = digRadius + spreadRadius;
+                const ringCells = [];
+
+                // Collect cells in the ring around the hole
+                for (let dy = -ringOuter; dy <= ringOuter; dy++) {
+                    for (let dx = -ringOuter; dx <= ringOuter; dx++) {
+                        const gx = gridX + dx;
+                        const gy = gridY + dy;
+
+                        if (gx >= 0 && gx < gridWidth && gy >= 0 && gy < gridHeight) {
+                            const dist = Math.sqrt(dx * dx + dy * dy);
+                            if (dist >= ringInner && dist <= ringOuter) {
+                                // Only open sand inside the circle, never under a stone
+                                const index = gy * gridWidth + gx;
+                                if (openMask[index]) {
+                                    ringCells.push({ index, dist: dist });
+                                }
+                            }
+                        }
+                    }
+                }
+
+                // Distribute the removed sand to the ring cells (closer = more sand)
+                if (ringCells.length > 0) {
+                    ringCells.forEach(cell => {
+                        cell.weight = 1 - ((cell.dist - ringInner) / spreadRadius);
+                    });
+
+                    if (config.simulation.conserveMass) {
+                        totalRemoved = depositWeighted(ringCells, totalRemoved, config.touch.maxHeight);
+                    } else {
+                        let totalWeight = 0;
+                        ringCells.forEach(cell => { totalWeight += cell.weight; });
+                        ringCells.forEach(cell => {
+                            const sandShare = (cell.weight / totalWeight) * totalRemoved;
+                            heightMap[cell.index] = Math.min(config.touch.maxHeight, heightMap[cell.index] + sandShare);
+                        });
+                        totalRemoved = 0;
+                    }
+                }
+
+                // Whatever the ring could not hold goes back into the hole
+                if (totalRemoved > 0 && config.simulation.conserveMass) {
+                    depositWeighted(holeCells, totalRemoved, config.touch.maxHeight);
+                }
+            }
+        }
+
+        /**
+         * Add sand to cells in proportion to their weight without exceeding
+         * maxHeight. Overflow from full cells is handed on to the cells that
+         * still have room.
+         * @returns {number} sand that did not fit anywhere
+         */
+        function depositWeighted(cells, amount, maxHeight) {
+            let remaining = amount;
+            let open = cells.filter(cell => heightMap[cell.index] < maxHeight);
+
+            // Each pass either places everything or fills at least one cell;
+            // the cap guards against float32 rounding leaving crumbs behind
+            for (let pass = 0; pass < DEPOSIT_PASSES && remaining > 1e-6 && open.length > 0; pass++) {
+                let totalWeight = 0;
+                open.forEach(cell => { totalWeight += cell.weight; });
+                if (totalWeight <= 0) break;
+
+                let placed = 0;
+                open.forEach(cell => {
+                    const share = (cell.weight / totalWeight) * remaining;
+                    const before = heightMap[cell.index];
+                    heightMap[cell.index] = Math.min(maxHeight, before + share);
+                    placed += heightMap[cell.index] - before;
+                });
+
+                remaining -= placed;
+                open = open.filter(cell => heightMap[cell.index] < maxHeight);
+            }
+
+            return Math.max(0, remaining);
+        }
+
+        // ==================== DRAWING TOOLS ====================
+        /**
+         * Drag a tool from one point to another (relative to the garden
+         * center). Stamps are interpolated along the segment so fast drags
+         * leave a continuous mark; a zero-length segment is a hold, which
+         * only digs and smooths.
+         * @param {string} tool - One of TOOLS
+         * @param {Object} [contact] - Multipliers from the input device:
+         *   pressure scales dig strength, groove depth and trowel strength;
+         *   size scales dig radius, tine width and trowel width
+         */
+        function stroke(tool, x0, y0, x1, y1, contact) {
+            const tools = config.tools;
+            contact = resolveContact(contact);
+            const dx = x1 - x0;
+            const dy = y1 - y0;
+            const length = Math.sqrt(dx * dx + dy * dy);
+
+            if (length === 0) {
+                if (tool === 'dig') dig(x1, y1, contact);
+                else if (tool === 'trowel') smoothStamp(x1, y1, 1, 0, contact);
+                return;
+            }
+
+            const dirX = dx / length;
+            const dirY = dy / length;
+            let spacing = resolution;
+            if (tool === 'dig') spacing = Math.max(resolution, config.touch.radius * contact.size / 2);
+            else if (tool === 'trowel') spacing = tools.trowelLength / 2;
+
+            const stamps = Math.min(tools.maxStamps, Math.max(1, Math.ceil(length / spacing)));
+
+            // The start point was stamped at the end of the previous segment
+            for (let i = 1; i <= stamps; i++) {
+                const x = x0 + dx * (i / stamps);
+                const y = y0 + dy * (i / stamps);
+                if (!shape.contains(x, y, 10)) continue;
+
+                switch (tool) {
+                    case 'dig':
+                        digHoleWithConservation(x, y, contact);
+                        break;
+                    case 'stylus':
+                        carveGroove(x, y, dirX, dirY, tools.stylusWidth * contact.size / 2, contact.pressure);
+                        break;
+                    case 'rake': {
+                        // Tines sit across the stroke, centered on the pointer
+                        const first = -(tools.rakeTines - 1) / 2;
+                        for (let t = 0; t < tools.rakeTines; t++) {
+                            const offset = (first + t) * tools.rakeTineSpacing;
+                            carveGroove(x - dirY * offset, y + dirX * offset, dirX, dirY,
+                                tools.rakeTineWidth * contact.size / 2, contact.pressure);
+                        }
+                        break;
+                    }
+                    case 'trowel':
+                        smoothStamp(x, y, dirX, dirY, contact);
+                        break;
+                    default:
+                        throw new Error(`Unknown tool: ${tool}`);
+                }
+            }
+        }
+
+        /**
+         * Press one tine into the sand: cells under it are lowered to a
+         * rounded groove profile and the sand is heaped beside the groove,
+         * across the direction of travel so it is not shoved ahead.
+         */
+        function carveGroove(worldX, worldY, dirX, dirY, halfWidth, pressure) {
+            const tools = config.tools;
+            halfWidth = Math.max(resolution / 2, halfWidth);
+            const outer = halfWidth + tools.ridgeWidth;
+            const reach = Math.ceil(outer / resolution);
+            const gridX = Math.floor((worldX + extentX) / resolution);
+            const gridY = Math.floor((worldY + extentY) / resolution);
+
+            let totalRemoved = 0;
+            const grooveCells = [];
+            const ridgeCells = [];
+
+            for (let gy = gridY - reach; gy <= gridY + reach; gy++) {
+                for (let gx = gridX - reach; gx <= gridX + reach; gx++) {
+                    if (gx < 0 || gx >= gridWidth || gy < 0 || gy >= gridHeight) continue;
+                    const index = gy * gridWidth + gx;
+                    if (!openMask[index]) continue;
+
+                    const offX = (gx + 0.5) * resolution - extentX - worldX;
+                    const offY = (gy + 0.5) * resolution - extentY - worldY;
+                    const dist = Math.sqrt(offX * offX + offY * offY);
+
+                    if (dist <= halfWidth) {
+                        const ratio = dist / halfWidth;
+                        const floor = -tools.grooveDepth * pressure * (1 - ratio * ratio);
+                        const before = heightMap[index];
+                        if (before > floor) {
+                            heightMap[index] = floor;
+                            totalRemoved += before - heightMap[index];
+                            sandMoved += before - heightMap[index];
+                            grooveCells.push({ index, weight: before - heightMap[index] });
+                        }
+                    } else if (dist <= outer) {
+                        // Weight by how square-on the cell is to the stroke
+                        const across = (-offX * dirY + offY * dirX) / dist;
+                        const weight = across * across * (1 - (dist - halfWidth) / tools.ridgeWidth);
+                        if (weight > 0) ridgeCells.push({ index, weight });
+                    }
+                }
+            }
+
+            if (totalRemoved > 0) {
+                markTouched(gridX - reach, gridY - reach, gridX + reach, gridY + reach);
+                const leftover = depositWeighted(ridgeCells, totalRemoved, config.touch.maxHeight);
+                if (leftover > 0) {
+                    depositWeighted(grooveCells, leftover, config.touch.maxHeight);
+                }
+            }
+        }
+
+        /**
+         * Flat trowel: a rectangle across the stroke direction is drawn
+         * toward its own mean height, which leaves the total unchanged.
+         */
+        function smoothStamp(worldX, worldY, dirX, dirY, contact) {
+            const tools = config.tools;
+            const halfWidth = tools.trowelWidth * contact.size / 2;
+            const strength = Math.min(1, tools.trowelStrength * contact.pressure);
+            const halfLength = tools.trowelLength / 2;
+            const reach = Math.ceil(Math.max(halfWidth, halfLength) / resolution);
+            const gridX = Math.floor((worldX + extentX) / resolution);
+            const gridY = Math.floor((worldY + extentY) / resolution);
+            const cells = [];
+            let sum = 0;
+
+            for (let gy = gridY - reach; gy <= gridY + reach; gy++) {
+                for (let gx = gridX - reach; gx <= gridX + reach; gx++) {
+                    if (gx < 0 || gx >= gridWidth || gy < 0 || gy >= gridHeight) continue;
+                    const index = gy * gridWidth + gx;
+                    if (!openMask[index]) continue;
+
+                    const offX = (gx + 0.5) * resolution - extentX - worldX;
+                    const offY = (gy + 0.5) * resolution - extentY - worldY;
+                    const along = offX * dirX + offY * dirY;
+                    const across = -offX * dirY + offY * dirX;
+
+                    if (Math.abs(along) <= halfLength && Math.abs(across) <= halfWidth) {
+                        cells.push(index);
+                        sum += heightMap[index];
+                    }
+                }
+            }
+
+            if (cells.length < 2) return;
+
+            const mean = sum / cells.length;
+            let drift = 0;
+            cells.forEach((index) => {
+                const before = heightMap[index];
+                heightMap[index] = before + (mean - before) * strength;
+                drift += heightMap[index] - before;
+                sandMoved += Math.abs(heightMap[index] - before) / 2;
+            });
+
+            // Hand float32 rounding back to the first cell so the sum holds
+            heightMap[cells[0]] -= drift;
+            markTouched(gridX - reach, gridY - reach, gridX + reach, gridY + reach);
+        }
+
+        // ==================== BLADE MECHANICS ====================
+        /**
+         * Advance the simulation by dt seconds (STEP_SECONDS by default).
+         * Results only repeat exactly for the same sequence of dt, so
+         * callers should keep it fixed and accumulate real time instead.
+         */
+        function step(dt) {
+            const seconds = dt === undefined ? STEP_SECONDS : dt;
+
+            previousBladeAngle = bladeAngle;
+            bladeAngle += bladeDirection() * rotationSpeed * seconds;
+            if (bladeAngle > Math.PI * 2) {
+                bladeAngle -= Math.PI * 2;
+            } else if (bladeAngle < 0) {
+                bladeAngle += Math.PI * 2;
+            }
+
+            previousPivotAngle = pivotAngle;
+            pivotAngle = (pivotAngle + config.blade.orbitSpeed * seconds) % (Math.PI * 2);
+            if (teethCount > 0) {
+                const wavelength = radius / teethCount;
+                spiralShift = (spiralShift + rotationSpeed * seconds / (Math.PI * 2) * config.blade.spiralStep * wavelength) % wavelength;
+            }
+
+            applyBladeEffects(seconds);
+
+            for (let i = 0; i < config.simulation.slumpIterations; i++) {
+                relaxSlopes();
+            }
+        }
+
+        function bladeDirection() {
+            return config.blade.reverse ? -1 : 1;
+        }
+
+        function bladeArms() {
+            return config.blade.arms || (BLADE_LAYOUTS[config.blade.layout] || BLADE_LAYOUTS.classic).arms;
+        }
+
+        // Hub position relative to the garden center at a pivot angle
+        function hubAt(angle) {
+            const offset = config.blade.pivotOffset * radius;
+            return { x: offset * Math.cos(angle), y: offset * Math.sin(angle) };
+        }
+
+        // Off center, or in a garden that isn't round, the arms reach past the rim
+        function reachesPastRim(hub) {
+            return hub.x !== 0 || hub.y !== 0 || shape.name !== 'circle';
+        }
+
+        // The linear rake is crank-driven by the blade angle: it crosses the
+        // garden once every half turn, slowing to reverse at either end
+        function rakeAt(angle) {
+            return -rakeTravel * Math.cos(angle);
+        }
+
+        function rakeHeading(angle) {
+            return Math.sin(angle) * bladeDirection() >= 0 ? 1 : -1;
+        }
+
+        // A rake has one working edge: the first arm of the layout that isn't a smoother
+        function rakeRole() {
+            const arm = bladeArms().find((a) => a.role !== 'smooth');
+            return arm ? arm.role : 'smooth';
+        }
+
+        function applyBladeEffects(seconds) {
+            const wedgeAngle = rotationSpeed * WEDGE_SECONDS;  // Much wider coverage
+            const direction = bladeDirection();
+            // The blade's rates, scaled to this step
+            const work = {
+                push: config.blade.pushStrength * seconds,
+                settle: Math.min(1, config.blade.settleRate * seconds),
+                snap: config.blade.snapSpeed * seconds,
+                flatten: config.blade.flattenSpeed * seconds
+            };
+
+            if (linear) {
+                sweepStrip(rakeAt(bladeAngle - direction * wedgeAngle), rakeAt(bladeAngle), rakeRole(), work);
+                if (config.simulation.conserveMass) {
+                    spillRakeLoad();
+                }
+                return;
+            }
+
+            const hub = hubAt(pivotAngle);
+
+            // The wedge lies behind each arm, whichever way it turns
+            bladeArms().forEach((arm) => {
+                const leading = bladeAngle + arm.angle;
+                const motion = leading + direction * Math.PI / 2;
+                if (direction > 0) {
+                    sweepWedge(leading - wedgeAngle, leading, arm.role, work, motion, hub);
+                } else {
+                    sweepWedge(leading, leading + wedgeAngle, arm.role, work, motion, hub);
+                }
+            });
+
+            if (config.simulation.conserveMass) {
+                spillBladeLoad(hub);
+            }
+        }
+
+        // Height the plough and spiral arms work toward at a distance from
+        // the hub, or for a rake from the line it travels along
+        function ringTarget(role, dist) {
+            if (role === 'plough') {
+                return config.blade.ploughDepth * Math.cos(dist / config.blade.ploughSpacing * Math.PI * 2);
+            }
+            const wavelength = radius / teethCount;
+            return config.waves.amplitude * Math.sin((dist - spiralShift) / wavelength * Math.PI * 2);
+        }
+
+        /**
+         * Visit every cell whose center lies in the annular wedge swept by
+         * one arm of the blade, exactly once. The wedge runs counterclockwise
+         * from startAngle to endAngle around the hub; work holds the blade's
+         * rates scaled to the step and motionAngle is the way the arm is moving.
+         * Each grid row is clipped against the wedge's two edge half-planes
+         * and the blade's reach.
+         */
+        function sweepWedge(startAngle, endAngle, role, work, motionAngle, hub) {
+            const trailX = Math.cos(startAngle), trailY = Math.sin(startAngle);
+            const leadX = Math.cos(endAngle), leadY = Math.sin(endAngle);
+            const innerSq = bladeInner * bladeInner;
+            const outerSq = bladeLength * bladeLength;
+            const clipToRim = reachesPastRim(hub);
+            let minX = gridWidth, minY = gridHeight, maxX = -1, maxY = -1;
+
+            for (let gridY = 0; gridY < gridHeight; gridY++) {
+                const worldY = (gridY + 0.5) * resolution - extentY - hub.y;
+                if (worldY * worldY >= outerSq) continue;
+
+                // Row span inside the blade's reach
+                const reachX = Math.sqrt(outerSq - worldY * worldY);
+                let lo = -reachX;
+                let hi = reachX;
+
+                // Counterclockwise of the trailing edge: trailY * x <= trailX * y
+                if (trailY > 0) hi = Math.min(hi, trailX * worldY / trailY);
+                else if (trailY < 0) lo = Math.max(lo, trailX * worldY / trailY);
+                else if (trailX * worldY < 0) continue;
+
+                // Clockwise of the leading edge: leadY * x >= leadX * y
+                if (leadY > 0) lo = Math.max(lo, leadX * worldY / leadY);
+                else if (leadY < 0) hi = Math.min(hi, leadX * worldY / leadY);
+                else if (leadX * worldY > 0) continue;
+
+                const startX = Math.max(0, Math.ceil((lo + hub.x + extentX) / resolution - 0.5));
+                const endX = Math.min(gridWidth - 1, Math.floor((hi + hub.x + extentX) / resolution - 0.5));
+
+                for (let gridX = startX; gridX <= endX; gridX++) {
+                    const worldX = (gridX + 0.5) * resolution - extentX - hub.x;
+                    const distSq = worldX * worldX + worldY * worldY;
+                    if (distSq < innerSq) continue;
+
+                    const dist = Math.sqrt(distSq);
+                    const bin = Math.min(bladeLoad.length - 1, Math.floor((dist - bladeInner) / resolution));
+                    const index = gridY * gridWidth + gridX;
+                    if (stoneMask[index]) continue;
+                    if (clipToRim && !shape.contains(worldX + hub.x, worldY + hub.y, 5)) continue;
+
+                    if (gridX < minX) minX = gridX;
+                    if (gridX > maxX) maxX = gridX;
+                    if (gridY < minY) minY = gridY;
+                    if (gridY > maxY) maxY = gridY;
+
+                    workCell(index, gridX, gridY, role, dist, work, motionAngle, bin);
+                }
+            }
+
+            // Spreading and spilling reach a couple of cells past the wedge
+            markDirty(minX - 2, minY - 2, maxX + 2, maxY + 2);
+        }
+
+        /**
+         * Visit every open cell whose center the rake crossed moving from
+         * fromX to toX (world x), exactly once. The rake carries one load
+         * bin per grid row.
+         */
+        function sweepStrip(fromX, toX, role, work) {
+            const startX = Math.max(0, Math.ceil((Math.min(fromX, toX) + extentX) / resolution - 0.5));
+            const endX = Math.min(gridWidth - 1, Math.floor((Math.max(fromX, toX) + extentX) / resolution - 0.5));
+            const motionAngle = rakeHeading(bladeAngle) > 0 ? 0 : Math.PI;
+            if (startX > endX) return;
+
+            for (let gridY = 0; gridY < gridHeight; gridY++) {
+                const across = Math.abs((gridY + 0.5) * resolution - extentY);
+                for (let gridX = startX; gridX <= endX; gridX++) {
+                    const index = gridY * gridWidth + gridX;
+                    if (openMask[index]) {
+                        workCell(index, gridX, gridY, role, across, work, motionAngle, gridY);
+                    }
+                }
+            }
+
+            markDirty(startX - 2, 0, endX + 2, gridHeight - 1);
+        }
+
+        // One cell under a blade arm or the rake; dist is what ringTarget() measures
+        function workCell(index, gridX, gridY, role, dist, work, motionAngle, bin) {
+            const currentHeight = heightMap[index];
+
+            if (role !== 'smooth') {
+                // COMB-LIKE ARMS: work toward the pattern or their furrows
+                const targetHeight = role === 'comb' ? targetHeightMap[index] : ringTarget(role, dist);
+                const diff = targetHeight - currentHeight;
+                const absDiff = Math.abs(diff);
+
+                if (absDiff > 1.5) {
+                    const moveAmount = diff * work.push;
+                    setBladeCell(index, currentHeight + moveAmount, bin);
+                    if (absDiff > 2.5) {
+                        spreadToNeighbors(gridX, gridY, -moveAmount * 0.3, motionAngle, bin);
+                    }
+                } else if (absDiff > 0.1) {
+                    setBladeCell(index, currentHeight + diff * work.settle, bin);
+                } else {
+                    setBladeCell(index, approach(currentHeight, targetHeight, work.snap), bin);
+                }
+            } else {
+                // SMOOTH ARMS: ALWAYS flatten to exactly 0
+                const absCurrent = Math.abs(currentHeight);
+
+                if (absCurrent > 2.0) {
+                    // Only big disturbances heal slowly
+                    setBladeCell(index, currentHeight * (1 - work.push), bin);
+                } else {
+                    // Everything else: brought to exactly 0
+                    setBladeCell(index, approach(currentHeight, 0, work.flatten), bin);
+                }
+            }
+        }
+
+        // A height moved toward target by at most change, landing on it exactly
+        function approach(height, target, change) {
+            return Math.abs(target - height) <= change ? target : height + Math.sign(target - height) * change;
+        }
+
+        /**
+         * Write a cell touched by the blade. In conserving mode the height
+         * is kept within bounds and the difference is taken from (or given
+         * to) the sand the blade is carrying at that point along its length.
+         */
+        function setBladeCell(index, newHeight, bin) {
+            if (stoneMask[index]) return;
+
+            const before = heightMap[index];
+            if (!config.simulation.conserveMass) {
+                heightMap[index] = newHeight;
+                sandMoved += Math.abs(newHeight - before);
+                return;
+            }
+
+            heightMap[index] = Math.max(config.touch.minHeight, Math.min(config.touch.maxHeight, newHeight));
+            bladeLoad[bin] -= heightMap[index] - before;
+            sandMoved += Math.abs(heightMap[index] - before);
+        }
+
+        /**
+         * Sand beyond the blade's carrying capacity is pushed ahead of it,
+         * split between the leading edges of all arms.
+         */
+        function spillBladeLoad(hub) {
+            const capacity = config.blade.carryCapacity;
+            const arms = bladeArms();
+            const direction = bladeDirection();
+            const clipToRim = reachesPastRim(hub);
+
+            for (let bin = 0; bin < bladeLoad.length; bin++) {
+                const load = bladeLoad[bin];
+                if (Math.abs(load) <= capacity) continue;
+
+                const excess = load - Math.sign(load) * capacity;
+                const r = bladeInner + bin * resolution;
+                const lead = resolution / r;
+
+                for (let a = 0; a < arms.length; a++) {
+                    const angle = bladeAngle + direction * lead + arms[a].angle;
+                    const gx = Math.floor((hub.x + Math.cos(angle) * r + extentX) / resolution);
+                    const gy = Math.floor((hub.y + Math.sin(angle) * r + extentY) / resolution);
+
+                    if (gx >= 0 && gx < gridWidth && gy >= 0 && gy < gridHeight) {
+                        const index = gy * gridWidth + gx;
+                        // Past the rim the sand stays on the blade
+                        if (clipToRim && !insideMask[index]) continue;
+                        setBladeCell(index, heightMap[index] + excess / arms.length, bin);
+                    }
+                }
+            }
+        }
+
+        // The rake's excess goes one cell ahead of it, in its own row
+        function spillRakeLoad() {
+            const capacity = config.blade.carryCapacity;
+            const gx = Math.floor((rakeAt(bladeAngle) + rakeHeading(bladeAngle) * resolution + extentX) / resolution);
+            if (gx < 0 || gx >= gridWidth) return;
+
+            for (let bin = 0; bin < bladeLoad.length; bin++) {
+                const load = bladeLoad[bin];
+                const index = bin * gridWidth + gx;
+                if (Math.abs(load) <= capacity || !insideMask[index]) continue;
+
+                setBladeCell(index, heightMap[index] + load - Math.sign(load) * capacity, bin);
+            }
+        }
+
+        // Sand pushed along the way the arm is moving (motionAngle)
+        function spreadToNeighbors(originX, originY, amount, motionAngle, bin) {
+            if (Math.abs(amount) < 0.001) return;
+
+            const dirX = Math.round(Math.cos(motionAngle) * 2);
+            const dirY = Math.round(Math.sin(motionAngle) * 2);
+
+            const gx = originX + dirX;
+            const gy = originY + dirY;
+
+            if (gx >= 0 && gx < gridWidth && gy >= 0 && gy < gridHeight) {
+                const index = gy * gridWidth + gx;
+                if (config.simulation.conserveMass) {
+                    setBladeCell(index, heightMap[index] + amount, bin);
+                } else if (!stoneMask[index]) {
+                    heightMap[index] = Math.max(config.touch.minHeight,
+                        Math.min(config.touch.maxHeight, heightMap[index] + amount));
+                }
+            }
+        }
+
+        // ==================== GRANULAR RELAXATION ====================
+        /**
+         * Angle-of-repose pass: wherever the height step between two
+         * neighbouring cells is steeper than the repose slope, part of the
+         * excess slides downhill. Each transfer is pairwise, so mass is
+         * conserved. Only active tiles are visited; a tile stays active
+         * while sand keeps moving in it and wakes its neighbours.
+         */
+        function relaxSlopes() {
+            const maxDiff = Math.tan(config.simulation.angleOfRepose * Math.PI / 180) * resolution;
+            const rate = config.simulation.slumpRate * 0.5;
+
+            const pending = [];
+            for (let tile = 0; tile < activeTiles.length; tile++) {
+                if (activeTiles[tile]) {
+                    pending.push(tile);
+                    activeTiles[tile] = 0;
+                }
+            }
+
+            pending.forEach((tile) => {
+                const tx = tile % tilesX;
+                const ty = (tile - tx) / tilesX;
+                const x0 = tx * TILE_SIZE;
+                const y0 = ty * TILE_SIZE;
+                const x1 = Math.min(gridWidth, x0 + TILE_SIZE);
+                const y1 = Math.min(gridHeight, y0 + TILE_SIZE);
+                let moved = false;
+
+                for (let y = y0; y < y1; y++) {
+                    for (let x = x0; x < x1; x++) {
+                        const index = y * gridWidth + x;
+                        if (!openMask[index]) continue;
+
+                        if (x + 1 < gridWidth && openMask[index + 1]) {
+                            moved = slump(index, index + 1, maxDiff, rate) || moved;
+                        }
+                        if (y + 1 < gridHeight && openMask[index + gridWidth]) {
+                            moved = slump(index, index + gridWidth, maxDiff, rate) || moved;
+                        }
+                    }
+                }
+
+                if (moved) {
+                    markDirty(x0 - TILE_SIZE, y0 - TILE_SIZE, x1 - 1 + TILE_SIZE, y1 - 1 + TILE_SIZE);
+                }
+            });
+        }
+
+        function slump(a, b, maxDiff, rate) {
+            const diff = heightMap[a] - heightMap[b];
+            const excess = Math.abs(diff) - maxDiff;
+            if (excess <= 0) return false;
+
+            const before = heightMap[a];
+            heightMap[a] = before - Math.sign(diff) * excess * rate;
+            heightMap[b] += before - heightMap[a];
+            return true;
+        }
+
+        // ==================== QUERIES ====================
+        function gridMass() {
+            let sum = 0;
+            for (let i = 0; i < cellCount; i++) {
+                sum += heightMap[i];
+            }
+            return sum;
+        }
+
+        function carriedMass() {
+            let sum = 0;
+            for (let i = 0; i < bladeLoad.length; i++) {
+                sum += bladeLoad[i];
+            }
+            return sum;
+        }
+
+        /**
+         * Total sand in the garden, including what the blade is carrying.
+         */
+        function totalMass() {
+            return gridMass() + carriedMass();
+        }
+
+        /**
+         * Blade angle for drawing between steps: alpha 0 is the previous
+         * step, 1 the current one.
+         */
+        function bladeAngleAt(alpha) {
+            let delta = bladeAngle - previousBladeAngle;
+            if (delta > Math.PI) delta -= Math.PI * 2;
+            else if (delta < -Math.PI) delta += Math.PI * 2;
+            return previousBladeAngle + delta * alpha;
+        }
+
+        /**
+         * The blade as it should be drawn, alpha of the way between the last
+         * two steps like bladeAngleAt(). Positions are relative to the garden
+         * center. A rotary blade turns about its hub (x, y) the way direction
+         * says, and its teeth are distances from the hub along an arm. A
+         * linear rake is a bar across the garden at x, travelling along x the
+         * way direction says, with one arm whose teeth are y positions.
+         * @param {number} alpha
+         * @returns {Object} { sweep, x, y, angle, inner, length, direction,
+         *   arms: [{ angle, role, teeth }] }
+         */
+        function getBlade(alpha) {
+            const angle = bladeAngleAt(alpha);
+
+            if (linear) {
+                const role = rakeRole();
+                const teeth = armTeeth(role, 0);
+                return {
+                    sweep: 'linear',
+                    x: rakeAt(angle),
+                    y: 0,
+                    angle,
+                    inner: -bladeLength,
+                    length: bladeLength,
+                    direction: rakeHeading(angle),
+                    arms: [{ angle: Math.PI / 2, role, teeth: teeth.map((r) => -r).reverse().concat(teeth) }]
+                };
+            }
+
+            let pivotDelta = pivotAngle - previousPivotAngle;
+            if (pivotDelta > Math.PI) pivotDelta -= Math.PI * 2;
+            else if (pivotDelta < -Math.PI) pivotDelta += Math.PI * 2;
+            const hub = hubAt(previousPivotAngle + pivotDelta * alpha);
+
+            return {
+                sweep: 'rotary',
+                x: hub.x,
+                y: hub.y,
+                angle,
+                inner: bladeInner,
+                length: bladeLength,
+                direction: bladeDirection(),
+                arms: bladeArms().map((arm) => ({ angle: angle + arm.angle, role: arm.role, teeth: armTeeth(arm.role, bladeInner) }))
+            };
+        }
+
+        // Teeth sit where an arm's target is lowest, i.e. in the grooves it
+        // cuts, from inner out to the blade's length
+        function armTeeth(role, inner) {
+            if (role === 'smooth' || teethCount === 0) return [];
+
+            const spacing = role === 'plough' ? config.blade.ploughSpacing : radius / teethCount;
+            let first = role === 'plough' ? spacing / 2 : spacing * 0.75;
+            if (role === 'spiral') first = (first + spiralShift) % spacing;
+
+            const teeth = [];
+            for (let r = first; r <= bladeLength; r += spacing) {
+                if (r >= inner) teeth.push(r);
+            }
+            return teeth;
+        }
+
+        /**
+         * Sand moved by the blade and the tools since the last call, in
+         * height units summed over cells. Slumping is not counted.
+         */
+        function takeSandMoved() {
+            const moved = sandMoved;
+            sandMoved = 0;
+            return moved;
+        }
+
+        /**
+         * Mass bookkeeping since the last reset. In conserving mode drift
+         * stays at floating-point noise.
+         */
+        function massAudit() {
+            const grid = gridMass();
+            const carried = carriedMass();
+            return {
+                grid,
+                carried,
+                total: grid + carried,
+                initial: initialMass,
+                drift: grid + carried - initialMass
+            };
+        }
+
+        // ==================== REGIONS ====================
+        /**
+         * The grid rectangle dig() and stroke() have changed since the last
+         * call, clamped to the grid, and start afresh. The blade and slumping
+         * are not included.
+         * @returns {{x0: number, y0: number, x1: number, y1: number}|null}
+         */
+        function takeTouched() {
+            const rect = touched;
+            touched = null;
+            if (!rect) return null;
+            return {
+                x0: Math.max(0, rect.x0),
+                y0: Math.max(0, rect.y0),
+                x1: Math.min(gridWidth - 1, rect.x1),
+                y1: Math.min(gridHeight - 1, rect.y1)
+            };
+        }
+
+        /**
+         * Copy of the heights in a grid rectangle, row by row.
+         * @returns {{x0: number, y0: number, x1: number, y1: number, heights: Float32Array}}
+         */
+        function readRegion(x0, y0, x1, y1) {
+            const width = x1 - x0 + 1;
+            const heights = new Float32Array(width * (y1 - y0 + 1));
+            for (let y = y0; y <= y1; y++) {
+                heights.set(heightMap.subarray(y * gridWidth + x0, y * gridWidth + x1 + 1), (y - y0) * width);
+            }
+            return { x0, y0, x1, y1, heights };
+        }
+
+        /**
+         * Put back heights from readRegion() (heights may be a plain array).
+         * Cells under stones keep their sand. With conserveMass, whatever the
+         * region gains or loses is taken from or returned to the rest of the
+         * open sand evenly, so the total holds; options.conserve false copies
+         * the heights as they are, for a garden mirroring another.
+         */
+        function writeRegion(region, options) {
+            const { x0, y0, x1, y1, heights } = region;
+            const width = x1 - x0 + 1;
+            let change = 0;
+
+            for (let y = y0; y <= y1; y++) {
+                for (let x = x0; x <= x1; x++) {
+                    const index = y * gridWidth + x;
+                    if (!openMask[index]) continue;
+                    const height = heights[(y - y0) * width + (x - x0)];
+                    change += height - heightMap[index];
+                    heightMap[index] = height;
+                }
+            }
+            markDirty(x0, y0, x1, y1);
+
+            const conserve = !options || options.conserve !== false;
+            if (!conserve || !config.simulation.conserveMass || change === 0) return;
+
+            const outside = (index) => {
+                const x = index % gridWidth;
+                const y = (index - x) / gridWidth;
+                return openMask[index] && (x < x0 || x > x1 || y < y0 || y > y1);
+            };
+            let openCells = 0;
+            for (let i = 0; i < cellCount; i++) {
+                if (outside(i)) openCells++;
+            }
+            if (openCells === 0) return;
+
+            const share = change / openCells;
+            for (let i = 0; i < cellCount; i++) {
+                if (outside(i)) heightMap[i] -= share;
+            }
+            markDirty(0, 0, gridWidth - 1, gridHeight - 1);
+        }
+
+        /**
+         * Add changes (row by row over the rectangle, like readRegion()
+         * heights; may be a plain array) to the heights already there, so
+         * whatever else moved the sand meanwhile stays. Cells under stones
+         * are left out. With conserveMass, whatever the changes add up to is
+         * taken back evenly from the cells they were added to.
+         */
+        function adjustRegion(region) {
+            const { x0, y0, x1, y1, changes } = region;
+            const width = x1 - x0 + 1;
+            let total = 0;
+            let count = 0;
+
+            for (let y = y0; y <= y1; y++) {
+                for (let x = x0; x <= x1; x++) {
+                    const index = y * gridWidth + x;
+                    const change = changes[(y - y0) * width + (x - x0)];
+                    if (change === 0 || !openMask[index]) continue;
+                    heightMap[index] += change;
+                    total += change;
+                    count++;
+                }
+            }
+
+            if (count > 0 && total !== 0 && config.simulation.conserveMass) {
+                const share = total / count;
+                for (let y = y0; y <= y1; y++) {
+                    for (let x = x0; x <= x1; x++) {
+                        const index = y * gridWidth + x;
+                        if (changes[(y - y0) * width + (x - x0)] !== 0 && openMask[index]) heightMap[index] -= share;
+                    }
+                }
+            }
+            markDirty(x0, y0, x1, y1);
+        }
+
+        // ==================== MIRRORING ====================
+        // A garden stepped elsewhere (in a worker) is mirrored by copying its
+        // changed regions and this motion state across after every frame.
+
+        /**
+         * The blade's state and the sand moved since the last call.
+         */
+        function takeMotion() {
+            return {
+                bladeAngle,
+                previousBladeAngle,
+                pivotAngle,
+                previousPivotAngle,
+                spiralShift,
+                bladeLoad: bladeLoad.slice(),
+                sandMoved: takeSandMoved()
+            };
+        }
+
+        /**
+         * Adopt another garden's takeMotion(). The moved sand adds to this
+         * garden's own, for the sounds.
+         */
+        function applyMotion(motion) {
+            bladeAngle = motion.bladeAngle;
+            previousBladeAngle = motion.previousBladeAngle;
+            pivotAngle = motion.pivotAngle;
+            previousPivotAngle = motion.previousPivotAngle;
+            spiralShift = motion.spiralShift;
+            if (motion.bladeLoad.length === bladeLoad.length) bladeLoad.set(motion.bladeLoad);
+            sandMoved += motion.sandMoved;
+        }
+
+        /**
+         * Where the blade is, to keep another garden's blade in step (see
+         * setBladeState). Sand it carries stays with each garden.
+         */
+        function getBladeState() {
+            return { angle: bladeAngle, pivotAngle, spiralShift };
+        }
+
+        // Jumps straight there; the blade isn't drawn sweeping across the gap
+        function setBladeState(state) {
+            bladeAngle = previousBladeAngle = state.angle;
+            pivotAngle = previousPivotAngle = state.pivotAngle;
+            spiralShift = state.spiralShift;
+        }
+
+        // ==================== SNAPSHOTS ====================
+        /**
+         * Plain copy of everything needed to rebuild this garden.
+         */
+        function snapshot() {
+            const sections = {};
+            Object.keys(config).forEach((key) => {
+                sections[key] = Object.assign({}, config[key]);
+            });
+
+            return {
+                radius,
+                resolution,
+                shape: shape.name,
+                gridWidth,
+                gridHeight,
+                heightMap: heightMap.slice(),
+                bladeLoad: Array.from(bladeLoad),
+                bladeAngle,
+                pivotAngle,
+                spiralShift,
+                rotationSpeed,
+                pattern: { name: patternName, params: Object.assign({}, patternParams) },
+                stones: getStones(),
+                config: sections,
+                initialMass,
+                totalMass: totalMass()
+            };
+        }
+
+        /**
+         * Load a snapshot, possibly taken from a garden of another size or
+         * shape. The height map is resampled onto this garden's bounding box
+         * and the sand total is scaled with the grid area, then corrected
+         * exactly, so mass is preserved. The shape stays this garden's own.
+         */
+        function restore(saved) {
+            if (saved.config) {
+                Object.keys(saved.config).forEach((key) => {
+                    if (config[key]) Object.assign(config[key], saved.config[key]);
+                });
+            }
+            config.simulation.shape = shape.name;
+
+            const savedShape = SandShapes.create(saved.shape || 'circle', saved.radius);
+            const scaleX = extentX / savedShape.halfWidth;
+            const scaleY = extentY / savedShape.halfHeight;
+            const scale = Math.min(scaleX, scaleY);
+            const areaRatio = cellCount / (saved.gridWidth * saved.gridHeight);
+
+            if (saved.gridWidth === gridWidth && saved.gridHeight === gridHeight) {
+                heightMap.set(saved.heightMap);
+            } else {
+                heightMap.set(resampleGrid(saved.heightMap, saved.gridWidth, saved.gridHeight, gridWidth, gridHeight));
+            }
+
+            bladeLoad.fill(0);
+            if (saved.bladeLoad && saved.bladeLoad.length === bladeLoad.length) {
+                bladeLoad.set(saved.bladeLoad);
+            }
+
+            bladeAngle = saved.bladeAngle || 0;
+            previousBladeAngle = bladeAngle;
+            pivotAngle = saved.pivotAngle || 0;
+            previousPivotAngle = pivotAngle;
+            spiralShift = saved.spiralShift || 0;
+            if (saved.rotationSpeed !== undefined) rotationSpeed = saved.rotationSpeed;
+            if (saved.pattern && SandPatterns.get(saved.pattern.name)) {
+                patternName = saved.pattern.name;
+                patternParams = Object.assign({}, saved.pattern.params);
+            }
+
+            stones = (saved.stones || []).map((stone) => Object.assign({}, stone, {
+                x: stone.x * scaleX,
+                y: stone.y * scaleY,
+                rx: stone.rx * scale,
+                ry: stone.ry * scale
+            }));
+            nextStoneId = stones.reduce((max, stone) => Math.max(max, stone.id), 0) + 1;
+            stonesChanged();
+
+            // Spread whatever resampling, quantization or a resized blade
+            // lost evenly over the open sand
+            let openCells = 0;
+            for (let i = 0; i < cellCount; i++) openCells += openMask[i];
+            const residual = saved.totalMass * areaRatio - totalMass();
+            if (openCells > 0) {
+                const share = residual / openCells;
+                for (let i = 0; i < cellCount; i++) {
+                    if (openMask[i]) heightMap[i] += share;
+                }
+            }
+
+            initialMass = saved.initialMass * areaRatio;
+            markDirty(0, 0, gridWidth - 1, gridHeight - 1);
+        }
+
+        initHeightMap();
+
+        return {
+            config,
+            radius,
+            resolution,
+            shape,
+            halfWidth: extentX,
+            halfHeight: extentY,
+            gridWidth,
+            gridHeight,
+            teethCount,
+            dig,
+            stroke,
+            step,
+            totalMass,
+            massAudit,
+            takeDirtyRects,
+            takeSandMoved,
+            takeTouched,
+            readRegion,
+            writeRegion,
+            adjustRegion,
+            takeMotion,
+            applyMotion,
+            getBladeState,
+            setBladeState,
+            getHeightMap() { return heightMap; },
+            getTargetHeightMap() { return targetHeightMap; },
+            get bladeAngle() { return bladeAngle; },
+            bladeAngleAt,
+            getBlade,
+            get rotationSpeed() { return rotationSpeed; },
+            setRotationSpeed(speed) { rotationSpeed = speed; },
+            setPattern,
+            configure,
+            addStone,
+            moveStone,
+            removeStone,
+            getStones,
+            stoneAt,
+            getPattern() { return { name: patternName, params: Object.assign({}, patternParams) }; },
+            snapshot,
+            restore,
+            reset: initHeightMap
+        };
+    }
+
+    return { create, resampleGrid, mergeConfig, DEFAULTS, TOOLS, BLADE_ROLES, BLADE_LAYOUTS, STEP_SECONDS };
+});
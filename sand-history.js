@@ -0,0 +1,297 @@
+/**
+ * Zen Sand Garden - History
+ * Stroke-level undo and redo, kept as how much each stroke changed the
+ * heights of the grid rectangle it touched, and a time-lapse: keyframes of
+ * the whole garden taken every few seconds over the last few minutes, to
+ * scrub back through and resume from.
+ *
+ * Neither changes a garden itself. Undo and redo hand back changes for
+ * garden.adjustRegion() (the app sends them through SandRecorder.apply() as
+ * an 'adjust' command so recordings include them). Being added rather than
+ * written, they leave what the blade has done since. A keyframe is a
+ * snapshot for garden.restore().
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./sand-garden.js'));
+    } else {
+        root.SandHistory = factory(root.SandGarden);
+    }
+})(typeof self !== 'undefined' ? self : this, function (SandGarden) {
+    'use strict';
+
+    const DEFAULTS = {
+        undo: {
+            limit: 50,         // Strokes that can be undone
+            margin: 4          // Cells kept around a stroke for the sand that slumped off it
+        },
+        timelapse: {
+            interval: 5,       // Seconds of garden time between keyframes
+            duration: 180,     // Seconds kept
+            step: 1 / 1024     // Height quantization of stored keyframes
+        }
+    };
+
+    // ==================== UNDO ====================
+    /**
+     * Undo and redo stacks for strokes. Call begin() when a stroke starts,
+     * track() after each piece of it is applied and end() when it finishes.
+     * @param {Object} [options]
+     * @param {Object} [options.config] - Overrides for DEFAULTS
+     */
+    function createUndo(options) {
+        const config = SandGarden.mergeConfig(DEFAULTS, options && options.config).undo;
+        const done = [];
+        const undone = [];
+        let stroke = null;  // { garden, before, rect } while a stroke is under way
+
+        function begin(garden) {
+            if (stroke) return;
+            garden.takeTouched();
+            stroke = { garden, before: garden.getHeightMap().slice(), rect: null };
+        }
+
+        function track(garden) {
+            if (!stroke || garden !== stroke.garden) return;
+            const rect = garden.takeTouched();
+            if (!rect) return;
+            if (!stroke.rect) {
+                stroke.rect = rect;
+            } else {
+                stroke.rect.x0 = Math.min(stroke.rect.x0, rect.x0);
+                stroke.rect.y0 = Math.min(stroke.rect.y0, rect.y0);
+                stroke.rect.x1 = Math.max(stroke.rect.x1, rect.x1);
+                stroke.rect.y1 = Math.max(stroke.rect.y1, rect.y1);
+            }
+        }
+
+        /**
+         * Finish the stroke and keep it if it changed anything.
+         * @param {Object} garden
+         * @param {*} [data] - Handed back with the stroke by undo() and redo()
+         * @returns {boolean} whether a step was added
+         */
+        function end(garden, data) {
+            track(garden);
+            const finished = stroke;
+            stroke = null;
+            // A garden replaced mid-stroke has other cells; nothing to compare
+            if (!finished || !finished.rect || garden !== finished.garden) return false;
+
+            const rect = changedWithin(garden, finished.before, grow(garden, finished.rect, config.margin));
+            if (!rect) return false;
+
+            const width = rect.x1 - rect.x0 + 1;
+            const before = new Float32Array(width * (rect.y1 - rect.y0 + 1));
+            for (let y = rect.y0; y <= rect.y1; y++) {
+                before.set(finished.before.subarray(y * garden.gridWidth + rect.x0, y * garden.gridWidth + rect.x1 + 1),
+                    (y - rect.y0) * width);
+            }
+            const changes = garden.readRegion(rect.x0, rect.y0, rect.x1, rect.y1).heights;
+            for (let i = 0; i < changes.length; i++) {
+                changes[i] -= before[i];
+            }
+
+            // undid: what undo last took away, for redo to add back
+            done.push({ rect, before, changes, undid: null, data });
+            if (done.length > config.limit) done.shift();
+            undone.length = 0;
+            return true;
+        }
+
+        /**
+         * Apply a change that isn't part of the stroke under way, such as
+         * another screen's, so that undoing the stroke leaves it.
+         * @param {Object} garden
+         * @param {Function} apply - Makes the change
+         */
+        function exclude(garden, apply) {
+            if (!stroke || garden !== stroke.garden) {
+                apply();
+                return;
+            }
+            track(garden);
+            const heights = garden.getHeightMap().slice();
+            apply();
+            garden.takeTouched();
+            const heightMap = garden.getHeightMap();
+            for (let i = 0; i < heightMap.length; i++) {
+                if (heightMap[i] !== heights[i]) stroke.before[i] += heightMap[i] - heights[i];
+            }
+        }
+
+        // How much of each change is still there. The blade may have combed
+        // part of a stroke away since; undo never takes a cell past the
+        // height the stroke found it at.
+        function remaining(garden, entry) {
+            const { x0, y0, x1, y1 } = entry.rect;
+            const heightMap = garden.getHeightMap();
+            const width = x1 - x0 + 1;
+            const left = new Float32Array(entry.changes.length);
+            for (let y = y0; y <= y1; y++) {
+                for (let x = x0; x <= x1; x++) {
+                    const i = (y - y0) * width + (x - x0);
+                    const change = entry.changes[i];
+                    const since = heightMap[y * garden.gridWidth + x] - entry.before[i];
+                    left[i] = change > 0 ? Math.min(change, Math.max(0, since)) : Math.max(change, Math.min(0, since));
+                }
+            }
+            return left;
+        }
+
+        // Changes as a plain, JSON-safe region, taken away or added
+        function region(entry, changes, sign) {
+            return Object.assign({}, entry.rect, { changes: Array.from(changes, (change) => sign * change) });
+        }
+
+        return {
+            begin,
+            track,
+            exclude,
+            end,
+            /**
+             * @param {Object} garden - The garden as it is now
+             * @returns {Object|null} { region, data } to adjust by, or null
+             */
+            undo(garden) {
+                const entry = done.pop();
+                if (!entry) return null;
+                undone.push(entry);
+                entry.undid = remaining(garden, entry);
+                return { region: region(entry, entry.undid, -1), data: entry.data };
+            },
+            redo() {
+                const entry = undone.pop();
+                if (!entry) return null;
+                done.push(entry);
+                return { region: region(entry, entry.undid, 1), data: entry.data };
+            },
+            // Regions are in grid cells; call when the garden is replaced
+            clear() {
+                done.length = 0;
+                undone.length = 0;
+                stroke = null;
+            },
+            get canUndo() { return done.length > 0; },
+            get canRedo() { return undone.length > 0; }
+        };
+    }
+
+    function grow(garden, rect, margin) {
+        return {
+            x0: Math.max(0, rect.x0 - margin),
+            y0: Math.max(0, rect.y0 - margin),
+            x1: Math.min(garden.gridWidth - 1, rect.x1 + margin),
+            y1: Math.min(garden.gridHeight - 1, rect.y1 + margin)
+        };
+    }
+
+    // The part of rect where the garden now differs from before, or null
+    function changedWithin(garden, before, rect) {
+        const heightMap = garden.getHeightMap();
+        let x0 = Infinity;
+        let y0 = Infinity;
+        let x1 = -1;
+        let y1 = -1;
+        for (let y = rect.y0; y <= rect.y1; y++) {
+            for (let x = rect.x0; x <= rect.x1; x++) {
+                const index = y * garden.gridWidth + x;
+                if (heightMap[index] === before[index]) continue;
+                if (x < x0) x0 = x;
+                if (x > x1) x1 = x;
+                if (y < y0) y0 = y;
+                y1 = y;
+            }
+        }
+        return x1 < 0 ? null : { x0, y0, x1, y1 };
+    }
+
+    // ==================== TIME-LAPSE ====================
+    /**
+     * Keyframes of a garden over the last few minutes. Call tick() after
+     * every garden.step(). Heights are stored quantized; restoring one
+     * corrects the total exactly, as loading a saved garden does.
+     * @param {Object} [options]
+     * @param {Object} [options.config] - Overrides for DEFAULTS
+     */
+    function createTimeline(options) {
+        const config = SandGarden.mergeConfig(DEFAULTS, options && options.config).timelapse;
+        const frames = [];  // { time, snapshot } oldest first, heights as Int16Array levels
+        let clock = 0;
+        let wait = 0;
+        let preview = null;
+
+        function tick(garden, seconds) {
+            clock += seconds;
+            wait -= seconds;
+            if (wait > 0) return;
+            capture(garden);
+        }
+
+        function capture(garden) {
+            const snapshot = garden.snapshot();
+            const levels = new Int16Array(snapshot.heightMap.length);
+            for (let i = 0; i < levels.length; i++) {
+                levels[i] = Math.max(-32767, Math.min(32767, Math.round(snapshot.heightMap[i] / config.step)));
+            }
+            snapshot.heightMap = levels;
+
+            frames.push({ time: clock, snapshot });
+            while (frames.length > 1 && clock - frames[0].time > config.duration) {
+                frames.shift();
+            }
+            wait = config.interval;
+        }
+
+        /**
+         * A keyframe as a snapshot for garden.restore().
+         * @param {number} index - 0 is the oldest
+         */
+        function snapshotAt(index) {
+            const stored = frames[index].snapshot;
+            const heightMap = new Float32Array(stored.heightMap.length);
+            for (let i = 0; i < heightMap.length; i++) {
+                heightMap[i] = stored.heightMap[i] * config.step;
+            }
+            return Object.assign({}, stored, { heightMap });
+        }
+
+        /**
+         * A garden showing a keyframe, for drawing while scrubbing. The same
+         * garden is reused while the keyframes are the same size.
+         */
+        function gardenAt(index) {
+            const stored = frames[index].snapshot;
+            if (!preview || preview.radius !== stored.radius || preview.resolution !== stored.resolution ||
+                preview.shape.name !== stored.shape) {
+                preview = SandGarden.create({ radius: stored.radius, resolution: stored.resolution, shape: stored.shape });
+            }
+            preview.restore(snapshotAt(index));
+            return preview;
+        }
+
+        return {
+            tick,
+            capture,
+            snapshotAt,
+            gardenAt,
+            // Seconds between a keyframe and the latest one
+            ageOf(index) { return frames[frames.length - 1].time - frames[index].time; },
+            // Resuming from a keyframe forgets everything after it
+            truncate(index) {
+                frames.length = index + 1;
+                clock = frames[index].time;
+                wait = config.interval;
+            },
+            clear() {
+                frames.length = 0;
+                wait = 0;
+                preview = null;
+            },
+            get length() { return frames.length; }
+        };
+    }
+
+    return { createUndo, createTimeline, DEFAULTS };
+});
@@ -0,0 +1,161 @@
+/**
+ * Zen Sand Garden - Simulation host
+ * Runs the live garden behind one interface, either here on the page or
+ * in a Web Worker (sand-worker.js) that also draws it on the canvas,
+ * transferred as an OffscreenCanvas. The worker is used when the canvas
+ * can be transferred; otherwise the garden steps here and the caller draws
+ * it, as before.
+ *
+ * With a worker, host.garden is a mirror: every command is applied to it
+ * too, so strokes and stones answer at once and the garden can be read
+ * without waiting, and each frame's changed regions and blade state are
+ * copied over from the worker. It is never stepped itself.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./sand-garden.js'), require('./sand-recorder.js'));
+    } else {
+        root.SandHost = factory(root.SandGarden, root.SandRecorder);
+    }
+})(typeof self !== 'undefined' ? self : this, function (SandGarden, SandRecorder) {
+    'use strict';
+
+    const WORKER_URL = 'sand-worker.js';
+
+    /**
+     * Whether a garden can run in a worker drawing on this canvas.
+     * @param {HTMLCanvasElement} canvas
+     */
+    function supportsWorker(canvas) {
+        return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' &&
+            !!canvas && typeof canvas.transferControlToOffscreen === 'function';
+    }
+
+    /**
+     * Host a live garden.
+     * @param {Object} options
+     * @param {Object} options.garden - Options for SandGarden.create()
+     * @param {HTMLCanvasElement} [options.canvas] - Given to a worker to draw
+     *   on, if supportsWorker(); without it the garden runs here
+     * @param {Object} [options.renderer] - The worker's SandRenderer config
+     * @param {Object} [options.layout] - { width, height, centerX, centerY,
+     *   pixelRatio } of the canvas, in CSS pixels
+     * @param {Function} [options.onError] - Called if the worker fails; it
+     *   has been stopped and the canvas is unusable
+     * @returns {Object} host: { remote, garden, perform, step, restore,
+     *   startRecording, stopRecording, setLayout, configureRenderer, pause,
+     *   resume, start, stop }
+     */
+    function create(options) {
+        return options.canvas && supportsWorker(options.canvas) ? createRemote(options) : createLocal(options);
+    }
+
+    // ==================== ON THE PAGE ====================
+    function createLocal(options) {
+        let garden = SandGarden.create(options.garden);
+        let recorder = null;
+
+        return {
+            remote: false,
+            get garden() { return garden; },
+            perform(type, data) {
+                if (recorder) recorder.log(type, data);
+                garden = SandRecorder.apply(garden, type, data);
+            },
+            step(seconds) {
+                garden.step(seconds);
+                if (recorder) recorder.tick();
+            },
+            // Not a command: a recording can't replay across it
+            restore(snapshot) { garden.restore(snapshot); },
+            startRecording() { recorder = SandRecorder.createRecorder(garden); },
+            /**
+             * @returns {Promise<Object|null>} the session
+             */
+            stopRecording() {
+                const session = recorder ? recorder.stop() : null;
+                recorder = null;
+                return Promise.resolve(session);
+            },
+            // The caller draws and runs the loop
+            setLayout() {},
+            configureRenderer() {},
+            pause() {},
+            resume() {},
+            start() {},
+            stop() {}
+        };
+    }
+
+    // ==================== IN A WORKER ====================
+    function createRemote(options) {
+        const worker = new Worker(options.workerUrl || WORKER_URL);
+        const canvas = options.canvas.transferControlToOffscreen();
+        const sessions = [];  // stopRecording() resolvers, answered in order
+        let garden = SandGarden.create(options.garden);
+        let generation = 0;   // Counted the same way as the worker's
+
+        worker.addEventListener('message', (e) => {
+            if (e.data.type === 'frame') mirror(e.data);
+            else if (e.data.type === 'session') sessions.shift()(e.data.session);
+        });
+        worker.addEventListener('error', (e) => {
+            worker.terminate();
+            sessions.splice(0).forEach((resolve) => resolve(null));
+            if (options.onError) options.onError(e);
+        });
+
+        worker.postMessage({
+            type: 'init',
+            garden: options.garden,
+            canvas,
+            renderer: options.renderer,
+            layout: options.layout
+        }, [canvas]);
+
+        function post(type, fields) {
+            worker.postMessage(Object.assign({ type }, fields));
+        }
+
+        // Frames sent before a garden was replaced or restored here are stale
+        function mirror(frame) {
+            if (frame.generation !== generation) return;
+            frame.regions.forEach((region) => garden.writeRegion(region, { conserve: false }));
+            garden.applyMotion(frame.motion);
+        }
+
+        return {
+            remote: true,
+            get garden() { return garden; },
+            perform(type, data) {
+                post('perform', { command: type, data });
+                const previous = garden;
+                garden = SandRecorder.apply(garden, type, data);
+                if (garden !== previous) generation++;
+            },
+            // The worker keeps its own clock
+            step() {},
+            restore(snapshot) {
+                post('restore', { snapshot });
+                garden.restore(snapshot);
+                generation++;
+            },
+            startRecording() { post('record'); },
+            stopRecording() {
+                return new Promise((resolve) => {
+                    sessions.push(resolve);
+                    post('stopRecording');
+                });
+            },
+            setLayout(layout) { post('layout', { layout }); },
+            configureRenderer(config) { post('renderer', { config }); },
+            pause() { post('pause'); },
+            resume() { post('resume'); },
+            start() { post('start'); },
+            stop() { post('stop'); }
+        };
+    }
+
+    return { create, supportsWorker };
+});
@@ -0,0 +1,94 @@
+/**
+ * Zen Sand Garden - Loop
+ * Fixed-timestep driver on requestAnimationFrame. The simulation advances
+ * in steps of exactly stepSeconds whatever the display's refresh rate;
+ * rendering is told how far into the next step it is so motion can be
+ * interpolated.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SandLoop = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DEFAULTS = {
+        stepSeconds: 1 / 60,
+        maxSteps: 8  // Per frame; time beyond that is dropped rather than caught up
+    };
+
+    /**
+     * @param {Object} options
+     * @param {Function} options.step - (stepSeconds) => void, one fixed step
+     * @param {Function} options.render - (alpha) => void, alpha in [0, 1)
+     * @param {Function} [options.frame] - (seconds) => void, once per frame
+     *   before stepping, with the real time elapsed (0 while paused)
+     * @param {Object} [options.config] - Overrides of DEFAULTS
+     */
+    function create(options) {
+        const config = Object.assign({}, DEFAULTS, options.config);
+        const frame = options.frame || (() => {});
+
+        let animationId = null;
+        let lastTime = null;
+        let accumulator = 0;
+        let paused = false;
+
+        function tick(now) {
+            const elapsed = lastTime === null ? 0 : Math.max(0, (now - lastTime) / 1000);
+            lastTime = now;
+
+            frame(paused ? 0 : elapsed);
+
+            if (!paused) {
+                accumulator += elapsed;
+                let steps = 0;
+                while (accumulator >= config.stepSeconds && steps < config.maxSteps) {
+                    options.step(config.stepSeconds);
+                    accumulator -= config.stepSeconds;
+                    steps++;
+                }
+                // A long stall (debugger, slow device) skips ahead instead of
+                // spending the next frames catching up
+                if (steps === config.maxSteps) {
+                    accumulator = Math.min(accumulator, config.stepSeconds);
+                }
+            }
+
+            options.render(Math.min(1, accumulator / config.stepSeconds));
+            animationId = requestAnimationFrame(tick);
+        }
+
+        /**
+         * Start requesting frames. The clock restarts, so time spent
+         * stopped is not simulated.
+         */
+        function start() {
+            if (animationId !== null) return;
+            lastTime = null;
+            animationId = requestAnimationFrame(tick);
+        }
+
+        function stop() {
+            if (animationId === null) return;
+            cancelAnimationFrame(animationId);
+            animationId = null;
+        }
+
+        return {
+            config,
+            start,
+            stop,
+            // Paused keeps rendering and input; only the simulation holds still
+            pause() { paused = true; },
+            resume() { paused = false; },
+            get paused() { return paused; },
+            get running() { return animationId !== null; }
+        };
+    }
+
+    return { create, DEFAULTS };
+});
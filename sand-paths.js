@@ -0,0 +1,353 @@
+/**
+ * Zen Sand Garden - Sand table paths
+ * Turns a garden into the single continuous track a ball on a magnet
+ * draws on a kinetic sand table: the comb pattern first (its zero-height
+ * lines), then the strokes the user drew on top. Paths are ordered to keep
+ * the connecting travel short, since the ball can't lift between them.
+ * Writes theta-rho (.thr) tracks and plotter G-code.
+ *
+ * Paths are polylines of [x, y] in garden coordinates (relative to the
+ * center, y down, like everything else in the garden).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./sand-garden.js'), require('./sand-export.js'));
+    } else {
+        root.SandPaths = factory(root.SandGarden, root.SandExport);
+    }
+})(typeof self !== 'undefined' ? self : this, function (SandGarden, SandExport) {
+    'use strict';
+
+    const DEFAULTS = {
+        pattern: {
+            level: 0,          // Height of the comb target traced into lines
+            minLength: 12      // World units; shorter crumbs are dropped
+        },
+        track: {
+            maxStep: 0.01      // Longest move between points, as a fraction of the radius
+        },
+        gcode: {
+            diameter: 400,     // Millimetres of the table's drawing area
+            feedRate: 2000,    // Millimetres per minute
+            origin: 'center'   // 'center', or 'corner' to keep coordinates positive
+        }
+    };
+
+    const LOOP_ENTRIES = 16;  // Points spread around a closed path it may be started from
+
+    // ==================== SOURCES ====================
+    /**
+     * The comb pattern as lines: where its target crosses config level.
+     * Stone halos are part of the target, so they come along.
+     */
+    function patternPaths(garden, options) {
+        const config = SandGarden.mergeConfig(DEFAULTS, options && options.config).pattern;
+        return SandExport.traceContours(garden, config.level, garden.getTargetHeightMap())
+            .filter((line) => pathLength(line.points, line.closed) >= config.minLength);
+    }
+
+    /**
+     * The user's strokes as lines. Consecutive segments of one drag are
+     * joined back up, even when two fingers' segments interleave; a rake
+     * becomes one line per tine.
+     * @param {Array} strokes - { tool, x0, y0, x1, y1 } in the order applied
+     * @param {Object} tools - garden.config.tools
+     */
+    function strokePaths(strokes, tools) {
+        const paths = [];
+        const openEnds = new Map();  // 'tool x y' of a path's last point -> path
+
+        strokes.forEach((stroke) => {
+            const startKey = `${stroke.tool} ${stroke.x0} ${stroke.y0}`;
+            let path = openEnds.get(startKey);
+            if (path) {
+                openEnds.delete(startKey);
+            } else {
+                path = { tool: stroke.tool, points: [[stroke.x0, stroke.y0]], closed: false };
+                paths.push(path);
+            }
+            // A hold adds nothing to the line
+            if (stroke.x1 !== stroke.x0 || stroke.y1 !== stroke.y0) {
+                path.points.push([stroke.x1, stroke.y1]);
+            }
+            openEnds.set(`${stroke.tool} ${stroke.x1} ${stroke.y1}`, path);
+        });
+
+        const lines = [];
+        paths.forEach((path) => {
+            if (path.tool === 'rake' && path.points.length > 1) {
+                const first = -(tools.rakeTines - 1) / 2;
+                for (let t = 0; t < tools.rakeTines; t++) {
+                    lines.push({ points: offsetLine(path.points, (first + t) * tools.rakeTineSpacing), closed: false });
+                }
+            } else {
+                lines.push({ points: path.points, closed: false });
+            }
+        });
+        return lines;
+    }
+
+    // Shift a polyline sideways, the way the rake holds its tines across
+    // the direction of travel
+    function offsetLine(points, offset) {
+        return points.map((point, i) => {
+            const before = points[Math.max(0, i - 1)];
+            const after = points[Math.min(points.length - 1, i + 1)];
+            const dx = after[0] - before[0];
+            const dy = after[1] - before[1];
+            const length = Math.sqrt(dx * dx + dy * dy) || 1;
+            return [point[0] - dy / length * offset, point[1] + dx / length * offset];
+        });
+    }
+
+    function pathLength(points, closed) {
+        let length = 0;
+        for (let i = 1; i < points.length; i++) {
+            length += distance(points[i - 1], points[i]);
+        }
+        if (closed && points.length > 1) length += distance(points[points.length - 1], points[0]);
+        return length;
+    }
+
+    function distance(a, b) {
+        const dx = a[0] - b[0];
+        const dy = a[1] - b[1];
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    // ==================== ORDERING ====================
+    /**
+     * Greedy nearest-neighbour order: from where the ball is, go to the
+     * closest remaining path. Open paths may be drawn backwards and closed
+     * ones started at one of LOOP_ENTRIES points spread around them, so a
+     * path has a few entry points however long it is.
+     * @param {Array} paths
+     * @param {Array} start - [x, y]
+     * @returns {Array} reordered paths as plain point lists, closed ones
+     *   already closed by repeating their first point
+     */
+    function orderPaths(paths, start) {
+        const remaining = paths.filter((path) => path.points.length > 0);
+        const entries = [];
+        remaining.forEach((path, index) => {
+            entriesOf(path).forEach((i) => entries.push({ x: path.points[i][0], y: path.points[i][1], path: index, point: i }));
+        });
+        const done = new Uint8Array(remaining.length);
+        const ordered = [];
+        let grid = entryGrid(entries);
+        let position = start;
+
+        for (let count = 0; count < remaining.length; count++) {
+            // An emptied grid is mostly cells to look through for nothing
+            if (grid.live * 4 < grid.size) grid = entryGrid(entries.filter((entry) => !done[entry.path]));
+            const best = grid.nearest(position[0], position[1], done);
+
+            const path = remaining[best.path];
+            done[best.path] = 1;
+            grid.live -= entriesOf(path).length;
+            let points;
+            if (path.closed) {
+                points = path.points.slice(best.point).concat(path.points.slice(0, best.point + 1));
+            } else {
+                points = best.point === 0 ? path.points.slice() : path.points.slice().reverse();
+            }
+            ordered.push(points);
+            position = points[points.length - 1];
+        }
+        return ordered;
+    }
+
+    function entriesOf(path) {
+        const count = path.points.length;
+        if (!path.closed) return count > 1 ? [0, count - 1] : [0];
+        const stride = Math.max(1, Math.ceil(count / LOOP_ENTRIES));
+        const entries = [];
+        for (let i = 0; i < count; i += stride) {
+            entries.push(i);
+        }
+        return entries;
+    }
+
+    // Entries bucketed about one to a cell, so the nearest is found by
+    // looking outward from the ball, ring by ring, rather than at them all
+    function entryGrid(entries) {
+        let minX = Infinity;
+        let minY = Infinity;
+        let maxX = -Infinity;
+        let maxY = -Infinity;
+        entries.forEach((entry) => {
+            minX = Math.min(minX, entry.x);
+            minY = Math.min(minY, entry.y);
+            maxX = Math.max(maxX, entry.x);
+            maxY = Math.max(maxY, entry.y);
+        });
+        const cell = Math.max(maxX - minX, maxY - minY, 1) / Math.max(1, Math.sqrt(entries.length));
+        const columns = Math.floor((maxX - minX) / cell) + 1;
+        const rows = Math.floor((maxY - minY) / cell) + 1;
+        const cells = new Array(columns * rows);
+        entries.forEach((entry) => {
+            const index = Math.floor((entry.y - minY) / cell) * columns + Math.floor((entry.x - minX) / cell);
+            (cells[index] || (cells[index] = [])).push(entry);
+        });
+
+        function nearest(x, y, done) {
+            const cx = Math.floor((x - minX) / cell);
+            const cy = Math.floor((y - minY) / cell);
+            const reach = Math.max(cx, columns - 1 - cx, cy, rows - 1 - cy);
+            let best = null;
+            let bestDistance = Infinity;
+
+            for (let ring = 0; ring <= reach; ring++) {
+                for (let gy = cy - ring; gy <= cy + ring; gy++) {
+                    if (gy < 0 || gy >= rows) continue;
+                    const edge = gy === cy - ring || gy === cy + ring;
+                    for (let gx = cx - ring; gx <= cx + ring; gx += edge ? 1 : 2 * ring) {
+                        if (gx < 0 || gx >= columns) continue;
+                        const bucket = cells[gy * columns + gx];
+                        if (!bucket) continue;
+                        bucket.forEach((entry) => {
+                            if (done[entry.path]) return;
+                            const d = distance([x, y], [entry.x, entry.y]);
+                            if (d < bestDistance) {
+                                best = entry;
+                                bestDistance = d;
+                            }
+                        });
+                    }
+                }
+                // Anything in the next ring is at least this far away
+                if (best && bestDistance <= ring * cell) break;
+            }
+            return best;
+        }
+
+        return { nearest, size: entries.length, live: entries.length };
+    }
+
+    // ==================== TRACK ====================
+    /**
+     * The whole drawing as one ball path, starting at the center.
+     * @param {Object} garden
+     * @param {Array} strokes - See strokePaths()
+     * @param {Object} [options] - { config: overrides }
+     * @returns {Object} { points: [{ x, y, travel }], length } where travel
+     *   marks points reached by a connecting move rather than the drawing
+     */
+    function buildTrack(garden, strokes, options) {
+        const pattern = orderPaths(patternPaths(garden, options), [0, 0]);
+        const patternEnd = pattern.length > 0 ? last(last(pattern)) : [0, 0];
+        const drawn = orderPaths(strokePaths(strokes, garden.config.tools), patternEnd);
+
+        const points = [{ x: 0, y: 0, travel: false }];
+        pattern.concat(drawn).forEach((path) => {
+            path.forEach((point, i) => points.push({ x: point[0], y: point[1], travel: i === 0 }));
+        });
+
+        let length = 0;
+        for (let i = 1; i < points.length; i++) {
+            length += distance([points[i - 1].x, points[i - 1].y], [points[i].x, points[i].y]);
+        }
+        return { points, length };
+    }
+
+    function last(list) {
+        return list[list.length - 1];
+    }
+
+    // Split long moves: tables interpolate in their own coordinates, so a
+    // long step would come out curved instead of straight
+    function densify(points, maxStep) {
+        const out = [points[0]];
+        for (let i = 1; i < points.length; i++) {
+            const from = points[i - 1];
+            const to = points[i];
+            const steps = Math.max(1, Math.ceil(distance([from.x, from.y], [to.x, to.y]) / maxStep));
+            for (let s = 1; s <= steps; s++) {
+                out.push({
+                    x: from.x + (to.x - from.x) * s / steps,
+                    y: from.y + (to.y - from.y) * s / steps,
+                    travel: to.travel
+                });
+            }
+        }
+        return out;
+    }
+
+    // ==================== FORMATS ====================
+    /**
+     * Theta-rho track: one "theta rho" pair per line, theta in radians
+     * counterclockwise and never wrapped (it keeps counting through full
+     * turns), rho from 0 at the center to 1 at the rim. A garden that isn't
+     * round is scaled so its farthest corner lands on the table's rim.
+     * @returns {string}
+     */
+    function toThetaRho(garden, track, options) {
+        const config = SandGarden.mergeConfig(DEFAULTS, options && options.config).track;
+        const reach = garden.shape.reach;
+        const points = densify(track.points, config.maxStep * garden.radius);
+        const lines = ['# Zen Sand Garden ball path'];
+        let theta = 0;
+        let previous = null;
+
+        points.forEach((point) => {
+            const rho = Math.min(1, Math.sqrt(point.x * point.x + point.y * point.y) / reach);
+            // Theta is undefined at the center; keep the last heading there
+            if (rho > 1e-6) {
+                const angle = Math.atan2(-point.y, point.x);
+                if (previous === null) {
+                    theta = angle;
+                } else {
+                    let delta = angle - previous;
+                    if (delta > Math.PI) delta -= Math.PI * 2;
+                    else if (delta < -Math.PI) delta += Math.PI * 2;
+                    theta += delta;
+                }
+                previous = angle;
+            }
+            lines.push(`${theta.toFixed(5)} ${rho.toFixed(5)}`);
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * G-code for an XY ball table, millimetres, y up. Every move is a G1:
+     * the ball can't be lifted, so travel is drawn too (marked in comments).
+     * @returns {string}
+     */
+    function toGcode(garden, track, options) {
+        const config = SandGarden.mergeConfig(DEFAULTS, options && options.config);
+        const gcode = config.gcode;
+        const points = densify(track.points, config.track.maxStep * garden.radius);
+        const scale = gcode.diameter / (2 * garden.radius);
+        const offset = gcode.origin === 'corner' ? gcode.diameter / 2 : 0;
+
+        const lines = [
+            '; Zen Sand Garden ball path',
+            'G21 ; millimetres',
+            'G90 ; absolute positions',
+            `G1 F${gcode.feedRate}`
+        ];
+        let travelling = false;
+        points.forEach((point) => {
+            if (point.travel !== travelling) {
+                travelling = point.travel;
+                lines.push(travelling ? '; travel' : '; draw');
+            }
+            const x = point.x * scale + offset;
+            const y = -point.y * scale + offset;
+            lines.push(`G1 X${x.toFixed(3)} Y${y.toFixed(3)}`);
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    return {
+        patternPaths,
+        strokePaths,
+        orderPaths,
+        buildTrack,
+        toThetaRho,
+        toGcode,
+        DEFAULTS
+    };
+});
@@ -0,0 +1,155 @@
+/**
+ * Zen Sand Garden - Patterns
+ * Registry of target patterns the comb side of the blade raises in the sand.
+ * A pattern maps a point in the garden to a height in [-1, 1].
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SandPatterns = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const TWO_PI = Math.PI * 2;
+
+    // Parameters every pattern understands. frequency scales the garden's
+    // base groove frequency (one groove per blade tooth), phase shifts the
+    // grooves in radians and amplitude scales the groove height.
+    const COMMON_PARAMS = {
+        frequency: 1,
+        phase: 0,
+        amplitude: 1
+    };
+
+    const registry = new Map();
+
+    /**
+     * Register a pattern.
+     * @param {string} name
+     * @param {Object} definition
+     * @param {string} definition.label - Name shown in the picker
+     * @param {Object} [definition.params] - Extra parameters and their defaults
+     * @param {Function} definition.sample - (point, params) => height in [-1, 1].
+     *   point holds x, y, r, theta relative to the center, f (grooves per
+     *   world unit after frequency) and radius of the garden.
+     */
+    function register(name, definition) {
+        registry.set(name, {
+            name,
+            label: definition.label,
+            params: Object.assign({}, COMMON_PARAMS, definition.params),
+            sample: definition.sample
+        });
+    }
+
+    function get(name) {
+        return registry.get(name) || null;
+    }
+
+    function list() {
+        return Array.from(registry.values()).map(({ name, label }) => ({ name, label }));
+    }
+
+    /**
+     * Build a sampler for a garden: returns (x, y) => height for points
+     * relative to the garden center, amplitude already applied.
+     * @param {string} name
+     * @param {Object} [params] - Overrides of the pattern's defaults
+     * @param {Object} garden - { radius, teethCount }
+     */
+    function createSampler(name, params, garden) {
+        const pattern = get(name);
+        if (!pattern) {
+            throw new Error(`Unknown sand pattern: ${name}`);
+        }
+
+        const resolved = Object.assign({}, pattern.params, params);
+        const f = (garden.teethCount / garden.radius) * resolved.frequency;
+        const point = { x: 0, y: 0, r: 0, theta: 0, f, radius: garden.radius };
+
+        return (x, y) => {
+            point.x = x;
+            point.y = y;
+            point.r = Math.sqrt(x * x + y * y);
+            point.theta = Math.atan2(y, x);
+            return pattern.sample(point, resolved) * resolved.amplitude;
+        };
+    }
+
+    // ==================== BUILT-IN PATTERNS ====================
+    register('ripples', {
+        label: 'Ripples',
+        sample: (p, params) => Math.sin(p.r * p.f * TWO_PI + params.phase)
+    });
+
+    // Logarithmic spiral, groove spacing matches the ripples at mid radius
+    register('spiral', {
+        label: 'Spiral',
+        params: { arms: 3 },
+        sample: (p, params) => {
+            const twist = Math.PI * p.f * p.radius;
+            return Math.sin(params.arms * p.theta - twist * Math.log(Math.max(p.r, 1) / p.radius) + params.phase);
+        }
+    });
+
+    register('spokes', {
+        label: 'Radial spokes',
+        sample: (p, params) => {
+            const count = Math.max(1, Math.round(Math.PI * p.radius * p.f));
+            return Math.sin(count * p.theta + params.phase);
+        }
+    });
+
+    // Parallel rake lines of a karesansui garden; angle in degrees
+    register('rake', {
+        label: 'Rake lines',
+        params: { angle: 0 },
+        sample: (p, params) => {
+            const angle = params.angle * Math.PI / 180;
+            const across = -p.x * Math.sin(angle) + p.y * Math.cos(angle);
+            return Math.sin(across * p.f * TWO_PI + params.phase);
+        }
+    });
+
+    // r = a * theta: grooves evenly spaced along the radius
+    register('archimedean', {
+        label: 'Archimedean spiral',
+        params: { arms: 1 },
+        sample: (p, params) => Math.sin(p.r * p.f * TWO_PI - params.arms * p.theta + params.phase)
+    });
+
+    // r^2 = a * theta: grooves tighten toward the rim
+    register('fermat', {
+        label: 'Fermat spiral',
+        params: { arms: 1 },
+        sample: (p, params) => Math.sin((p.r * p.r / p.radius) * p.f * TWO_PI - params.arms * p.theta + params.phase)
+    });
+
+    // Rings bent into petals: level sets of r * (1 + depth * cos(petals * theta))
+    register('rose', {
+        label: 'Rose curves',
+        params: { petals: 5, depth: 0.3 },
+        sample: (p, params) => {
+            const bend = 1 + params.depth * Math.cos(params.petals * p.theta);
+            return Math.sin(p.r * bend * p.f * TWO_PI + params.phase);
+        }
+    });
+
+    // Two ripple sets from offset centers interfering; offset in world units
+    register('moire', {
+        label: 'Moiré',
+        params: { offset: 40, ratio: 1.1 },
+        sample: (p, params) => {
+            const half = params.offset / 2;
+            const d1 = Math.sqrt((p.x - half) * (p.x - half) + p.y * p.y);
+            const d2 = Math.sqrt((p.x + half) * (p.x + half) + p.y * p.y);
+            return (Math.sin(d1 * p.f * TWO_PI + params.phase) +
+                Math.sin(d2 * p.f * params.ratio * TWO_PI + params.phase)) / 2;
+        }
+    });
+
+    return { register, get, list, createSampler };
+});
@@ -0,0 +1,274 @@
+/**
+ * Zen Sand Garden - Session recording
+ * Records everything that changes a garden as commands tagged with the
+ * simulation step they happened before, and replays them with the same
+ * fixed timestep the live app uses. The app sends its input through
+ * apply() both live and in replay, so playback reproduces the height map
+ * bit for bit.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./sand-garden.js'));
+    } else {
+        root.SandRecorder = factory(root.SandGarden);
+    }
+})(typeof self !== 'undefined' ? self : this, function (SandGarden) {
+    'use strict';
+
+    const MAGIC = [0x5A, 0x53, 0x52];  // 'ZSR'
+    const SESSION_VERSION = 2;         // 2: steps measured in seconds
+    const STEP_RATE = 1 / SandGarden.STEP_SECONDS;
+    const MAX_STEPS_PER_UPDATE = 32;   // Keeps a stalled tab from freezing on catch-up
+    const KEYFRAME_INTERVAL = 300;     // Steps between snapshots kept for seeking
+
+    // ==================== COMMANDS ====================
+    // Everything that can change a garden between steps. Each returns the
+    // garden to use from then on; only resize and a new grid resolution or
+    // shape replace it.
+    const COMMANDS = {
+        stroke: (garden, d) => { garden.stroke(d.tool, d.x0, d.y0, d.x1, d.y1, d.contact); },
+        speed: (garden, d) => { garden.setRotationSpeed(d.speed); },
+        pattern: (garden, d) => { garden.setPattern(d.name, d.params); },
+        addStone: (garden, d) => { garden.addStone(d); },
+        moveStone: (garden, d) => { garden.moveStone(d.id, d.x, d.y); },
+        removeStone: (garden, d) => { garden.removeStone(d.id); },
+        // Heights put back as they were; sessions recorded before undo and
+        // redo became adjust still hold these
+        region: (garden, d) => { garden.writeRegion(d); },
+        // Undo and redo take away or add back a stroke's changes
+        adjust: (garden, d) => { garden.adjustRegion(d); },
+        // A shared garden's blade kept in step with another screen's
+        blade: (garden, d) => { garden.setBladeState(d); },
+        configure: (garden, d) => {
+            const simulation = d.config.simulation || {};
+            const resolution = simulation.gridResolution || garden.resolution;
+            const shape = simulation.shape || garden.shape.name;
+            if (resolution !== garden.resolution || shape !== garden.shape.name) {
+                const rebuilt = SandGarden.create({ radius: garden.radius, resolution, shape });
+                rebuilt.restore(garden.snapshot());
+                rebuilt.configure(d.config);
+                return rebuilt;
+            }
+            garden.configure(d.config);
+        },
+        // Tool changes only matter to the controls shown during replay
+        tool: () => {},
+        resize: (garden, d) => {
+            const resized = SandGarden.create({ radius: d.radius, resolution: garden.resolution, shape: garden.shape.name });
+            resized.restore(garden.snapshot());
+            return resized;
+        }
+    };
+
+    /**
+     * Run one command against a garden.
+     * @param {Object} garden
+     * @param {string} type - Key of COMMANDS
+     * @param {Object} data - Plain, JSON-safe arguments
+     * @returns {Object} the garden to use from now on
+     */
+    function apply(garden, type, data) {
+        const command = COMMANDS[type];
+        if (!command) {
+            throw new Error(`Unknown garden command: ${type}`);
+        }
+        return command(garden, data) || garden;
+    }
+
+    function gardenFor(snapshot) {
+        const garden = SandGarden.create({
+            radius: snapshot.radius,
+            resolution: snapshot.resolution,
+            shape: snapshot.shape
+        });
+        garden.restore(snapshot);
+        return garden;
+    }
+
+    // ==================== RECORDING ====================
+    /**
+     * Start recording from the garden's current state. Call log() for
+     * every command applied and tick() after every garden.step().
+     * @param {Object} garden
+     */
+    function createRecorder(garden) {
+        const initial = garden.snapshot();
+        const entries = [];
+        const startTime = Date.now();
+        let frame = 0;
+
+        return {
+            log(type, data) {
+                // A deep copy, so later changes to the caller's objects can't leak in
+                entries.push({ frame, time: Date.now() - startTime, type, data: JSON.parse(JSON.stringify(data)) });
+            },
+            tick() { frame++; },
+            get frame() { return frame; },
+            /**
+             * @returns {Object} session: { version, initial, entries, frames }
+             */
+            stop() {
+                return { version: SESSION_VERSION, initial, entries: entries.slice(), frames: frame };
+            }
+        };
+    }
+
+    // ==================== PLAYBACK ====================
+    /**
+     * Replay a session on a garden of its own.
+     * @param {Object} session - From recorder.stop() or decodeSession()
+     * @param {Object} [options]
+     * @param {Function} [options.onEntry] - Called with each entry as it is applied
+     */
+    function createPlayer(session, options) {
+        const onEntry = (options && options.onEntry) || (() => {});
+        const entries = session.entries;
+        const keyframes = new Map([[0, { snapshot: session.initial, next: 0 }]]);
+
+        let garden = gardenFor(session.initial);
+        let frame = 0;
+        let nextEntry = 0;
+        let playing = false;
+        let speed = 1;
+        let accumulator = 0;
+
+        function stepOnce() {
+            while (nextEntry < entries.length && entries[nextEntry].frame === frame) {
+                const entry = entries[nextEntry++];
+                garden = apply(garden, entry.type, entry.data);
+                onEntry(entry);
+            }
+            garden.step(SandGarden.STEP_SECONDS);
+            frame++;
+
+            if (frame % KEYFRAME_INTERVAL === 0 && !keyframes.has(frame)) {
+                keyframes.set(frame, { snapshot: garden.snapshot(), next: nextEntry });
+            }
+        }
+
+        /**
+         * Advance by wall-clock time while playing.
+         * @param {number} seconds - Time since the previous call
+         * @returns {number} steps taken
+         */
+        function update(seconds) {
+            if (!playing) return 0;
+
+            accumulator += seconds * STEP_RATE * speed;
+            const steps = Math.min(Math.floor(accumulator), MAX_STEPS_PER_UPDATE * speed);
+            accumulator = Math.min(accumulator - steps, 1);
+
+            let taken = 0;
+            while (taken < steps && frame < session.frames) {
+                stepOnce();
+                taken++;
+            }
+            if (frame >= session.frames) playing = false;
+            return taken;
+        }
+
+        /**
+         * Jump to a step, resimulating from the nearest earlier keyframe.
+         * @param {number} target
+         */
+        function seek(target) {
+            target = Math.max(0, Math.min(session.frames, Math.round(target)));
+
+            if (target < frame || target - frame > KEYFRAME_INTERVAL) {
+                let start = 0;
+                keyframes.forEach((keyframe, at) => {
+                    if (at <= target && at > start) start = at;
+                });
+                if (start > frame || target < frame) {
+                    const keyframe = keyframes.get(start);
+                    garden = gardenFor(keyframe.snapshot);
+                    frame = start;
+                    nextEntry = keyframe.next;
+                }
+            }
+
+            while (frame < target) {
+                stepOnce();
+            }
+            accumulator = 0;
+        }
+
+        return {
+            update,
+            seek,
+            play() {
+                if (frame >= session.frames) seek(0);
+                playing = true;
+            },
+            pause() { playing = false; },
+            setSpeed(value) { speed = value; },
+            get garden() { return garden; },
+            get frame() { return frame; },
+            get frames() { return session.frames; },
+            // Fraction of a step since the last one, for interpolated drawing
+            get alpha() { return playing ? accumulator : 1; },
+            get playing() { return playing; },
+            get speed() { return speed; }
+        };
+    }
+
+    // ==================== STORAGE FORMAT ====================
+    // 'ZSR', version byte, uint32 JSON length, JSON of the session without
+    // the initial heights, then those heights as raw little-endian float32.
+    // Unlike the garden format nothing is quantized: replay needs exact input.
+
+    /**
+     * @param {Object} session
+     * @returns {Uint8Array}
+     */
+    function encodeSession(session) {
+        const heights = session.initial.heightMap;
+        const initial = Object.assign({}, session.initial, { heightMap: null });
+        const json = new TextEncoder().encode(JSON.stringify(Object.assign({}, session, { initial })));
+
+        // Pad the JSON so the heights start on a four-byte boundary
+        const heightOffset = Math.ceil((8 + json.length) / 4) * 4;
+        const bytes = new Uint8Array(heightOffset + heights.length * 4);
+        const view = new DataView(bytes.buffer);
+        bytes.set(MAGIC, 0);
+        bytes[3] = SESSION_VERSION;
+        view.setUint32(4, json.length, true);
+        bytes.set(json, 8);
+        for (let i = 0; i < heights.length; i++) {
+            view.setFloat32(heightOffset + i * 4, heights[i], true);
+        }
+        return bytes;
+    }
+
+    /**
+     * @param {Uint8Array} bytes
+     * @returns {Object} session
+     */
+    function decodeSession(bytes) {
+        if (bytes.length < 8 || MAGIC.some((b, i) => bytes[i] !== b)) {
+            throw new Error('Not a sand garden session');
+        }
+        if (bytes[3] > SESSION_VERSION) {
+            throw new Error(`Session format ${bytes[3]} is newer than this app supports`);
+        }
+        // Older sessions ran a different simulation and can't be reproduced exactly
+        if (bytes[3] < SESSION_VERSION) {
+            throw new Error(`Session format ${bytes[3]} is too old to replay`);
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const jsonLength = view.getUint32(4, true);
+        const session = JSON.parse(new TextDecoder().decode(bytes.subarray(8, 8 + jsonLength)));
+
+        const heightOffset = Math.ceil((8 + jsonLength) / 4) * 4;
+        const heights = new Float32Array(session.initial.gridWidth * session.initial.gridHeight);
+        for (let i = 0; i < heights.length; i++) {
+            heights[i] = view.getFloat32(heightOffset + i * 4, true);
+        }
+        session.initial.heightMap = heights;
+        return session;
+    }
+
+    return { apply, createRecorder, createPlayer, encodeSession, decodeSession, STEP_RATE };
+});
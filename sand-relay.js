@@ -0,0 +1,228 @@
+/**
+ * Zen Sand Garden - Sync relay
+ * A small WebSocket relay for sharing a garden between devices on a local
+ * network (see sand-sync.js). Every message from a client is passed on to
+ * the other clients in the same room, unchanged. It also serves the app's
+ * files (those service-worker.js caches), so other devices can open it
+ * from here:
+ *
+ *   node sand-relay.js [port]
+ *
+ * then open http://<this machine's address>:8787/?sync=lan on each device.
+ * Uses only Node's built-in modules.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const PORT = parseInt(process.argv[2], 10) || 8787;
+const ROOT = __dirname;
+const MAX_MESSAGE = 16 * 1024 * 1024;  // Bytes; a whole garden fits easily
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const CLOSE_TOO_LARGE = 1009;  // Status code for a message over MAX_MESSAGE
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xA };
+
+const rooms = new Map();  // room -> Set of clients
+
+// ==================== STATIC FILES ====================
+// Only the app: the service worker's ASSETS and the worker itself. Anything
+// else in this directory is answered as missing.
+const APP_FILES = new Set(readAssets().concat('/service-worker.js'));
+
+function readAssets() {
+    const source = fs.readFileSync(path.join(ROOT, 'service-worker.js'), 'utf8');
+    const list = source.match(/const ASSETS = \[([^\]]*)\]/);
+    return list[1].match(/'[^']*'/g).map((quoted) => quoted.slice(1, -1));
+}
+
+function serveFile(request, response) {
+    const url = new URL(request.url, 'http://localhost');
+    if (!APP_FILES.has(url.pathname)) {
+        response.writeHead(404);
+        response.end();
+        return;
+    }
+    const file = path.join(ROOT, url.pathname === '/' ? 'index.html' : url.pathname.slice(1));
+    const type = CONTENT_TYPES[path.extname(file)];
+    fs.readFile(file, (err, data) => {
+        if (err) {
+            response.writeHead(404);
+            response.end();
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-cache' });
+        response.end(data);
+    });
+}
+
+// ==================== WEBSOCKETS ====================
+function upgrade(request, socket, head) {
+    const key = request.headers['sec-websocket-key'];
+    if (String(request.headers.upgrade).toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+
+    const room = new URL(request.url, 'http://localhost').searchParams.get('room') || 'garden';
+    const client = { socket, room, buffer: Buffer.from(head), fragments: [], fragmentBytes: 0, closed: false };
+    if (!rooms.has(room)) rooms.set(room, new Set());
+    rooms.get(room).add(client);
+    console.log(`Joined "${room}": ${rooms.get(room).size} connected`);
+
+    socket.on('data', (chunk) => {
+        if (client.closed) return;
+        client.buffer = Buffer.concat([client.buffer, chunk]);
+        try {
+            readFrames(client);
+        } catch (err) {
+            console.log('Dropped a client:', err.message);
+            socket.destroy();
+        }
+    });
+    socket.on('close', () => leave(client));
+    socket.on('error', () => leave(client));
+}
+
+function leave(client) {
+    const members = rooms.get(client.room);
+    if (!members || !members.delete(client)) return;
+    if (members.size === 0) rooms.delete(client.room);
+    console.log(`Left "${client.room}": ${members.size} connected`);
+}
+
+// Take every complete frame off the client's buffer
+function readFrames(client) {
+    for (;;) {
+        const frame = parseFrame(client.buffer);
+        if (!frame) return;
+        client.buffer = client.buffer.subarray(frame.length);
+
+        if (frame.opcode === OPCODES.close) {
+            client.socket.end(encodeFrame(OPCODES.close, Buffer.alloc(0)));
+            return;
+        }
+        if (frame.opcode === OPCODES.ping) {
+            client.socket.write(encodeFrame(OPCODES.pong, frame.payload));
+            continue;
+        }
+        if (frame.opcode === OPCODES.pong) continue;
+
+        // Each frame is checked against MAX_MESSAGE, and so is the message
+        // its fragments add up to
+        client.fragments.push(frame.payload);
+        client.fragmentBytes += frame.payload.length;
+        if (client.fragmentBytes > MAX_MESSAGE) {
+            close(client, CLOSE_TOO_LARGE);
+            return;
+        }
+        if (!frame.fin) continue;
+        const message = Buffer.concat(client.fragments);
+        client.fragments = [];
+        client.fragmentBytes = 0;
+        relay(client, message);
+    }
+}
+
+// A close frame carries the status code, then the client is dropped
+function close(client, code) {
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    client.closed = true;
+    client.buffer = Buffer.alloc(0);
+    client.fragments = [];
+    client.socket.end(encodeFrame(OPCODES.close, payload));
+    leave(client);
+}
+
+/**
+ * @returns {Object|null} { fin, opcode, payload, length } or null if the
+ *   buffer doesn't hold a whole frame yet
+ */
+function parseFrame(buffer) {
+    if (buffer.length < 2) return null;
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let size = buffer[1] & 0x7F;
+    let offset = 2;
+
+    if (size === 126) {
+        if (buffer.length < 4) return null;
+        size = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (size === 127) {
+        if (buffer.length < 10) return null;
+        size = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+    if (size > MAX_MESSAGE) throw new Error('Message too large');
+    if (!masked) throw new Error('Unmasked frame from a client');
+
+    if (buffer.length < offset + 4 + size) return null;
+    const mask = buffer.subarray(offset, offset + 4);
+    const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + size));
+    for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+    }
+    return { fin, opcode, payload, length: offset + 4 + size };
+}
+
+// Server frames are sent whole and unmasked
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+function relay(sender, message) {
+    const frame = encodeFrame(OPCODES.text, message);
+    rooms.get(sender.room).forEach((client) => {
+        if (client !== sender) client.socket.write(frame);
+    });
+}
+
+// ==================== START ====================
+if (require.main === module) {
+    const server = http.createServer(serveFile);
+    server.on('upgrade', upgrade);
+    server.listen(PORT, () => {
+        console.log(`Zen garden relay on port ${PORT}: open http://<this machine>:${PORT}/?sync=lan`);
+    });
+}
+
+// For the tests
+module.exports = { serveFile, parseFrame, encodeFrame, readFrames, OPCODES, MAX_MESSAGE };
@@ -0,0 +1,694 @@
+/**
+ * Zen Sand Garden - Renderer
+ * Draws a SandGarden simulation onto a 2D canvas context: relief-lit sand
+ * from an ImageData buffer, the frame, and the blade and its hub or the
+ * linear rake, optionally in high contrast.
+ * Sand materials and day/night presets live in sand-themes.js; this file
+ * only knows the colors, grain and layer they come down to.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./sand-garden.js'));
+    } else {
+        root.SandRenderer = factory(root.SandGarden);
+    }
+})(typeof self !== 'undefined' ? self : this, function (SandGarden) {
+    'use strict';
+
+    // ==================== DEFAULTS ====================
+    const DEFAULTS = {
+        // Sand appearance
+        sand: {
+            baseColor: { r: 245, g: 240, b: 230 },
+            shadowColor: { r: 160, g: 145, b: 125 },
+            highlightColor: { r: 255, g: 253, b: 250 },
+            grain: 0,          // Per-cell tone noise; coarse materials look grainy
+            // Sand of another color under the surface, or null:
+            // { baseColor, shadowColor, highlightColor, depth, fade } where
+            // digging deeper than depth blends to it over fade height units
+            layer: null
+        },
+
+        // Relief lighting: light comes from azimuth (degrees, screen space,
+        // 0 = from the right, 90 = from below) at elevation above the sand
+        lighting: {
+            azimuth: 225,
+            elevation: 40,
+            relief: 2.5,       // Exaggerates slopes before lighting
+            contrast: 1.6,     // Scales the lit/shadowed deviation from flat sand
+            heightTint: 0.08,  // Small extra darkening of deep holes, brightening of dunes
+            color: { r: 255, g: 255, b: 255 }  // Multiplies everything lit: warm at dusk, blue at night
+        },
+
+        // Garden dimensions
+        garden: {
+            padding: 20,
+            frameWidth: 12,
+            frameColor: '#2D2D2D',
+            frameStyle: 'plain',  // Key of FRAME_STYLES
+            backgroundColor: '#1A1A1A'
+        },
+
+        // Stones: gray level runs from darkGray to lightGray with the stone's tone
+        stones: {
+            darkGray: 70,
+            lightGray: 150,
+            shadowColor: 'rgba(40, 30, 20, 0.45)',
+            shadowLength: 6
+        },
+
+        // Blade appearance (mechanics live in SandGarden.DEFAULTS)
+        blade: {
+            width: 8,
+            color: '#FAFAFA',
+            shadowColor: 'rgba(0, 0, 0, 0.15)',
+            centerRadius: 14,
+            toothWidth: 3,
+            toothLength: 5     // Plough teeth are longer
+        },
+
+        // High contrast for low vision: the sand shaded from black to white
+        // whatever its colors and the light's, and the frame, stones and
+        // blade picked out in one bright color
+        contrast: {
+            high: false,
+            boost: 2,          // Multiplies lighting.contrast
+            color: '#FFD500',
+            outlineWidth: 3,
+            backgroundColor: '#000000'
+        }
+    };
+
+    // The sand section used in high contrast
+    const HIGH_CONTRAST_SAND = {
+        baseColor: { r: 150, g: 150, b: 150 },
+        shadowColor: { r: 0, g: 0, b: 0 },
+        highlightColor: { r: 255, g: 255, b: 255 },
+        grain: 0,
+        layer: null
+    };
+    const WHITE = { r: 255, g: 255, b: 255 };
+
+    const LAYER_LEVELS = 16;  // Steps of the blend from surface to layer color
+
+    // Detached canvases work in a window and, via OffscreenCanvas, in a worker
+    function createCanvas(width, height) {
+        if (typeof document !== 'undefined') {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            return canvas;
+        }
+        return new OffscreenCanvas(width, height);
+    }
+
+    // Stable noise in [-1, 1] per integer coordinate, so grain doesn't
+    // shimmer when cells are shaded again
+    function hashNoise(x, y) {
+        let h = (Math.imul(x, 374761393) + Math.imul(y, 668265263)) | 0;
+        h = Math.imul(h ^ (h >>> 13), 1274126177);
+        h ^= h >>> 16;
+        return (h >>> 0) / 4294967295 * 2 - 1;
+    }
+
+    function tint(color, light) {
+        return {
+            r: Math.round(color.r * light.r / 255),
+            g: Math.round(color.g * light.g / 255),
+            b: Math.round(color.b * light.b / 255)
+        };
+    }
+
+    function parseColor(hex) {
+        const n = parseInt(hex.slice(1), 16);
+        return { r: n >> 16, g: (n >> 8) & 255, b: n & 255 };
+    }
+
+    function rgb(color, shift) {
+        const d = shift || 0;
+        const c = (v) => Math.max(0, Math.min(255, Math.round(v + d)));
+        return `rgb(${c(color.r)}, ${c(color.g)}, ${c(color.b)})`;
+    }
+
+    // Closed path through canvas points
+    function tracePoints(ctx, points) {
+        ctx.moveTo(points[0][0], points[0][1]);
+        for (let i = 1; i < points.length; i++) {
+            ctx.lineTo(points[i][0], points[i][1]);
+        }
+        ctx.closePath();
+    }
+
+    // Length of the side from point i to the next, round the closed path
+    function sideLength(points, i) {
+        const next = points[(i + 1) % points.length];
+        const dx = next[0] - points[i][0];
+        const dy = next[1] - points[i][1];
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    function pathLength(points) {
+        let length = 0;
+        for (let i = 0; i < points.length; i++) {
+            length += sideLength(points, i);
+        }
+        return length;
+    }
+
+    function pointAlong(points, distance) {
+        for (let i = 0; i < points.length; i++) {
+            const next = points[(i + 1) % points.length];
+            const step = sideLength(points, i);
+            if (distance <= step) {
+                const t = step > 0 ? distance / step : 0;
+                return [points[i][0] + (next[0] - points[i][0]) * t, points[i][1] + (next[1] - points[i][1]) * t];
+            }
+            distance -= step;
+        }
+        return points[0];
+    }
+
+    // ==================== FRAMES ====================
+    // Each paints the band frame.width wide around the garden's edge.
+    // frame.outline(offset) is the edge moved outward by offset, as canvas
+    // points; reach is how far the edge gets from the center (cx, cy).
+    // base is the frame color already tinted by the light; lightX/lightY
+    // point toward the light in screen space.
+    const FRAME_STYLES = {
+        plain(ctx, frame) {
+            ctx.beginPath();
+            tracePoints(ctx, frame.outline(frame.width));
+            ctx.fillStyle = rgb(frame.base);
+            ctx.fill();
+        },
+
+        // Grain runs around the band; a few darker streaks break it up
+        wood(ctx, frame) {
+            FRAME_STYLES.plain(ctx, frame);
+            ctx.lineWidth = 1;
+            for (let i = 1; i < 8; i++) {
+                ctx.strokeStyle = rgb(frame.base, hashNoise(i, 1) * 18 - 8);
+                ctx.beginPath();
+                tracePoints(ctx, frame.outline(frame.width * i / 8));
+                ctx.stroke();
+            }
+            ctx.lineWidth = 2;
+            ctx.strokeStyle = rgb(frame.base, -22);
+            for (let i = 0; i < 14; i++) {
+                const points = frame.outline(frame.width * (0.2 + 0.6 * (hashNoise(i, 3) + 1) / 2));
+                const length = pathLength(points);
+                // A single dash somewhere along the band
+                ctx.setLineDash([length * (0.25 + 0.2 * hashNoise(i, 4)) / (Math.PI * 2), length]);
+                ctx.lineDashOffset = -length * (hashNoise(i, 2) + 1) / 2;
+                ctx.beginPath();
+                tracePoints(ctx, points);
+                ctx.stroke();
+            }
+            ctx.setLineDash([]);
+            bevel(ctx, frame, 0.18);
+        },
+
+        // Dressed blocks with mortar joints between them: one dash of a
+        // band-wide line per block
+        stone(ctx, frame) {
+            const middle = frame.outline(frame.width / 2);
+            const length = pathLength(middle);
+            const blocks = Math.max(8, Math.round(pathLength(frame.outline(frame.width)) / 48));
+            const block = length / blocks;
+            ctx.lineWidth = frame.width;
+            for (let i = 0; i < blocks; i++) {
+                ctx.setLineDash([block - 3, length]);
+                ctx.lineDashOffset = -i * block;
+                ctx.strokeStyle = rgb(frame.base, hashNoise(i, 5) * 14);
+                ctx.beginPath();
+                tracePoints(ctx, middle);
+                ctx.stroke();
+            }
+            ctx.setLineDash([]);
+            bevel(ctx, frame, 0.25);
+        },
+
+        // Polished metal: a sheen across the band toward the light, and rivets
+        metal(ctx, frame) {
+            const reach = frame.reach + frame.width;
+            const sheen = ctx.createLinearGradient(
+                frame.cx - frame.lightX * reach, frame.cy - frame.lightY * reach,
+                frame.cx + frame.lightX * reach, frame.cy + frame.lightY * reach);
+            sheen.addColorStop(0, rgb(frame.base, -30));
+            sheen.addColorStop(0.5, rgb(frame.base));
+            sheen.addColorStop(0.85, rgb(frame.base, 70));
+            sheen.addColorStop(1, rgb(frame.base, 20));
+            ctx.beginPath();
+            tracePoints(ctx, frame.outline(frame.width));
+            ctx.fillStyle = sheen;
+            ctx.fill();
+
+            const middle = frame.outline(frame.width / 2);
+            const length = pathLength(middle);
+            const size = Math.max(1, frame.width * 0.15);
+            for (let i = 0; i < 12; i++) {
+                const [x, y] = pointAlong(middle, length * i / 12);
+                ctx.beginPath();
+                ctx.arc(x, y, size, 0, Math.PI * 2);
+                ctx.fillStyle = rgb(frame.base, 40);
+                ctx.fill();
+                ctx.beginPath();
+                ctx.arc(x - frame.lightX * size * 0.3, y - frame.lightY * size * 0.3, size * 0.5, 0, Math.PI * 2);
+                ctx.fillStyle = rgb(frame.base, -25);
+                ctx.fill();
+            }
+        }
+    };
+
+    // Light catches the outer edge on the side facing the light and the
+    // inner edge on the side facing away from it
+    function bevel(ctx, frame, strength) {
+        const reach = frame.reach + frame.width;
+        const halves = (away, toward) => {
+            const gradient = ctx.createLinearGradient(
+                frame.cx - frame.lightX * reach, frame.cy - frame.lightY * reach,
+                frame.cx + frame.lightX * reach, frame.cy + frame.lightY * reach);
+            gradient.addColorStop(0, away);
+            gradient.addColorStop(0.5, away);
+            gradient.addColorStop(0.5, toward);
+            gradient.addColorStop(1, toward);
+            return gradient;
+        };
+        const light = `rgba(255, 255, 255, ${strength})`;
+
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = halves('rgba(255, 255, 255, 0)', light);
+        ctx.beginPath();
+        tracePoints(ctx, frame.outline(frame.width - 1));
+        ctx.stroke();
+        ctx.strokeStyle = halves(light, `rgba(0, 0, 0, ${strength * 1.5})`);
+        ctx.beginPath();
+        tracePoints(ctx, frame.outline(1));
+        ctx.stroke();
+    }
+
+    // ==================== FACTORY ====================
+    /**
+     * Create a renderer. Buffers are sized lazily for whichever garden is
+     * passed to render(), and rebuilt when a different garden comes along.
+     * @param {Object} [options]
+     * @param {Object} [options.config] - Partial config merged over DEFAULTS
+     */
+    function create(options) {
+        const CONFIG = SandGarden.mergeConfig(DEFAULTS, options && options.config);
+
+        let ctx = null;
+        let garden = null;
+        let attachedGarden = null;
+        let shape, centerX, centerY;
+
+        // Sand pixel pipeline: one pixel per grid cell, scaled up when drawn
+        let sandCanvas = null;
+        let sandCtx = null;
+        let sandImage = null;
+        let sandPixels = null;  // Uint32 view over sandImage
+        let sandMask = null;    // 1 where the cell lies inside the garden's edge
+        let colorLut = null;    // Packed RGBA for tone levels 0..255, per layer level
+        let grainNoise = null;  // Per-cell noise in [-1, 1] scaled by sand.grain
+        let alpha = 1;          // How far between the last two steps to draw the blade
+        let stale = false;      // Colors or lighting changed; every pixel needs shading again
+
+        /**
+         * Draw one frame.
+         * @param {CanvasRenderingContext2D} context
+         * @param {Object} sim - SandGarden instance
+         * @param {Object} layout - { width, height, centerX, centerY } in canvas units,
+         *   plus optional alpha in [0, 1]: the fraction of a step elapsed since
+         *   the last one, for drawing the blade between steps, and blade: false
+         *   to leave the blade out (still pictures)
+         */
+        function render(context, sim, layout) {
+            ctx = context;
+            garden = sim;
+            shape = sim.shape;
+            centerX = layout.centerX;
+            centerY = layout.centerY;
+            alpha = layout.alpha === undefined ? 1 : layout.alpha;
+
+            if (attachedGarden !== garden) {
+                setupSandBuffer();
+            }
+
+            ctx.fillStyle = CONFIG.contrast.high ? CONFIG.contrast.backgroundColor : CONFIG.garden.backgroundColor;
+            ctx.fillRect(0, 0, layout.width, layout.height);
+
+            drawFrame();
+            drawSand();
+            drawStones();
+            if (layout.blade !== false) {
+                const blade = garden.getBlade(alpha);
+                if (blade.sweep === 'linear') {
+                    drawRake(blade);
+                } else {
+                    drawBlade(blade);
+                    drawCenter(blade);
+                }
+            }
+        }
+
+        // In high contrast a plain band of the bright color marks the edge
+        function drawFrame() {
+            const azimuth = CONFIG.lighting.azimuth * Math.PI / 180;
+            const high = CONFIG.contrast.high;
+            const paint = high ? FRAME_STYLES.plain : FRAME_STYLES[CONFIG.garden.frameStyle] || FRAME_STYLES.plain;
+
+            ctx.save();
+            paint(ctx, {
+                cx: centerX,
+                cy: centerY,
+                width: CONFIG.garden.frameWidth,
+                reach: shape.reach,
+                outline: (offset) => shape.outline(offset).map(([x, y]) => [centerX + x, centerY + y]),
+                base: high ? parseColor(CONFIG.contrast.color) : tint(parseColor(CONFIG.garden.frameColor), CONFIG.lighting.color),
+                lightX: Math.cos(azimuth),
+                lightY: Math.sin(azimuth)
+            });
+            ctx.restore();
+        }
+
+        function setupSandBuffer() {
+            attachedGarden = garden;
+            const width = garden.gridWidth;
+            const height = garden.gridHeight;
+            const resolution = garden.resolution;
+
+            sandCanvas = createCanvas(width, height);
+            sandCtx = sandCanvas.getContext('2d');
+            sandImage = sandCtx.createImageData(width, height);
+            sandPixels = new Uint32Array(sandImage.data.buffer);
+
+            sandMask = new Uint8Array(width * height);
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const dx = (x + 0.5) * resolution - garden.halfWidth;
+                    const dy = (y + 0.5) * resolution - garden.halfHeight;
+                    if (shape.distance(dx, dy) >= -resolution) {
+                        sandMask[y * width + x] = 1;
+                    }
+                }
+            }
+
+            grainNoise = new Float32Array(width * height);
+            for (let i = 0; i < grainNoise.length; i++) {
+                grainNoise[i] = hashNoise(i % width, Math.floor(i / width));
+            }
+
+            colorLut = buildColorLut();
+        }
+
+        // Tone level 128 is flat sand; lower levels blend toward the shadow
+        // color and higher ones toward the highlight color. With a layer,
+        // the table repeats for LAYER_LEVELS steps from the surface colors
+        // to the layer's; everything is tinted by the light color.
+        function buildColorLut() {
+            const sand = sandLook();
+            const lightColor = CONFIG.contrast.high ? WHITE : CONFIG.lighting.color;
+            const levels = sand.layer ? LAYER_LEVELS : 1;
+            const lut = new Uint32Array(256 * levels);
+
+            const mix = (a, b, t) => ({ r: a.r + (b.r - a.r) * t, g: a.g + (b.g - a.g) * t, b: a.b + (b.b - a.b) * t });
+            for (let level = 0; level < levels; level++) {
+                const depth = levels > 1 ? level / (levels - 1) : 0;
+                const layer = sand.layer || sand;
+                const base = mix(sand.baseColor, layer.baseColor, depth);
+                const shadow = mix(sand.shadowColor, layer.shadowColor, depth);
+                const highlight = mix(sand.highlightColor, layer.highlightColor, depth);
+
+                for (let i = 0; i < 256; i++) {
+                    const tone = (i - 128) / 127;
+                    const color = tint(mix(base, tone > 0 ? highlight : shadow, Math.min(Math.abs(tone), 1)), lightColor);
+                    // ImageData is RGBA in little-endian memory
+                    lut[level * 256 + i] = (255 << 24 | color.b << 16 | color.g << 8 | color.r) >>> 0;
+                }
+            }
+
+            return lut;
+        }
+
+        function sandLook() {
+            return CONFIG.contrast.high ? HIGH_CONTRAST_SAND : CONFIG.sand;
+        }
+
+        /**
+         * Re-shade the cells of one grid rectangle from the height gradient
+         * against the configured light direction.
+         */
+        function shadeRegion(x0, y0, x1, y1) {
+            const heightMap = garden.getHeightMap();
+            const width = garden.gridWidth;
+            const height = garden.gridHeight;
+            const light = CONFIG.lighting;
+
+            const azimuth = light.azimuth * Math.PI / 180;
+            const elevation = light.elevation * Math.PI / 180;
+            const lx = Math.cos(elevation) * Math.cos(azimuth);
+            const ly = Math.cos(elevation) * Math.sin(azimuth);
+            const lz = Math.sin(elevation);
+            const slopeScale = light.relief / (2 * garden.resolution);
+            const contrast = light.contrast * (CONFIG.contrast.high ? CONFIG.contrast.boost : 1);
+            const grain = sandLook().grain;
+            const layer = sandLook().layer;
+
+            for (let y = y0; y <= y1; y++) {
+                const row = y * width;
+                const up = Math.max(0, y - 1) * width;
+                const down = Math.min(height - 1, y + 1) * width;
+
+                for (let x = x0; x <= x1; x++) {
+                    const index = y * width + x;
+                    if (!sandMask[index]) {
+                        sandPixels[index] = 0;
+                        continue;
+                    }
+
+                    const gx = (heightMap[row + Math.min(width - 1, x + 1)] - heightMap[row + Math.max(0, x - 1)]) * slopeScale;
+                    const gy = (heightMap[down + x] - heightMap[up + x]) * slopeScale;
+                    const shade = (-gx * lx - gy * ly + lz) / Math.sqrt(gx * gx + gy * gy + 1);
+
+                    let tone = (shade - lz) * contrast + heightMap[index] * light.heightTint + grainNoise[index] * grain;
+                    tone = tone < -1 ? -1 : (tone > 1 ? 1 : tone);
+
+                    let level = 0;
+                    if (layer) {
+                        const exposed = (-heightMap[index] - layer.depth) / layer.fade;
+                        level = exposed <= 0 ? 0 : Math.round(Math.min(1, exposed) * (LAYER_LEVELS - 1));
+                    }
+                    sandPixels[index] = colorLut[level * 256 + Math.round(128 + tone * 127)];
+                }
+            }
+        }
+
+        function drawSand() {
+            const width = garden.gridWidth;
+            const height = garden.gridHeight;
+            const resolution = garden.resolution;
+
+            if (stale) {
+                stale = false;
+                shadeRegion(0, 0, width - 1, height - 1);
+                sandCtx.putImageData(sandImage, 0, 0);
+            }
+
+            // Shading reads neighbours, so grow each changed rect by one cell
+            garden.takeDirtyRects().forEach((rect) => {
+                const x0 = Math.max(0, rect.x0 - 1);
+                const y0 = Math.max(0, rect.y0 - 1);
+                const x1 = Math.min(width - 1, rect.x1 + 1);
+                const y1 = Math.min(height - 1, rect.y1 + 1);
+
+                shadeRegion(x0, y0, x1, y1);
+                sandCtx.putImageData(sandImage, 0, 0, x0, y0, x1 - x0 + 1, y1 - y0 + 1);
+            });
+
+            ctx.save();
+            ctx.beginPath();
+            shape.trace(ctx, centerX, centerY, 0);
+            ctx.clip();
+            ctx.imageSmoothingEnabled = true;
+            ctx.drawImage(sandCanvas, centerX - garden.halfWidth, centerY - garden.halfHeight,
+                width * resolution, height * resolution);
+            ctx.restore();
+        }
+
+        // Stones cast their shadow away from the sand's light source
+        function drawStones() {
+            const look = CONFIG.stones;
+            const azimuth = CONFIG.lighting.azimuth * Math.PI / 180;
+            const lightX = Math.cos(azimuth);
+            const lightY = Math.sin(azimuth);
+
+            garden.getStones().forEach((stone) => {
+                const gray = Math.round(look.darkGray + (look.lightGray - look.darkGray) * stone.tone);
+                const size = Math.max(stone.rx, stone.ry);
+
+                ctx.save();
+                ctx.translate(centerX + stone.x, centerY + stone.y);
+
+                ctx.shadowColor = look.shadowColor;
+                ctx.shadowBlur = 8;
+                ctx.shadowOffsetX = -lightX * look.shadowLength;
+                ctx.shadowOffsetY = -lightY * look.shadowLength;
+
+                // Highlight sits toward the light, placed before rotating the outline
+                const gradient = ctx.createRadialGradient(
+                    lightX * size * 0.4, lightY * size * 0.4, size * 0.1, 0, 0, size);
+                const light = CONFIG.contrast.high ? WHITE : CONFIG.lighting.color;
+                gradient.addColorStop(0, rgb(tint({ r: gray + 60, g: gray + 58, b: gray + 55 }, light)));
+                gradient.addColorStop(1, rgb(tint({ r: gray, g: gray - 2, b: gray - 5 }, light)));
+
+                ctx.rotate(stone.rotation);
+                ctx.beginPath();
+                ctx.ellipse(0, 0, stone.rx, stone.ry, 0, 0, Math.PI * 2);
+                ctx.fillStyle = gradient;
+                ctx.fill();
+                if (CONFIG.contrast.high) {
+                    ctx.shadowColor = 'transparent';
+                    ctx.lineWidth = CONFIG.contrast.outlineWidth;
+                    ctx.strokeStyle = CONFIG.contrast.color;
+                    ctx.stroke();
+                }
+                ctx.restore();
+            });
+        }
+
+        function drawBlade(blade) {
+            const look = CONFIG.blade;
+
+            ctx.save();
+            // Off center, or past the corners of a garden that isn't round,
+            // the arms reach past the rim; keep them over the sand
+            ctx.beginPath();
+            shape.trace(ctx, centerX, centerY, 0);
+            ctx.clip();
+            ctx.translate(centerX + blade.x, centerY + blade.y);
+
+            ctx.shadowColor = look.shadowColor;
+            ctx.shadowBlur = 10;
+            ctx.shadowOffsetX = 3;
+            ctx.shadowOffsetY = 3;
+            ctx.fillStyle = bladeColor();
+
+            blade.arms.forEach((arm) => {
+                ctx.save();
+                ctx.rotate(arm.angle);
+
+                // Each arm widens a little toward its tip
+                ctx.beginPath();
+                ctx.moveTo(0, -look.width / 2);
+                ctx.lineTo(blade.length, -look.width / 2 - 2);
+                ctx.lineTo(blade.length, look.width / 2 + 2);
+                ctx.lineTo(0, look.width / 2);
+                ctx.closePath();
+                ctx.fill();
+
+                // Teeth hang off the trailing edge, over the grooves they cut
+                const toothLength = arm.role === 'plough' ? look.toothLength * 1.6 : look.toothLength;
+                const trailing = -blade.direction;
+                arm.teeth.forEach((r) => {
+                    const edge = look.width / 2 + 2 * r / blade.length;
+                    const y = trailing > 0 ? edge : -edge - toothLength;
+                    ctx.fillRect(r - look.toothWidth / 2, y, look.toothWidth, toothLength);
+                });
+
+                ctx.restore();
+            });
+
+            ctx.restore();
+        }
+
+        // A bar across the garden with its teeth trailing behind it, running
+        // on a carriage at either end
+        function drawRake(blade) {
+            const look = CONFIG.blade;
+            const x = centerX + blade.x;
+            const arm = blade.arms[0];
+
+            ctx.save();
+            ctx.beginPath();
+            shape.trace(ctx, centerX, centerY, 0);
+            ctx.clip();
+
+            ctx.shadowColor = look.shadowColor;
+            ctx.shadowBlur = 10;
+            ctx.shadowOffsetX = 3;
+            ctx.shadowOffsetY = 3;
+            ctx.fillStyle = bladeColor();
+            ctx.fillRect(x - look.width / 2, centerY + blade.inner, look.width, blade.length - blade.inner);
+
+            const toothLength = arm.role === 'plough' ? look.toothLength * 1.6 : look.toothLength;
+            const toothX = blade.direction > 0 ? x - look.width / 2 - toothLength : x + look.width / 2;
+            arm.teeth.forEach((y) => {
+                ctx.fillRect(toothX, centerY + y - look.toothWidth / 2, toothLength, look.toothWidth);
+            });
+            ctx.restore();
+
+            [blade.inner, blade.length].forEach((end) => {
+                const y = centerY + end + Math.sign(end) * (5 + CONFIG.garden.frameWidth / 2);
+                ctx.beginPath();
+                ctx.arc(x, y, look.centerRadius * 0.6, 0, Math.PI * 2);
+                ctx.fillStyle = '#E8E8E8';
+                ctx.fill();
+                ctx.strokeStyle = '#CCCCCC';
+                ctx.lineWidth = 2;
+                ctx.stroke();
+            });
+        }
+
+        function bladeColor() {
+            return CONFIG.contrast.high ? CONFIG.contrast.color : CONFIG.blade.color;
+        }
+
+        function drawCenter(blade) {
+            const look = CONFIG.blade;
+            const x = centerX + blade.x;
+            const y = centerY + blade.y;
+
+            ctx.beginPath();
+            ctx.arc(x, y, look.centerRadius, 0, Math.PI * 2);
+            ctx.fillStyle = '#E8E8E8';
+            ctx.fill();
+            ctx.strokeStyle = '#CCCCCC';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+
+            ctx.beginPath();
+            ctx.arc(x, y, look.centerRadius * 0.5, 0, Math.PI * 2);
+            ctx.fillStyle = '#CCCCCC';
+            ctx.fill();
+
+            ctx.beginPath();
+            ctx.arc(x, y, 3, 0, Math.PI * 2);
+            ctx.fillStyle = '#999999';
+            ctx.fill();
+        }
+
+        /**
+         * Change appearance settings, section by section like the config
+         * given to create(). Takes effect on the next render.
+         * @param {Object} overrides - { section: { key: value } }
+         */
+        function configure(overrides) {
+            Object.keys(overrides).forEach((key) => {
+                if (CONFIG[key]) Object.assign(CONFIG[key], overrides[key]);
+            });
+            if (colorLut) {
+                colorLut = buildColorLut();
+                stale = true;
+            }
+        }
+
+        return {
+            config: CONFIG,
+            render,
+            configure
+        };
+    }
+
+    return { create, DEFAULTS, FRAME_STYLES: Object.keys(FRAME_STYLES) };
+});
@@ -0,0 +1,166 @@
+/**
+ * Zen Sand Garden - Serializer
+ * Compact, versioned binary format for garden snapshots, plus helpers to
+ * carry it in a URL fragment. No DOM dependency.
+ *
+ * Layout: 'ZSG' magic, format version byte, flags byte, then the body
+ * (deflated when FLAG_DEFLATE is set): uint32 header length, UTF-8 JSON
+ * header, and one int16 per grid cell. Heights are quantized to
+ * header.step and stored as the difference from the cell to their left,
+ * which turns smooth sand into long runs of small numbers that compress well.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SandSerializer = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const MAGIC = [0x5A, 0x53, 0x47];  // 'ZSG'
+    const FORMAT_VERSION = 2;          // 2: blade speeds per second instead of per frame
+    const FLAG_DEFLATE = 1;
+    const DEFAULT_STEP = 1 / 1024;     // Height units per quantization level
+    const PREAMBLE_BYTES = 5;
+    const V1_FRAMES_PER_SECOND = 60;   // Version 1 rates were per 60Hz frame
+
+    // ==================== COMPRESSION ====================
+    const canDeflate = typeof CompressionStream !== 'undefined' && typeof Response !== 'undefined';
+
+    async function pipeThrough(bytes, transform) {
+        const stream = new Response(bytes).body.pipeThrough(transform);
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    // ==================== ENCODING ====================
+    /**
+     * Encode a snapshot from garden.snapshot().
+     * @param {Object} snapshot
+     * @param {Object} [options]
+     * @param {number} [options.step] - Quantization step; coarser is smaller
+     * @param {Object} [options.extras] - App state stored alongside (JSON-safe)
+     * @returns {Promise<Uint8Array>}
+     */
+    async function encode(snapshot, options) {
+        const step = (options && options.step) || DEFAULT_STEP;
+        const cells = snapshot.gridWidth * snapshot.gridHeight;
+
+        const header = {
+            radius: snapshot.radius,
+            resolution: snapshot.resolution,
+            gridWidth: snapshot.gridWidth,
+            gridHeight: snapshot.gridHeight,
+            shape: snapshot.shape,
+            step,
+            bladeLoad: snapshot.bladeLoad,
+            bladeAngle: snapshot.bladeAngle,
+            pivotAngle: snapshot.pivotAngle,
+            spiralShift: snapshot.spiralShift,
+            rotationSpeed: snapshot.rotationSpeed,
+            pattern: snapshot.pattern,
+            stones: snapshot.stones,
+            config: snapshot.config,
+            initialMass: snapshot.initialMass,
+            totalMass: snapshot.totalMass,
+            extras: (options && options.extras) || null
+        };
+        const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+
+        const body = new Uint8Array(4 + headerBytes.length + cells * 2);
+        const view = new DataView(body.buffer);
+        view.setUint32(0, headerBytes.length, true);
+        body.set(headerBytes, 4);
+
+        const limit = 32767;
+        let offset = 4 + headerBytes.length;
+        for (let y = 0; y < snapshot.gridHeight; y++) {
+            let previous = 0;
+            for (let x = 0; x < snapshot.gridWidth; x++) {
+                const level = Math.max(-limit, Math.min(limit, Math.round(snapshot.heightMap[y * snapshot.gridWidth + x] / step)));
+                view.setInt16(offset, level - previous, true);
+                previous = level;
+                offset += 2;
+            }
+        }
+
+        const payload = canDeflate ? await pipeThrough(body, new CompressionStream('deflate-raw')) : body;
+        const bytes = new Uint8Array(PREAMBLE_BYTES + payload.length);
+        bytes.set(MAGIC, 0);
+        bytes[3] = FORMAT_VERSION;
+        bytes[4] = canDeflate ? FLAG_DEFLATE : 0;
+        bytes.set(payload, PREAMBLE_BYTES);
+        return bytes;
+    }
+
+    /**
+     * Decode bytes from encode() back into a snapshot for garden.restore().
+     * @param {Uint8Array} bytes
+     * @returns {Promise<Object>} snapshot, with the stored extras under .extras
+     */
+    async function decode(bytes) {
+        if (bytes.length < PREAMBLE_BYTES || MAGIC.some((b, i) => bytes[i] !== b)) {
+            throw new Error('Not a sand garden file');
+        }
+        if (bytes[3] > FORMAT_VERSION) {
+            throw new Error(`Sand garden format ${bytes[3]} is newer than this app supports`);
+        }
+
+        let body = bytes.subarray(PREAMBLE_BYTES);
+        if (bytes[4] & FLAG_DEFLATE) {
+            if (!canDeflate) throw new Error('This browser cannot read compressed sand gardens');
+            body = await pipeThrough(body, new DecompressionStream('deflate-raw'));
+        }
+
+        const view = new DataView(body.buffer, body.byteOffset, body.byteLength);
+        const headerLength = view.getUint32(0, true);
+        const header = JSON.parse(new TextDecoder().decode(body.subarray(4, 4 + headerLength)));
+
+        const heightMap = new Float32Array(header.gridWidth * header.gridHeight);
+        let offset = 4 + headerLength;
+        for (let y = 0; y < header.gridHeight; y++) {
+            let level = 0;
+            for (let x = 0; x < header.gridWidth; x++) {
+                level += view.getInt16(offset, true);
+                heightMap[y * header.gridWidth + x] = level * header.step;
+                offset += 2;
+            }
+        }
+
+        return Object.assign(upgrade(header, bytes[3]), { heightMap });
+    }
+
+    // Bring headers written by older versions up to the current meaning
+    function upgrade(header, version) {
+        if (version < 2) {
+            header.rotationSpeed *= V1_FRAMES_PER_SECOND;
+            const blade = header.config && header.config.blade;
+            if (blade) {
+                if (blade.baseRotationSpeed !== undefined) blade.baseRotationSpeed *= V1_FRAMES_PER_SECOND;
+                if (blade.pushStrength !== undefined) blade.pushStrength *= V1_FRAMES_PER_SECOND;
+            }
+        }
+        return header;
+    }
+
+    // ==================== URL FRAGMENTS ====================
+    function toBase64Url(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function fromBase64Url(text) {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    return { encode, decode, toBase64Url, fromBase64Url, FORMAT_VERSION };
+});
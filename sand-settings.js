@@ -0,0 +1,313 @@
+/**
+ * Zen Sand Garden - Settings
+ * The user-tunable subset of SandGarden and SandRenderer config: a schema
+ * the settings panel is generated from, validation, named presets, and a
+ * storage encoding.
+ *
+ * Settings are a flat object keyed 'section.key', e.g. 'touch.radius',
+ * holding values in the same form as the config they map to.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./sand-garden.js'), require('./sand-renderer.js'), require('./sand-themes.js'),
+            require('./sand-shapes.js'));
+    } else {
+        root.SandSettings = factory(root.SandGarden, root.SandRenderer, root.SandThemes, root.SandShapes);
+    }
+})(typeof self !== 'undefined' ? self : this, function (SandGarden, SandRenderer, SandThemes, SandShapes) {
+    'use strict';
+
+    const SETTINGS_VERSION = 1;
+
+    // ==================== SCHEMA ====================
+    // target says whose config a setting belongs to ('theme' is the app's,
+    // see SandThemes.DEFAULTS). Colors are either { r, g, b } objects
+    // ('rgb') or '#rrggbb' strings ('hex'), as stored. expand gives other
+    // settings that change along with a field when the user picks it.
+    const SCHEMA = [
+        { key: 'theme.material', target: 'theme', group: 'Sand', label: 'Material', type: 'select',
+            options: Object.keys(SandThemes.MATERIALS).map((name) => ({ value: name, label: SandThemes.MATERIALS[name].label })),
+            expand: materialValues },
+        { key: 'sand.baseColor', target: 'renderer', group: 'Sand', label: 'Sand', type: 'color', format: 'rgb' },
+        { key: 'sand.shadowColor', target: 'renderer', group: 'Sand', label: 'Shadow', type: 'color', format: 'rgb' },
+        { key: 'sand.highlightColor', target: 'renderer', group: 'Sand', label: 'Highlight', type: 'color', format: 'rgb' },
+        { key: 'sand.grain', target: 'renderer', group: 'Sand', label: 'Grain', type: 'range', min: 0, max: 0.5, step: 0.05 },
+        { key: 'theme.daylight', target: 'theme', group: 'Sand', label: 'Day and night', type: 'select',
+            options: [{ value: 'off', label: 'Off' }, { value: 'real', label: 'Local time' }, { value: 'fast', label: 'Fast day' }] },
+        { key: 'lighting.azimuth', target: 'renderer', group: 'Sand', label: 'Light direction', type: 'range', min: 0, max: 355, step: 5 },
+        { key: 'lighting.elevation', target: 'renderer', group: 'Sand', label: 'Light height', type: 'range', min: 10, max: 80, step: 1 },
+        // Like the detail, a new shape rebuilds the grid
+        { key: 'simulation.shape', target: 'garden', group: 'Garden', label: 'Shape', type: 'select',
+            options: SandShapes.list().map(({ name, label }) => ({ value: name, label })) },
+        { key: 'garden.frameStyle', target: 'renderer', group: 'Garden', label: 'Frame', type: 'select',
+            options: [{ value: 'plain', label: 'Plain' }, { value: 'wood', label: 'Wood' }, { value: 'stone', label: 'Stone' }, { value: 'metal', label: 'Metal' }] },
+        { key: 'garden.frameColor', target: 'renderer', group: 'Garden', label: 'Frame color', type: 'color', format: 'hex' },
+        { key: 'garden.backgroundColor', target: 'renderer', group: 'Garden', label: 'Background', type: 'color', format: 'hex' },
+        { key: 'waves.amplitude', target: 'garden', group: 'Garden', label: 'Wave height', type: 'range', min: 0.2, max: 3, step: 0.1 },
+        { key: 'blade.pushStrength', target: 'garden', group: 'Garden', label: 'Blade push', type: 'range', min: 0.2, max: 6, step: 0.1 },
+        { key: 'blade.layout', target: 'garden', group: 'Blade', label: 'Arms', type: 'select',
+            options: Object.keys(SandGarden.BLADE_LAYOUTS).map((name) => ({ value: name, label: SandGarden.BLADE_LAYOUTS[name].label })) },
+        { key: 'blade.reverse', target: 'garden', group: 'Blade', label: 'Direction', type: 'select',
+            options: [{ value: false, label: 'Clockwise' }, { value: true, label: 'Counterclockwise' }] },
+        { key: 'blade.pivotOffset', target: 'garden', group: 'Blade', label: 'Hub off center', type: 'range', min: 0, max: 0.5, step: 0.05 },
+        { key: 'blade.orbitSpeed', target: 'garden', group: 'Blade', label: 'Hub orbit', type: 'range', min: -0.5, max: 0.5, step: 0.02 },
+        { key: 'touch.radius', target: 'garden', group: 'Touch', label: 'Dig size', type: 'range', min: 10, max: 80, step: 1 },
+        { key: 'touch.digStrength', target: 'garden', group: 'Touch', label: 'Dig depth', type: 'range', min: 0.05, max: 1, step: 0.05 },
+        { key: 'simulation.angleOfRepose', target: 'garden', group: 'Simulation', label: 'Slope limit', type: 'range', min: 15, max: 60, step: 1 },
+        // Rebuilds the grid, so it is a short list rather than a slider
+        { key: 'simulation.gridResolution', target: 'garden', group: 'Simulation', label: 'Detail', type: 'select',
+            options: [{ value: 1, label: 'Fine' }, { value: 2, label: 'Normal' }, { value: 3, label: 'Coarse' }, { value: 4, label: 'Fastest' }] },
+        { key: 'contrast.high', target: 'renderer', group: 'Accessibility', label: 'High contrast', type: 'select',
+            options: [{ value: false, label: 'Off' }, { value: true, label: 'On' }] },
+        { key: 'theme.motion', target: 'theme', group: 'Accessibility', label: 'Motion', type: 'select',
+            options: [{ value: 'system', label: 'As the system' }, { value: 'reduced', label: 'Reduced' }, { value: 'full', label: 'Full' }] }
+    ];
+
+    // ==================== PRESETS ====================
+    // Each lists only what it changes from the defaults
+    const PRESETS = [
+        {
+            name: 'default',
+            label: 'Default',
+            values: {}
+        },
+        {
+            name: 'kyoto',
+            label: 'Kyoto white gravel',
+            values: {
+                'sand.baseColor': { r: 232, g: 231, b: 226 },
+                'sand.shadowColor': { r: 138, g: 138, b: 136 },
+                'sand.highlightColor': { r: 255, g: 255, b: 255 },
+                'sand.grain': 0.3,
+                'theme.material': 'gravel',
+                'lighting.elevation': 32,
+                'garden.frameStyle': 'wood',
+                'garden.frameColor': '#5C4433',
+                'waves.amplitude': 1.6,
+                'blade.pushStrength': 1.1,
+                'touch.digStrength': 0.15,
+                'simulation.angleOfRepose': 42
+            }
+        },
+        {
+            name: 'desert',
+            label: 'Desert red sand',
+            values: {
+                'sand.baseColor': { r: 212, g: 140, b: 92 },
+                'sand.shadowColor': { r: 128, g: 62, b: 36 },
+                'sand.highlightColor': { r: 246, g: 196, b: 148 },
+                'sand.grain': 0.1,
+                'lighting.azimuth': 200,
+                'lighting.elevation': 28,
+                'garden.frameStyle': 'stone',
+                'garden.frameColor': '#7A5238',
+                'garden.backgroundColor': '#24160F',
+                'waves.amplitude': 0.8,
+                'blade.pushStrength': 2.2,
+                'touch.radius': 42,
+                'touch.digStrength': 0.35,
+                'simulation.angleOfRepose': 30
+            }
+        }
+    ];
+
+    function splitKey(key) {
+        const dot = key.indexOf('.');
+        return { section: key.slice(0, dot), name: key.slice(dot + 1) };
+    }
+
+    function defaultsFor(target) {
+        if (target === 'garden') return SandGarden.DEFAULTS;
+        if (target === 'renderer') return SandRenderer.DEFAULTS;
+        return { theme: SandThemes.DEFAULTS };
+    }
+
+    // A material's colors and grain as settings
+    function materialValues(name) {
+        const sand = SandThemes.material(name);
+        if (!sand) return {};
+        return {
+            'sand.baseColor': sand.baseColor,
+            'sand.shadowColor': sand.shadowColor,
+            'sand.highlightColor': sand.highlightColor,
+            'sand.grain': sand.grain
+        };
+    }
+
+    function copyValue(value) {
+        return value !== null && typeof value === 'object' ? Object.assign({}, value) : value;
+    }
+
+    /**
+     * @returns {Object} every setting at its default
+     */
+    function defaults() {
+        const values = {};
+        SCHEMA.forEach((field) => {
+            const { section, name } = splitKey(field.key);
+            values[field.key] = normalize(field, defaultsFor(field.target)[section][name]);
+        });
+        return values;
+    }
+
+    // ==================== VALIDATION ====================
+    function parseHex(text) {
+        const match = /^#?([0-9a-f]{6})$/i.exec(String(text).trim());
+        if (!match) return null;
+        const n = parseInt(match[1], 16);
+        return { r: n >> 16, g: (n >> 8) & 255, b: n & 255 };
+    }
+
+    /**
+     * @param {Object|string} color - { r, g, b } or '#rrggbb'
+     * @returns {string} '#rrggbb'
+     */
+    function toHex(color) {
+        const rgb = typeof color === 'string' ? parseHex(color) : color;
+        return '#' + [rgb.r, rgb.g, rgb.b].map((c) => c.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Bring a value into a field's range and form: numbers are clamped and
+     * snapped to the step, colors may come in either form.
+     * @param {Object} field - An entry of SCHEMA
+     * @param {*} value
+     * @returns {*} the valid value, or undefined if there is nothing usable
+     */
+    function normalize(field, value) {
+        if (field.type === 'range') {
+            const number = typeof value === 'string' ? parseFloat(value) : value;
+            if (typeof number !== 'number' || !isFinite(number)) return undefined;
+            const clamped = Math.max(field.min, Math.min(field.max, number));
+            const snapped = field.min + Math.round((clamped - field.min) / field.step) * field.step;
+            // Trim float noise from the snapping, e.g. 0.30000000000000004
+            return parseFloat(Math.min(field.max, snapped).toPrecision(10));
+        }
+        if (field.type === 'select') {
+            const option = field.options.find((o) => String(o.value) === String(value));
+            return option ? option.value : undefined;
+        }
+        if (field.type === 'color') {
+            let rgb = null;
+            if (typeof value === 'string') {
+                rgb = parseHex(value);
+            } else if (value && ['r', 'g', 'b'].every((c) => Number.isInteger(value[c]) && value[c] >= 0 && value[c] <= 255)) {
+                rgb = { r: value.r, g: value.g, b: value.b };
+            }
+            if (!rgb) return undefined;
+            return field.format === 'hex' ? toHex(rgb) : rgb;
+        }
+        return undefined;
+    }
+
+    /**
+     * A complete, valid set of settings: unknown keys are dropped and
+     * missing or unusable values fall back to the defaults.
+     * @param {Object} values
+     * @returns {Object}
+     */
+    function sanitize(values) {
+        const result = defaults();
+        SCHEMA.forEach((field) => {
+            if (!values || !(field.key in values)) return;
+            const value = normalize(field, values[field.key]);
+            if (value !== undefined) result[field.key] = value;
+        });
+        return result;
+    }
+
+    /**
+     * Change one setting the way picking it in the panel does, along with
+     * whatever it expands to.
+     * @param {Object} values - Complete settings
+     * @param {string} key
+     * @param {*} value
+     * @returns {Object} new complete settings
+     */
+    function set(values, key, value) {
+        const field = SCHEMA.find((f) => f.key === key);
+        const next = Object.assign({}, values, { [key]: value });
+        if (field && field.expand) {
+            const normalized = normalize(field, value);
+            if (normalized !== undefined) Object.assign(next, field.expand(normalized));
+        }
+        return sanitize(next);
+    }
+
+    /**
+     * @param {string} name - Preset name
+     * @returns {Object|null} complete settings for the preset
+     */
+    function preset(name) {
+        const found = PRESETS.find((p) => p.name === name);
+        return found ? sanitize(found.values) : null;
+    }
+
+    /**
+     * The settings that differ between two complete sets.
+     * @returns {Object} { key: value from next }
+     */
+    function diff(previous, next) {
+        const changed = {};
+        SCHEMA.forEach((field) => {
+            if (JSON.stringify(previous[field.key]) !== JSON.stringify(next[field.key])) {
+                changed[field.key] = copyValue(next[field.key]);
+            }
+        });
+        return changed;
+    }
+
+    /**
+     * Settings as config overrides for SandGarden or SandRenderer.
+     * @param {Object} values - Some or all settings
+     * @param {string} target - 'garden' or 'renderer'
+     * @returns {Object} { section: { key: value } }, empty if none apply
+     */
+    function toConfig(values, target) {
+        const config = {};
+        SCHEMA.forEach((field) => {
+            if (field.target !== target || !(field.key in values)) return;
+            const { section, name } = splitKey(field.key);
+            config[section] = config[section] || {};
+            config[section][name] = copyValue(values[field.key]);
+        });
+        return config;
+    }
+
+    // ==================== STORAGE ====================
+    /**
+     * @param {Object} values
+     * @returns {Uint8Array} JSON, for SandStorage
+     */
+    function encode(values) {
+        return new TextEncoder().encode(JSON.stringify({ version: SETTINGS_VERSION, values }));
+    }
+
+    /**
+     * @param {Uint8Array} bytes
+     * @returns {Object} complete, valid settings
+     */
+    function decode(bytes) {
+        const saved = JSON.parse(new TextDecoder().decode(bytes));
+        if (!saved || saved.version > SETTINGS_VERSION) {
+            throw new Error('Settings were saved by a newer version of the app');
+        }
+        return sanitize(saved.values);
+    }
+
+    return {
+        SCHEMA,
+        PRESETS,
+        defaults,
+        normalize,
+        sanitize,
+        set,
+        preset,
+        diff,
+        toConfig,
+        toHex,
+        encode,
+        decode
+    };
+});
@@ -0,0 +1,170 @@
+/**
+ * Zen Sand Garden - Shapes
+ * Registry of garden outlines. A shape answers how far a point is inside
+ * the garden and traces its outline, grown or shrunk, for frames and clips.
+ * Everything is relative to the garden center, in world units.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SandShapes = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const CURVE_SEGMENTS = 128;  // Outline points of round shapes
+    const COS_30 = Math.sqrt(3) / 2;
+
+    const registry = new Map();
+
+    /**
+     * Register a shape.
+     * @param {string} name
+     * @param {Object} definition
+     * @param {string} definition.label - Name shown in the picker
+     * @param {Object} definition.extent - { x, y } half-width and half-height
+     *   as fractions of the garden radius; the larger is 1
+     * @param {string} definition.sweep - 'rotary' (blade turning about the
+     *   center) or 'linear' (a rake travelling back and forth)
+     * @param {Function} definition.distance - (x, y, w, h) => distance from
+     *   the point to the edge, positive inside; w, h are the half extents
+     * @param {Function} definition.reach - (w, h) => farthest edge point
+     *   from the center
+     * @param {Function} definition.outline - (w, h, offset) => [[x, y], ...]
+     *   around the edge moved outward by offset
+     */
+    function register(name, definition) {
+        registry.set(name, Object.assign({ name }, definition));
+    }
+
+    function get(name) {
+        return registry.get(name) || null;
+    }
+
+    function list() {
+        return Array.from(registry.values()).map(({ name, label }) => ({ name, label }));
+    }
+
+    /**
+     * A shape sized for a garden.
+     * @param {string} name - Registered shape name
+     * @param {number} radius - Garden radius: half its larger extent
+     * @returns {Object} { name, label, sweep, radius, halfWidth, halfHeight,
+     *   reach, distance(x, y), contains(x, y, inset), outline(offset),
+     *   trace(ctx, cx, cy, offset) }
+     */
+    function create(name, radius) {
+        const shape = get(name);
+        if (!shape) {
+            throw new Error(`Unknown garden shape: ${name}`);
+        }
+
+        const w = radius * shape.extent.x;
+        const h = radius * shape.extent.y;
+
+        return {
+            name,
+            label: shape.label,
+            sweep: shape.sweep,
+            radius,
+            halfWidth: w,
+            halfHeight: h,
+            reach: shape.reach(w, h),
+            distance: (x, y) => shape.distance(x, y, w, h),
+            contains: (x, y, inset) => shape.distance(x, y, w, h) > (inset || 0),
+            outline: (offset) => shape.outline(w, h, offset || 0),
+            // Adds the outline to the context's current path as a closed subpath
+            trace(ctx, cx, cy, offset) {
+                const points = shape.outline(w, h, offset || 0);
+                ctx.moveTo(cx + points[0][0], cy + points[0][1]);
+                for (let i = 1; i < points.length; i++) {
+                    ctx.lineTo(cx + points[i][0], cy + points[i][1]);
+                }
+                ctx.closePath();
+            }
+        };
+    }
+
+    function ellipsePoints(rx, ry) {
+        const points = [];
+        for (let i = 0; i < CURVE_SEGMENTS; i++) {
+            const a = i / CURVE_SEGMENTS * Math.PI * 2;
+            points.push([rx * Math.cos(a), ry * Math.sin(a)]);
+        }
+        return points;
+    }
+
+    function boxPoints(w, h) {
+        return [[w, h], [-w, h], [-w, -h], [w, -h]];
+    }
+
+    // Exact inside the box, which is all the garden asks
+    function boxDistance(x, y, w, h) {
+        return Math.min(w - Math.abs(x), h - Math.abs(y));
+    }
+
+    // ==================== BUILT-IN SHAPES ====================
+    register('circle', {
+        label: 'Circle',
+        extent: { x: 1, y: 1 },
+        sweep: 'rotary',
+        distance: (x, y, w) => w - Math.sqrt(x * x + y * y),
+        reach: (w) => w,
+        outline: (w, h, offset) => ellipsePoints(w + offset, w + offset)
+    });
+
+    // Radial distance to the ellipse, like the stones': close enough near the edge
+    register('oval', {
+        label: 'Oval',
+        extent: { x: 1, y: 0.7 },
+        sweep: 'rotary',
+        distance: (x, y, w, h) => {
+            const dist = Math.sqrt(x * x + y * y);
+            const k = Math.sqrt((x / w) * (x / w) + (y / h) * (y / h));
+            return k > 0 ? dist / k - dist : h;
+        },
+        reach: (w, h) => Math.max(w, h),
+        outline: (w, h, offset) => ellipsePoints(w + offset, h + offset)
+    });
+
+    register('square', {
+        label: 'Square',
+        extent: { x: 1, y: 1 },
+        sweep: 'linear',
+        distance: boxDistance,
+        reach: (w, h) => Math.sqrt(w * w + h * h),
+        outline: (w, h, offset) => boxPoints(w + offset, h + offset)
+    });
+
+    register('rectangle', {
+        label: 'Rectangle',
+        extent: { x: 1, y: 0.62 },
+        sweep: 'linear',
+        distance: boxDistance,
+        reach: (w, h) => Math.sqrt(w * w + h * h),
+        outline: (w, h, offset) => boxPoints(w + offset, h + offset)
+    });
+
+    // Flat top and bottom; w is the corner radius and h the apothem
+    register('hexagon', {
+        label: 'Hexagon',
+        extent: { x: 1, y: COS_30 },
+        sweep: 'rotary',
+        distance: (x, y, w, h) => h - Math.max(Math.abs(y),
+            Math.abs(x * COS_30 + y / 2), Math.abs(x * COS_30 - y / 2)),
+        reach: (w) => w,
+        outline: (w, h, offset) => {
+            const corner = (h + offset) / COS_30;
+            const points = [];
+            for (let i = 0; i < 6; i++) {
+                const a = i / 6 * Math.PI * 2;
+                points.push([corner * Math.cos(a), corner * Math.sin(a)]);
+            }
+            return points;
+        }
+    });
+
+    return { register, get, list, create };
+});
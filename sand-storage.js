@@ -0,0 +1,81 @@
+/**
+ * Zen Sand Garden - Storage
+ * Keeps encoded gardens in IndexedDB, falling back to localStorage (as
+ * base64) where IndexedDB is unavailable, e.g. some private browsing modes.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./sand-serializer.js'));
+    } else {
+        root.SandStorage = factory(root.SandSerializer);
+    }
+})(typeof self !== 'undefined' ? self : this, function (SandSerializer) {
+    'use strict';
+
+    const DB_NAME = 'zen-garden';
+    const STORE_NAME = 'gardens';
+    const LOCAL_PREFIX = 'zen-garden:';
+
+    let dbPromise = null;
+
+    function openDatabase() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbPromise;
+    }
+
+    function transact(mode, action) {
+        return openDatabase().then((db) => new Promise((resolve, reject) => {
+            const request = action(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }));
+    }
+
+    function hasIndexedDB() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * @param {string} key
+     * @param {Uint8Array} bytes
+     * @returns {Promise<void>}
+     */
+    function save(key, bytes) {
+        if (hasIndexedDB()) {
+            return transact('readwrite', (store) => store.put(bytes, key))
+                .then(() => undefined, () => saveLocal(key, bytes));
+        }
+        return Promise.resolve(saveLocal(key, bytes));
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<Uint8Array|null>}
+     */
+    function load(key) {
+        if (hasIndexedDB()) {
+            return transact('readonly', (store) => store.get(key))
+                .then((bytes) => bytes || loadLocal(key), () => loadLocal(key));
+        }
+        return Promise.resolve(loadLocal(key));
+    }
+
+    function saveLocal(key, bytes) {
+        localStorage.setItem(LOCAL_PREFIX + key, SandSerializer.toBase64Url(bytes));
+    }
+
+    function loadLocal(key) {
+        const text = localStorage.getItem(LOCAL_PREFIX + key);
+        return text ? SandSerializer.fromBase64Url(text) : null;
+    }
+
+    return { save, load };
+});
@@ -0,0 +1,496 @@
+/**
+ * Zen Sand Garden - Sync
+ * One garden tended from several tabs or devices. Every screen runs its own
+ * simulation; what changes the sand (strokes, stones, undo, the comb and the
+ * blade's speed) is sent to the others and applied there as well. The peer
+ * that has been there longest leads: every few seconds it sends its blade's
+ * position, so the blades keep together, and a coarse outline of its sand,
+ * so a screen that has drifted from it asks for its heights. A peer that
+ * joins late asks the leader for the garden as it stands; commands are
+ * numbered, so those the garden was taken before are replayed on top of it.
+ * Pointers show on the other screens as ghost cursors.
+ *
+ * Gardens may be of different sizes: positions travel in garden radii.
+ * Settings such as colors and the grid stay each screen's own.
+ *
+ * Messages are plain, JSON-safe objects carried by a transport:
+ * { send(message), close(), onMessage, onOpen } where the sync layer sets
+ * onMessage(message), called for every message from another peer, and
+ * onOpen(), called whenever the transport (re)connects.
+ * broadcastTransport() links tabs of one browser; websocketTransport()
+ * links devices through a relay such as sand-relay.js.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./sand-serializer.js'));
+    } else {
+        root.SandSync = factory(root.SandSerializer);
+    }
+})(typeof self !== 'undefined' ? self : this, function (SandSerializer) {
+    'use strict';
+
+    const DEFAULTS = {
+        heartbeat: 2,          // Seconds between presence (and, from the leader, blade) messages
+        peerTimeout: 7,        // Seconds of silence before a peer counts as gone
+        cursorInterval: 0.05,  // Seconds between cursor messages
+        ghostFade: 3,          // Seconds a still ghost cursor stays before fading out
+        drift: 0.02            // Mean height difference over a patch that calls for the leader's heights
+    };
+
+    const FINGERPRINT_SIZE = 8;  // Patches across and down compared for drift
+
+    const CHANNEL_PREFIX = 'zen-garden-sync:';
+
+    // Commands sent to the other peers; the rest are this screen's own
+    const SHARED = ['stroke', 'addStone', 'moveStone', 'removeStone', 'adjust', 'pattern', 'speed'];
+
+    // Ghost cursor colors, picked by peer id
+    const COLORS = ['#E4572E', '#29A0B1', '#F3A712', '#8E6CC9', '#4CB944', '#E36397', '#2E86DE', '#C0A062'];
+
+    // ==================== TRANSPORTS ====================
+    /**
+     * Tabs and windows of this browser on the same origin.
+     * @param {string} room
+     */
+    function broadcastTransport(room) {
+        const channel = new BroadcastChannel(CHANNEL_PREFIX + room);
+        const transport = {
+            onMessage: null,
+            onOpen: null,
+            send(message) { channel.postMessage(message); },
+            close() { channel.close(); }
+        };
+        channel.addEventListener('message', (e) => {
+            if (transport.onMessage) transport.onMessage(e.data);
+        });
+        // Open at once, but let the caller attach its handlers first
+        setTimeout(() => { if (transport.onOpen) transport.onOpen(); }, 0);
+        return transport;
+    }
+
+    /**
+     * Devices on a network, through a relay that passes every message on to
+     * the others in the same room. Reconnects, backing off, if the relay
+     * goes away; messages sent meanwhile are dropped.
+     * @param {string} url - ws:// or wss:// address of the relay
+     * @param {string} room
+     */
+    function websocketTransport(url, room) {
+        const address = url + (url.includes('?') ? '&' : '?') + 'room=' + encodeURIComponent(room);
+        let socket = null;
+        let retry = 1000;
+        let closed = false;
+
+        const transport = {
+            onMessage: null,
+            onOpen: null,
+            send(message) {
+                if (socket && socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+            },
+            close() {
+                closed = true;
+                if (socket) socket.close();
+            }
+        };
+
+        function connect() {
+            socket = new WebSocket(address);
+            socket.addEventListener('open', () => {
+                retry = 1000;
+                if (transport.onOpen) transport.onOpen();
+            });
+            // The relay passes on whatever a client sends; a frame that isn't
+            // JSON is dropped rather than ending the handler
+            socket.addEventListener('message', (e) => {
+                if (!transport.onMessage) return;
+                let message;
+                try {
+                    message = JSON.parse(e.data);
+                } catch (err) {
+                    console.log('Sync message unreadable:', err);
+                    return;
+                }
+                transport.onMessage(message);
+            });
+            socket.addEventListener('close', () => {
+                if (closed) return;
+                setTimeout(connect, retry);
+                retry = Math.min(retry * 2, 30000);
+            });
+        }
+
+        connect();
+        return transport;
+    }
+
+    // ==================== SCALING ====================
+    /**
+     * A command with its positions and sizes multiplied by factor: by
+     * 1 / radius on the way out, by the local radius on the way in.
+     * @param {string} type
+     * @param {Object} data
+     * @param {number} factor
+     * @returns {Object} a new data object
+     */
+    function scale(type, data, factor) {
+        const scaled = Object.assign({}, data);
+        const multiply = (keys) => keys.forEach((key) => {
+            if (typeof data[key] === 'number') scaled[key] = data[key] * factor;
+        });
+
+        if (type === 'stroke') {
+            multiply(['x0', 'y0', 'x1', 'y1']);
+            const contact = data.contact || { pressure: 1, size: 1 };
+            scaled.contact = { pressure: contact.pressure, size: contact.size * factor };
+        } else if (type === 'addStone') {
+            multiply(['x', 'y', 'rx', 'ry']);
+        } else if (type === 'moveStone') {
+            multiply(['x', 'y']);
+        }
+        if (data.at) scaled.at = { x: data.at.x * factor, y: data.at.y * factor };
+        return scaled;
+    }
+    // ==================== SYNC ====================
+    /**
+     * Join a shared garden.
+     * @param {Object} options
+     * @param {Object} options.transport
+     * @param {Function} options.garden - Returns the live garden
+     * @param {Function} options.onOperation - (type, data) applies a peer's
+     *   command; stones are given by their local id
+     * @param {Function} options.onBlade - (state) for garden.setBladeState()
+     * @param {Function} options.onSnapshot - (bytes, resync) loads a
+     *   SandSerializer encoded garden sent by a peer; with resync, only its
+     *   heights are wanted. May return a promise; peers' commands wait for it.
+     * @param {Function} [options.onPeers] - (count) when peers come or go
+     * @param {Object} [options.config] - Overrides for DEFAULTS
+     */
+    function create(options) {
+        const config = Object.assign({}, DEFAULTS, options.config);
+        const transport = options.transport;
+        const me = { peer: randomId(), since: Date.now() };
+        const peers = new Map();   // peer -> { since, seen, ghost }
+        const applied = {};        // peer -> number of its last command applied here
+        let log = [];              // Recent commands, ours and theirs: { message, time }
+        let seq = 0;               // Number of our last command
+        let joined = false;        // Holding the shared garden, or the first one here
+        let asked = null;          // Peer asked for its garden, until it answers
+        let askedAt = 0;
+        let loading = false;       // A garden is being loaded; commands wait in the log
+        let clock = 0;
+        let heartbeatWait = 0;
+        let cursorWait = 0;
+        let cursor = null;         // { x, y, down } last sent, in radii
+        let nextCursor = null;
+        let cursorChanged = false; // nextCursor is waiting for cursorWait
+
+        transport.onMessage = receive;
+        transport.onOpen = () => send({ type: 'hello', since: me.since });
+
+        function send(message) {
+            transport.send(Object.assign({ peer: me.peer }, message));
+        }
+
+        function receive(message) {
+            if (message.peer === me.peer || (message.to && message.to !== me.peer)) return;
+            const known = peers.get(message.peer);
+            if (known) {
+                known.seen = clock;
+            } else if (message.type !== 'bye') {
+                peers.set(message.peer, { since: message.since === undefined ? Infinity : message.since, seen: clock, ghost: null });
+                if (options.onPeers) options.onPeers(peers.size);
+            }
+            const peer = peers.get(message.peer);
+            if (peer && message.since !== undefined) peer.since = message.since;
+
+            const handler = HANDLERS[message.type];
+            if (handler) handler(message, peer);
+        }
+
+        const HANDLERS = {
+            hello(message) {
+                send({ type: 'welcome', to: message.peer, since: me.since, joined, leader: leader() });
+            },
+            // A newcomer ranks after everyone already sharing the garden, so
+            // a device with its clock ahead can't take the lead, and asks the
+            // leader for the garden
+            welcome(message) {
+                if (joined || asked) return;
+                let from = message.leader;
+                if (message.joined && message.since >= me.since) {
+                    me.since = message.since + 1;
+                    if (from === me.peer) from = message.peer;
+                }
+                if (from === me.peer) joined = true;
+                else ask(from, false);
+            },
+            request(message) {
+                // Commands after this one are replayed by the asker
+                const snapshot = options.garden().snapshot();
+                const included = Object.assign({}, applied, { [me.peer]: seq });
+                SandSerializer.encode(snapshot)
+                    .then((bytes) => send({
+                        type: 'snapshot',
+                        to: message.peer,
+                        garden: SandSerializer.toBase64Url(bytes),
+                        applied: included,
+                        resync: !!message.resync
+                    }))
+                    .catch((err) => console.log('Sync snapshot failed:', err));
+            },
+            // Either asked for, or a whole garden loaded on another screen
+            snapshot(message) {
+                if (message.to && message.peer !== asked) return;
+                asked = null;
+                loading = true;
+                Promise.resolve()
+                    .then(() => options.onSnapshot(SandSerializer.fromBase64Url(message.garden), !!message.resync))
+                    .catch((err) => console.log('Sync snapshot unusable:', err))
+                    .then(() => {
+                        loading = false;
+                        joined = true;
+                        catchUp(message.applied || {});
+                    });
+            },
+            op(message) {
+                remember(message);
+                if (!loading) perform(message);
+            },
+            blade(message) {
+                if (loading || leader() !== message.peer) return;
+                options.onBlade(message.state);
+                if (message.fingerprint) checkDrift(message);
+            },
+            cursor(message, peer) {
+                peer.ghost = message.x === null ? null : { x: message.x, y: message.y, down: message.down, moved: clock };
+            },
+            bye(message) {
+                if (peers.delete(message.peer) && options.onPeers) options.onPeers(peers.size);
+            },
+            here() {}
+        };
+
+        function ask(peer, resync) {
+            asked = peer;
+            askedAt = clock;
+            send({ type: 'request', to: peer, resync });
+        }
+
+        function remember(message) {
+            log.push({ message, time: clock });
+        }
+
+        function perform(message) {
+            const garden = options.garden();
+            const data = scale(message.command, message.data, garden.radius);
+            applied[message.peer] = message.seq;
+            if (data.at) {
+                const id = garden.stoneAt(data.at.x, data.at.y);
+                if (!id) return;
+                data.id = id;
+                delete data.at;
+            }
+            // Grid regions only fit a grid of the same size
+            if (message.command === 'adjust' &&
+                (message.grid[0] !== garden.gridWidth || message.grid[1] !== garden.gridHeight)) return;
+            options.onOperation(message.command, data);
+        }
+
+        // Replay the commands, ours too, that a loaded garden was taken
+        // before; the rest are in it already
+        function catchUp(included) {
+            const pending = log;
+            log = [];
+            pending.forEach((entry) => {
+                const message = entry.message;
+                if (message.seq <= (included[message.peer] || 0)) return;
+                remember(message);
+                perform(message);
+            });
+        }
+
+        // Screens drift apart as commands land between different steps on
+        // each; the leader's heights are asked for when they have
+        function checkDrift(message) {
+            if (!joined || asked) return;
+            const garden = options.garden();
+            if (message.shape !== garden.shape.name) return;
+            const local = fingerprint(garden);
+            for (let i = 0; i < local.length; i++) {
+                if (Math.abs(local[i] - message.fingerprint[i]) > config.drift) {
+                    ask(message.peer, true);
+                    return;
+                }
+            }
+        }
+
+        // The longest-running peer, ties going to the lower id
+        function leader() {
+            let best = me;
+            peers.forEach((peer, id) => {
+                if (peer.since < best.since || (peer.since === best.since && id < best.peer)) {
+                    best = { peer: id, since: peer.since };
+                }
+            });
+            return best.peer;
+        }
+
+        /**
+         * Send one of this screen's commands to the others. Call before
+         * applying it, so stones can be found where they were.
+         */
+        function share(type, data) {
+            if (SHARED.indexOf(type) < 0) return;
+            const garden = options.garden();
+            let outgoing = data;
+            if (type === 'moveStone' || type === 'removeStone') {
+                const stone = garden.getStones().find((s) => s.id === data.id);
+                if (!stone) return;
+                outgoing = Object.assign({}, data, { at: { x: stone.x, y: stone.y } });
+                delete outgoing.id;
+            }
+            seq++;
+            const message = { type: 'op', peer: me.peer, seq, command: type, data: scale(type, outgoing, 1 / garden.radius) };
+            if (type === 'adjust') message.grid = [garden.gridWidth, garden.gridHeight];
+            remember(message);
+            send(message);
+        }
+
+        // Everyone takes this garden, e.g. after one was loaded here
+        function shareGarden() {
+            const included = Object.assign({}, applied, { [me.peer]: seq });
+            return SandSerializer.encode(options.garden().snapshot())
+                .then((bytes) => send({ type: 'snapshot', garden: SandSerializer.toBase64Url(bytes), applied: included }));
+        }
+
+        /**
+         * Where this screen's pointer is, relative to the garden center, or
+         * null when there is none. Sent at most every cursorInterval.
+         */
+        function pointer(x, y, down) {
+            const radius = options.garden().radius;
+            nextCursor = x === null ? null : { x: x / radius, y: y / radius, down: !!down };
+            cursorChanged = JSON.stringify(nextCursor) !== JSON.stringify(cursor);
+            if (cursorChanged && cursorWait <= 0) flushCursor();
+        }
+
+        function flushCursor() {
+            cursor = nextCursor;
+            cursorChanged = false;
+            cursorWait = config.cursorInterval;
+            send(cursor ? { type: 'cursor', x: cursor.x, y: cursor.y, down: cursor.down } : { type: 'cursor', x: null });
+        }
+
+        /**
+         * Keep time: presence, the leader's blade and heights, pending
+         * cursor moves and peers gone quiet.
+         * @param {number} seconds
+         */
+        function tick(seconds) {
+            clock += seconds;
+            cursorWait -= seconds;
+            if (cursorChanged && cursorWait <= 0) flushCursor();
+
+            heartbeatWait -= seconds;
+            if (heartbeatWait <= 0) {
+                heartbeatWait = config.heartbeat;
+                if (leader() === me.peer && peers.size > 0) {
+                    const garden = options.garden();
+                    send({
+                        type: 'blade',
+                        since: me.since,
+                        state: garden.getBladeState(),
+                        shape: garden.shape.name,
+                        fingerprint: fingerprint(garden)
+                    });
+                } else {
+                    send({ type: 'here', since: me.since });
+                }
+            }
+
+            // Nobody answered: the first one here. Or the peer asked has gone
+            if (!joined && !asked && clock > config.peerTimeout) joined = true;
+            if (asked && clock - askedAt > config.peerTimeout) {
+                asked = null;
+                joined = true;
+            }
+            if (!asked && !loading) log = log.filter((entry) => clock - entry.time <= config.peerTimeout);
+
+            let gone = false;
+            peers.forEach((peer, id) => {
+                if (clock - peer.seen > config.peerTimeout) {
+                    peers.delete(id);
+                    gone = true;
+                }
+            });
+            if (gone && options.onPeers) options.onPeers(peers.size);
+        }
+
+        /**
+         * Other peers' cursors in local garden units.
+         * @returns {Array} [{ peer, color, x, y, down, fade }] where fade
+         *   runs from 1 down to 0 as a still cursor fades out
+         */
+        function ghosts() {
+            const radius = options.garden().radius;
+            const list = [];
+            peers.forEach((peer, id) => {
+                if (!peer.ghost) return;
+                const fade = peer.ghost.down ? 1 : Math.max(0, 1 - (clock - peer.ghost.moved) / config.ghostFade);
+                if (fade <= 0) return;
+                list.push({ peer: id, color: colorOf(id), x: peer.ghost.x * radius, y: peer.ghost.y * radius, down: peer.ghost.down, fade });
+            });
+            return list;
+        }
+
+        function close() {
+            send({ type: 'bye' });
+            transport.close();
+        }
+
+        return {
+            peer: me.peer,
+            share,
+            shareGarden,
+            pointer,
+            tick,
+            ghosts,
+            close,
+            get peerCount() { return peers.size; },
+            get leading() { return leader() === me.peer; }
+        };
+    }
+
+    // Mean heights over a FINGERPRINT_SIZE square of patches
+    function fingerprint(garden) {
+        const heightMap = garden.getHeightMap();
+        const width = garden.gridWidth;
+        const height = garden.gridHeight;
+        const sums = new Float64Array(FINGERPRINT_SIZE * FINGERPRINT_SIZE);
+        const counts = new Uint32Array(sums.length);
+        for (let y = 0; y < height; y++) {
+            const row = Math.floor(y * FINGERPRINT_SIZE / height) * FINGERPRINT_SIZE;
+            for (let x = 0; x < width; x++) {
+                const patch = row + Math.floor(x * FINGERPRINT_SIZE / width);
+                sums[patch] += heightMap[y * width + x];
+                counts[patch]++;
+            }
+        }
+        return Array.from(sums, (sum, i) => Math.round(sum / Math.max(1, counts[i]) * 10000) / 10000);
+    }
+
+    function randomId() {
+        return Math.random().toString(36).slice(2, 10);
+    }
+
+    function colorOf(peer) {
+        let hash = 0;
+        for (let i = 0; i < peer.length; i++) {
+            hash = (Math.imul(hash, 31) + peer.charCodeAt(i)) | 0;
+        }
+        return COLORS[(hash >>> 0) % COLORS.length];
+    }
+
+    return { create, broadcastTransport, websocketTransport, scale, SHARED, DEFAULTS };
+});
@@ -0,0 +1,136 @@
+/**
+ * Zen Sand Garden - Themes
+ * Sand materials and the day/night cycle, expressed as SandRenderer config
+ * overrides. Frame styles are drawn by the renderer (FRAME_STYLES there).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SandThemes = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DEFAULTS = {
+        material: 'fine',
+        daylight: 'off',       // 'off', 'real' (the local clock) or 'fast'
+        fastDaySeconds: 240,   // Length of a whole day in 'fast' mode
+        fastStartHour: 7,      // Where a 'fast' day begins
+        motion: 'system'       // 'system' (follows prefers-reduced-motion), 'reduced' or 'full'
+    };
+
+    // ==================== MATERIALS ====================
+    // Each is the renderer's sand section. Materials with a layer show
+    // another color where the sand is dug deep.
+    const MATERIALS = {
+        fine: {
+            label: 'Fine white sand',
+            sand: {
+                baseColor: { r: 245, g: 240, b: 230 },
+                shadowColor: { r: 160, g: 145, b: 125 },
+                highlightColor: { r: 255, g: 253, b: 250 },
+                grain: 0,
+                layer: null
+            }
+        },
+        gravel: {
+            label: 'Coarse gravel',
+            sand: {
+                baseColor: { r: 214, g: 212, b: 204 },
+                shadowColor: { r: 120, g: 118, b: 112 },
+                highlightColor: { r: 250, g: 250, b: 246 },
+                grain: 0.35,
+                layer: null
+            }
+        },
+        volcanic: {
+            label: 'Black volcanic sand',
+            sand: {
+                baseColor: { r: 52, g: 50, b: 50 },
+                shadowColor: { r: 14, g: 13, b: 15 },
+                highlightColor: { r: 128, g: 124, b: 126 },
+                grain: 0.15,
+                layer: null
+            }
+        },
+        layered: {
+            label: 'Layered colored sand',
+            sand: {
+                baseColor: { r: 238, g: 216, b: 172 },
+                shadowColor: { r: 168, g: 134, b: 92 },
+                highlightColor: { r: 255, g: 240, b: 210 },
+                grain: 0.05,
+                layer: {
+                    baseColor: { r: 72, g: 112, b: 172 },
+                    shadowColor: { r: 30, g: 52, b: 96 },
+                    highlightColor: { r: 146, g: 176, b: 224 },
+                    depth: 1,  // Height units below flat sand where it starts to show
+                    fade: 2
+                }
+            }
+        }
+    };
+
+    /**
+     * @param {string} name - Key of MATERIALS
+     * @returns {Object|null} a copy of its renderer sand section
+     */
+    function material(name) {
+        const found = MATERIALS[name];
+        return found ? JSON.parse(JSON.stringify(found.sand)) : null;
+    }
+
+    // ==================== DAYLIGHT ====================
+    const NOON = { r: 255, g: 250, b: 240 };
+    const LOW_SUN = { r: 255, g: 186, b: 128 };
+    const MOON = { r: 96, g: 112, b: 160 };
+    const TWILIGHT = 0.15;  // Sun height (sine) over which sunset blends into moonlight
+
+    function mix(a, b, t) {
+        return {
+            r: Math.round(a.r + (b.r - a.r) * t),
+            g: Math.round(a.g + (b.g - a.g) * t),
+            b: Math.round(a.b + (b.b - a.b) * t)
+        };
+    }
+
+    /**
+     * Lighting for a time of day. The light circles the garden once a day,
+     * rising on the right at 6:00 and setting on the left at 18:00; at night
+     * a dim blue moonlight carries on round from where the sun went down,
+     * so shadows never jump.
+     * @param {number} hour - 0 to 24
+     * @returns {Object} renderer lighting overrides { azimuth, elevation, color }
+     */
+    function daylightAt(hour) {
+        const sun = Math.sin((hour - 6) / 12 * Math.PI);  // 1 at noon, -1 at midnight
+        const azimuth = ((((hour - 6) / 24) * 360) % 360 + 360) % 360;
+
+        let color;
+        if (sun >= TWILIGHT) {
+            color = mix(LOW_SUN, NOON, Math.sqrt((sun - TWILIGHT) / (1 - TWILIGHT)));
+        } else if (sun > -TWILIGHT) {
+            color = mix(MOON, LOW_SUN, (sun + TWILIGHT) / (2 * TWILIGHT));
+        } else {
+            color = MOON;
+        }
+
+        return {
+            azimuth,
+            elevation: sun >= 0 ? 8 + sun * 62 : 8 - sun * 22,
+            color
+        };
+    }
+
+    /**
+     * @param {Date} date
+     * @returns {number} local hour of the day, fractional
+     */
+    function hourOfDay(date) {
+        return date.getHours() + date.getMinutes() / 60 + date.getSeconds() / 3600;
+    }
+
+    return { material, daylightAt, hourOfDay, MATERIALS, DEFAULTS };
+});
@@ -0,0 +1,124 @@
+/**
+ * Zen Sand Garden - Simulation worker
+ * Steps the live garden and draws it on the page's canvas, handed over as
+ * an OffscreenCanvas, so a large grid doesn't hold up input on the page.
+ * Started by SandHost (sand-host.js): commands, settings and the canvas
+ * layout arrive as messages, and after every frame the changed regions of
+ * the height map and the blade state go back to keep the page's mirror of
+ * the garden current.
+ */
+
+importScripts(
+    'sand-patterns.js',
+    'sand-shapes.js',
+    'sand-garden.js',
+    'sand-renderer.js',
+    'sand-recorder.js',
+    'sand-loop.js'
+);
+
+(function () {
+    'use strict';
+
+    // Not every worker can request frames; a steady timer stands in
+    if (typeof self.requestAnimationFrame !== 'function') {
+        self.requestAnimationFrame = (callback) => setTimeout(() => callback(performance.now()), 1000 / 60);
+        self.cancelAnimationFrame = clearTimeout;
+    }
+
+    // ==================== STATE ====================
+    let garden = null;
+    let renderer = null;
+    let canvas = null;
+    let ctx = null;
+    let layout = null;       // { width, height, centerX, centerY } in CSS pixels
+    let loop = null;
+    let recorder = null;
+
+    // Gardens replaced or restored so far. Frames carry it so the page can
+    // drop those sent before a change it has already made on its side.
+    let generation = 0;
+
+    // The renderer drains dirty rects from the garden it draws, but they
+    // are shipped to the page first; it draws a view handing over the same
+    let dirtyRects = [];
+    let view = null;
+
+    // ==================== MESSAGES ====================
+    const HANDLERS = {
+        init(message) {
+            garden = SandGarden.create(message.garden);
+            renderer = SandRenderer.create({ config: message.renderer });
+            canvas = message.canvas;
+            ctx = canvas.getContext('2d');
+            setLayout(message.layout);
+            loop = SandLoop.create({ step: stepGarden, render });
+            loop.start();
+        },
+        perform(message) {
+            if (recorder) recorder.log(message.command, message.data);
+            const previous = garden;
+            garden = SandRecorder.apply(garden, message.command, message.data);
+            if (garden !== previous) generation++;
+        },
+        restore(message) {
+            garden.restore(message.snapshot);
+            generation++;
+        },
+        layout(message) { setLayout(message.layout); },
+        renderer(message) { renderer.configure(message.config); },
+        record() { recorder = SandRecorder.createRecorder(garden); },
+        stopRecording() {
+            const session = recorder ? recorder.stop() : null;
+            recorder = null;
+            self.postMessage({ type: 'session', session });
+        },
+        pause() { loop.pause(); },
+        resume() { loop.resume(); },
+        start() { loop.start(); },
+        stop() { loop.stop(); }
+    };
+
+    self.addEventListener('message', (e) => {
+        const handler = HANDLERS[e.data.type];
+        if (!handler) {
+            throw new Error(`Unknown worker message: ${e.data.type}`);
+        }
+        handler(e.data);
+    });
+
+    // Resizing the canvas resets its transform, so scale again after
+    function setLayout(next) {
+        layout = { width: next.width, height: next.height, centerX: next.centerX, centerY: next.centerY };
+        canvas.width = next.width * next.pixelRatio;
+        canvas.height = next.height * next.pixelRatio;
+        ctx.scale(next.pixelRatio, next.pixelRatio);
+    }
+
+    // ==================== ANIMATION LOOP ====================
+    function stepGarden(seconds) {
+        garden.step(seconds);
+        if (recorder) recorder.tick();
+    }
+
+    function render(alpha) {
+        dirtyRects = garden.takeDirtyRects();
+        const regions = dirtyRects.map((rect) => garden.readRegion(rect.x0, rect.y0, rect.x1, rect.y1));
+
+        renderer.render(ctx, viewOf(garden), Object.assign({ alpha }, layout));
+
+        self.postMessage(
+            { type: 'frame', generation, regions, motion: garden.takeMotion() },
+            regions.map((region) => region.heights.buffer)
+        );
+    }
+
+    // One view per garden: the renderer rebuilds its buffers for a new one
+    function viewOf(sim) {
+        if (!view || Object.getPrototypeOf(view) !== sim) {
+            view = Object.create(sim);
+            view.takeDirtyRects = () => dirtyRects;
+        }
+        return view;
+    }
+})();
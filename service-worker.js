@@ -1,20 +1,47 @@
-const CACHE_NAME = 'zen-garden-v1';
+// Stamped by `node stamp-build.js` with a hash of ASSETS and this file.
+// A new stamp changes this file's bytes, which is what makes browsers
+// install the new worker, and gives it a cache of its own.
+const BUILD = 'dev';
+const CACHE_PREFIX = 'zen-garden-';
+const CACHE_NAME = CACHE_PREFIX + BUILD;
+// Files outside ASSETS, kept across builds
+const RUNTIME_CACHE = CACHE_PREFIX + 'runtime';
 const ASSETS = [
     '/',
     '/index.html',
     '/styles.css',
+    '/sand-patterns.js',
+    '/sand-shapes.js',
+    '/sand-garden.js',
+    '/sand-renderer.js',
+    '/sand-serializer.js',
+    '/sand-storage.js',
+    '/sand-audio.js',
+    '/sand-recorder.js',
+    '/sand-history.js',
+    '/sand-host.js',
+    '/sand-worker.js',
+    '/sand-loop.js',
+    '/sand-export.js',
+    '/sand-paths.js',
+    '/sand-themes.js',
+    '/sand-settings.js',
+    '/sand-sync.js',
     '/app.js',
     '/manifest.json',
     '/icons/icon-192.png',
     '/icons/icon-512.png'
 ];
 
-// Install - cache assets
+// Offline and not cached: a blank image, so a missing picture isn't broken
+const BLANK_IMAGE = '<svg xmlns="http://www.w3.org/2000/svg" width="1" height="1"/>';
+
+// Install - cache assets, fresh from the network rather than the HTTP cache.
+// The new worker then waits for the page to let it take over.
 self.addEventListener('install', (event) => {
     event.waitUntil(
         caches.open(CACHE_NAME)
-            .then((cache) => cache.addAll(ASSETS))
-            .then(() => self.skipWaiting())
+            .then((cache) => cache.addAll(ASSETS.map((url) => new Request(url, { cache: 'reload' }))))
     );
 });
 
@@ -23,35 +50,106 @@ self.addEventListener('activate', (event) => {
     event.waitUntil(
         caches.keys().then((keys) => {
             return Promise.all(
-                keys.filter((key) => key !== CACHE_NAME)
+                keys.filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME && key !== RUNTIME_CACHE)
                     .map((key) => caches.delete(key))
             );
         }).then(() => self.clients.claim())
     );
 });
 
-// Fetch - serve from cache, fallback to network
+// The page's update prompt asks the waiting worker to take over
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skipWaiting') self.skipWaiting();
+});
+
+// Fetch - stale-while-revalidate. This build's files are answered from its
+// own cache, which never changes after install, so a page and the scripts it
+// loads later (the simulation worker's importScripts) are always of one
+// build; the network's copy is checked behind them, and new files arrive
+// with the next build's worker. Anything else is cached as it is refreshed.
 self.addEventListener('fetch', (event) => {
-    event.respondWith(
-        caches.match(event.request)
-            .then((response) => {
-                if (response) {
-                    return response;
-                }
-                return fetch(event.request).then((networkResponse) => {
-                    // Cache new resources
-                    if (networkResponse && networkResponse.status === 200) {
-                        const responseClone = networkResponse.clone();
-                        caches.open(CACHE_NAME).then((cache) => {
-                            cache.put(event.request, responseClone);
-                        });
-                    }
-                    return networkResponse;
-                });
-            })
-            .catch(() => {
-                // Offline fallback
-                return caches.match('/index.html');
-            })
-    );
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    let response;
+    if (BUILD === 'dev') {
+        // Unstamped, while working on the app: edits show on reload
+        response = fetch(request).catch(() => fromBuild(request));
+    } else if (ASSETS.includes(url.pathname)) {
+        response = fromBuild(request).then((cached) => {
+            if (!cached) return fetch(request);
+            event.waitUntil(revalidate(url.pathname, cached.clone()));
+            return cached;
+        });
+    } else {
+        response = staleWhileRevalidate(event);
+    }
+    event.respondWith(response
+        .then((answer) => answer || offlineFallback(request))
+        .catch(() => offlineFallback(request)));
 });
+
+function fromBuild(request) {
+    // ?audit and ?main load the same page
+    return caches.open(CACHE_NAME)
+        .then((cache) => cache.match(request, { ignoreSearch: request.mode === 'navigate' }));
+}
+
+// A file that differs from this build's copy means a newer build is out:
+// fetch its worker, which installs with all its files and waits for the
+// page's update prompt. Once a newer worker is found, checking stops.
+function revalidate(path, cached) {
+    if (self.registration.installing || self.registration.waiting) return Promise.resolve();
+    return fetch(path, { cache: 'no-cache' })
+        .then((fresh) => {
+            if (!fresh.ok) return false;
+            return Promise.all([fresh.arrayBuffer(), cached.arrayBuffer()])
+                .then(([a, b]) => !sameBytes(new Uint8Array(a), new Uint8Array(b)));
+        })
+        .then((changed) => changed && self.registration.update())
+        .catch(() => {});
+}
+
+function sameBytes(a, b) {
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return false;
+    }
+    return true;
+}
+
+function staleWhileRevalidate(event) {
+    const request = event.request;
+    return caches.open(RUNTIME_CACHE).then((cache) => {
+        return cache.match(request).then((cached) => {
+            const fetched = fetch(request).then((networkResponse) => {
+                if (networkResponse.ok && networkResponse.type === 'basic') {
+                    cache.put(request, networkResponse.clone());
+                }
+                return networkResponse;
+            });
+            if (!cached) return fetched;
+            event.waitUntil(fetched.catch(() => {}));
+            return cached;
+        });
+    });
+}
+
+// Offline fallback, by what was asked for. Scripts, styles and data get an
+// error rather than index.html, which would only fail to parse.
+function offlineFallback(request) {
+    if (request.mode === 'navigate') {
+        return caches.open(CACHE_NAME)
+            .then((cache) => cache.match('/index.html'))
+            .then((response) => response || offlineResponse());
+    }
+    if (request.destination === 'image') {
+        return new Response(BLANK_IMAGE, { headers: { 'Content-Type': 'image/svg+xml' } });
+    }
+    return offlineResponse();
+}
+
+function offlineResponse() {
+    return new Response('', { status: 503, statusText: 'Offline' });
+}
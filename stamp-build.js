@@ -0,0 +1,39 @@
+/**
+ * Zen Sand Garden - Build stamp
+ * Sets BUILD in service-worker.js to a hash of the files it caches and of
+ * the worker itself, so that any change to them reaches installed copies
+ * as a new version. Run it before deploying:
+ *
+ *   node stamp-build.js
+ *
+ * Unchanged files give the same stamp, and then nothing updates.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const WORKER_FILE = path.join(__dirname, 'service-worker.js');
+const BUILD_LINE = /^const BUILD = '[^']*';$/m;
+
+const source = fs.readFileSync(WORKER_FILE, 'utf8');
+if (!BUILD_LINE.test(source)) {
+    throw new Error('No BUILD line in service-worker.js');
+}
+
+const list = source.match(/const ASSETS = \[([^\]]*)\]/);
+const assets = list[1].match(/'[^']*'/g).map((quoted) => quoted.slice(1, -1));
+
+const hash = crypto.createHash('sha256');
+hash.update(source.replace(BUILD_LINE, ''));
+assets.forEach((url) => {
+    const file = url === '/' ? 'index.html' : url.slice(1);
+    hash.update(url);
+    hash.update(fs.readFileSync(path.join(__dirname, file)));
+});
+
+const build = hash.digest('hex').slice(0, 12);
+fs.writeFileSync(WORKER_FILE, source.replace(BUILD_LINE, `const BUILD = '${build}';`));
+console.log(`service-worker.js: BUILD = '${build}'`);
@@ -0,0 +1,86 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { OfflineAudioContext } = require('web-audio-engine');
+const SandAudio = require('../sand-audio.js');
+
+const SAMPLE_RATE = 22050;
+
+// Render one second of the graph, driven by setup(sound), and return the
+// samples after the first quarter second, once the envelopes have settled
+function render(setup, options) {
+    const context = new OfflineAudioContext(1, SAMPLE_RATE, SAMPLE_RATE);
+    const sound = SandAudio.create(context, options);
+    sound.output.connect(context.destination);
+    setup(sound);
+    return context.startRendering().then((buffer) => buffer.getChannelData(0).slice(SAMPLE_RATE / 4));
+}
+
+function rms(samples) {
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+    return Math.sqrt(sum / samples.length);
+}
+
+// Sand moved at a steady rate for the whole second, reported 60 times
+function moveSand(sound, perSecond) {
+    for (let i = 0; i < 60; i++) sound.update(perSecond / 60, i / 60, 1 / 60);
+}
+
+test('the graph renders under an OfflineAudioContext', async () => {
+    const samples = await render((sound) => {
+        sound.start(0);
+        sound.playAmbient(0);
+        moveSand(sound, 3600);
+    });
+    assert.ok(samples.every(Number.isFinite));
+    assert.ok(rms(samples) > 0.01);
+    assert.ok(samples.every((v) => Math.abs(v) <= 1));
+});
+
+test('nothing sounds until it is started', async () => {
+    const samples = await render((sound) => moveSand(sound, 3600));
+    assert.strictEqual(rms(samples), 0);
+});
+
+test('the hiss follows how much sand moves', async () => {
+    const still = await render((sound) => sound.start(0));
+    const some = await render((sound) => {
+        sound.start(0);
+        moveSand(sound, 600);
+    });
+    const lots = await render((sound) => {
+        sound.start(0);
+        moveSand(sound, 6000);
+    });
+    assert.ok(rms(still) < rms(some) && rms(some) < rms(lots), `${rms(still)} ${rms(some)} ${rms(lots)}`);
+});
+
+test('muting silences everything', async () => {
+    const samples = await render((sound) => {
+        sound.setMuted(true);
+        sound.start(0);
+        sound.playAmbient(0);
+        moveSand(sound, 6000);
+    });
+    assert.ok(rms(samples) < 1e-4);
+});
+
+test('a seed renders the same every time', async () => {
+    const setup = (sound) => {
+        sound.start(0);
+        moveSand(sound, 3600);
+    };
+    const first = await render(setup, { config: { seed: 7 } });
+    const second = await render(setup, { config: { seed: 7 } });
+    assert.deepStrictEqual(second, first);
+});
+
+test('loudness depends on sand per second, not on how often it is reported', () => {
+    const context = new OfflineAudioContext(1, SAMPLE_RATE, SAMPLE_RATE);
+    const sound = SandAudio.create(context);
+    assert.strictEqual(sound.update(60, 0, 1 / 60), sound.update(30, 0, 1 / 120));
+    assert.strictEqual(sound.update(0, 0, 1 / 60), 0);
+});
@@ -0,0 +1,28 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const SandGarden = require('../sand-garden.js');
+const SandShapes = require('../sand-shapes.js');
+
+const STEPS = 600;          // Ten seconds of blade
+const TOLERANCE = 1e-6;     // Height units per cell; sand sits around 0, so mass does too
+
+SandShapes.list().forEach(({ name }) => {
+    Object.keys(SandGarden.BLADE_LAYOUTS).forEach((layout) => {
+        test(`mass is conserved: ${name} garden, ${layout} blade`, () => {
+            const garden = SandGarden.create({ radius: 60, shape: name, config: { blade: { layout } } });
+            const allowed = TOLERANCE * garden.gridWidth * garden.gridHeight;
+            for (let i = 0; i < STEPS; i++) {
+                if (i % 20 === 0) {
+                    const tool = SandGarden.TOOLS[(i / 20) % SandGarden.TOOLS.length];
+                    garden.stroke(tool, -30 + i % 50, -20, 25, 10 + i % 30, { pressure: 1, size: 1 });
+                }
+                garden.step(SandGarden.STEP_SECONDS);
+                const audit = garden.massAudit();
+                assert.ok(Math.abs(audit.drift) <= allowed, `step ${i}: ${audit.total} against ${audit.initial}`);
+            }
+        });
+    });
+});
@@ -0,0 +1,133 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const SandGarden = require('../sand-garden.js');
+const SandHistory = require('../sand-history.js');
+
+function stillGarden() {
+    const garden = SandGarden.create({ radius: 100 });
+    garden.setRotationSpeed(0);
+    garden.takeDirtyRects();
+    return garden;
+}
+
+// One stroke, tracked the way the app tracks its pieces
+function drawStroke(undo, garden, x0, y0, x1, y1) {
+    undo.begin(garden);
+    garden.stroke('dig', x0, y0, x1, y1);
+    undo.track(garden);
+    garden.stroke('rake', x1, y1, x0, y1 + 10);
+    return undo.end(garden);
+}
+
+function largestDifference(a, b) {
+    let largest = 0;
+    for (let i = 0; i < a.length; i++) largest = Math.max(largest, Math.abs(a[i] - b[i]));
+    return largest;
+}
+
+test('undo takes a stroke away in place and redo puts it back', () => {
+    const garden = stillGarden();
+    const undo = SandHistory.createUndo();
+    const before = garden.getHeightMap().slice();
+    const mass = garden.totalMass();
+
+    assert.ok(drawStroke(undo, garden, -20, 0, 30, 10));
+    const after = garden.getHeightMap().slice();
+    garden.takeDirtyRects();
+
+    const step = undo.undo(garden);
+    garden.adjustRegion(step.region);
+    assert.ok(largestDifference(garden.getHeightMap(), before) < 1e-5);
+    assert.ok(Math.abs(garden.totalMass() - mass) < 1e-3);
+
+    // Only the tiles under the stroke's rectangle are redrawn
+    const { x0, y0, x1, y1 } = step.region;
+    const tile = 16;
+    const dirty = garden.takeDirtyRects();
+    assert.ok(dirty.length > 0);
+    dirty.forEach((rect) => {
+        assert.ok(rect.x0 >= x0 - x0 % tile && rect.x1 < x1 - x1 % tile + tile, JSON.stringify(rect));
+        assert.ok(rect.y0 >= y0 - y0 % tile && rect.y1 < y1 - y1 % tile + tile, JSON.stringify(rect));
+    });
+
+    assert.ok(undo.canRedo);
+    garden.adjustRegion(undo.redo().region);
+    assert.ok(largestDifference(garden.getHeightMap(), after) < 1e-5);
+    assert.ok(!undo.canRedo);
+});
+
+test('undo leaves what happened elsewhere since', () => {
+    const garden = stillGarden();
+    const undo = SandHistory.createUndo();
+    drawStroke(undo, garden, -60, -40, -30, -40);
+    garden.dig(50, 50);
+    const dug = garden.getHeightMap().slice();
+
+    const region = undo.undo(garden).region;
+    garden.adjustRegion(region);
+    const heights = garden.getHeightMap();
+    for (let y = 0; y < garden.gridHeight; y++) {
+        for (let x = 0; x < garden.gridWidth; x++) {
+            if (x >= region.x0 && x <= region.x1 && y >= region.y0 && y <= region.y1) continue;
+            assert.strictEqual(heights[y * garden.gridWidth + x], dug[y * garden.gridWidth + x]);
+        }
+    }
+});
+
+test('a stroke the blade has since combed away is not imprinted in reverse', () => {
+    const garden = stillGarden();
+    const undo = SandHistory.createUndo();
+    const before = garden.getHeightMap().slice();
+    drawStroke(undo, garden, -20, 0, 30, 10);
+
+    // Smooth the sand back over the stroke, as passes of the blade would
+    const width = garden.gridWidth;
+    garden.writeRegion({ x0: 0, y0: 0, x1: width - 1, y1: garden.gridHeight - 1, heights: before });
+
+    garden.adjustRegion(undo.undo(garden).region);
+    assert.ok(largestDifference(garden.getHeightMap(), before) < 1e-5);
+});
+
+test('changes from other screens during a stroke survive its undo', () => {
+    const garden = stillGarden();
+    const undo = SandHistory.createUndo();
+    undo.begin(garden);
+    garden.stroke('dig', -20, 0, 30, 0);
+    undo.exclude(garden, () => garden.dig(0, 4));
+    garden.stroke('dig', 30, 0, 30, 20);
+    undo.end(garden);
+    garden.adjustRegion(undo.undo(garden).region);
+
+    // What is left is the peer's dig on untouched sand
+    const reference = stillGarden();
+    reference.dig(0, 4);
+    assert.ok(largestDifference(garden.getHeightMap(), reference.getHeightMap()) < 1e-3);
+});
+
+test('a new stroke clears redo, and only the last limit strokes are kept', () => {
+    const garden = stillGarden();
+    const undo = SandHistory.createUndo({ config: { undo: { limit: 2 } } });
+    drawStroke(undo, garden, -60, 0, -40, 0);
+    drawStroke(undo, garden, -20, 0, 0, 0);
+    drawStroke(undo, garden, 20, 0, 40, 0);
+
+    garden.adjustRegion(undo.undo(garden).region);
+    assert.ok(undo.canRedo);
+    drawStroke(undo, garden, 20, 30, 40, 30);
+    assert.ok(!undo.canRedo);
+
+    assert.ok(undo.undo(garden));
+    assert.ok(undo.undo(garden));
+    assert.strictEqual(undo.undo(garden), null);
+});
+
+test('a stroke that changed nothing is not kept', () => {
+    const garden = stillGarden();
+    const undo = SandHistory.createUndo();
+    undo.begin(garden);
+    assert.strictEqual(undo.end(garden), false);
+    assert.ok(!undo.canUndo);
+});
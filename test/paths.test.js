@@ -0,0 +1,161 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const SandGarden = require('../sand-garden.js');
+const SandPaths = require('../sand-paths.js');
+
+// A repeatable stand-in for Math.random()
+function random(seed) {
+    return () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+}
+
+function randomPaths(count) {
+    const rnd = random(11);
+    const paths = [];
+    for (let i = 0; i < count; i++) {
+        const x = rnd() * 400 - 200;
+        const y = rnd() * 400 - 200;
+        const closed = i % 3 === 0;
+        const points = [];
+        const length = 2 + Math.floor(rnd() * 40);
+        for (let p = 0; p < length; p++) {
+            points.push(closed
+                ? [x + 10 * Math.cos(p / length * Math.PI * 2), y + 10 * Math.sin(p / length * Math.PI * 2)]
+                : [x + p * 2, y + rnd() * 4]);
+        }
+        paths.push({ points, closed });
+    }
+    return paths;
+}
+
+// The same greedy order found by looking at every entry of every path
+function bruteForceOrder(paths, start) {
+    const left = paths.slice();
+    const firsts = [];
+    let position = start;
+    while (left.length > 0) {
+        let best = null;
+        left.forEach((path) => {
+            const count = path.points.length;
+            const entries = [];
+            if (path.closed) {
+                for (let i = 0; i < count; i += Math.max(1, Math.ceil(count / 16))) entries.push(i);
+            } else {
+                entries.push(0, count - 1);
+            }
+            entries.forEach((i) => {
+                const d = Math.hypot(path.points[i][0] - position[0], path.points[i][1] - position[1]);
+                if (!best || d < best.d) best = { d, path, i };
+            });
+        });
+        left.splice(left.indexOf(best.path), 1);
+        const points = best.path.closed
+            ? best.path.points.slice(best.i).concat(best.path.points.slice(0, best.i + 1))
+            : best.i === 0 ? best.path.points : best.path.points.slice().reverse();
+        firsts.push(points[0]);
+        position = points[points.length - 1];
+    }
+    return firsts;
+}
+
+test('paths are ordered as a nearest-first search over every entry would', () => {
+    const paths = randomPaths(600);
+    const ordered = SandPaths.orderPaths(paths, [0, 0]);
+    assert.strictEqual(ordered.length, paths.length);
+    assert.deepStrictEqual(ordered.map((points) => points[0]), bruteForceOrder(paths, [0, 0]));
+});
+
+test('closed paths come back closed and open ones whole, either way round', () => {
+    const loop = { points: [[10, 0], [0, 10], [-10, 0], [0, -10]], closed: true };
+    const line = { points: [[50, 0], [60, 0], [70, 0]], closed: false };
+    const [first, second] = SandPaths.orderPaths([line, loop], [0, -12]);
+    assert.deepStrictEqual(first, [[0, -10], [10, 0], [0, 10], [-10, 0], [0, -10]]);
+    assert.deepStrictEqual(second, [[50, 0], [60, 0], [70, 0]]);
+
+    const [reversed] = SandPaths.orderPaths([line], [80, 0]);
+    assert.deepStrictEqual(reversed, [[70, 0], [60, 0], [50, 0]]);
+});
+
+test('stroke segments join into lines, even interleaved, and rakes become tines', () => {
+    const strokes = [
+        { tool: 'dig', x0: 0, y0: 0, x1: 5, y1: 0 },
+        { tool: 'dig', x0: 50, y0: 50, x1: 55, y1: 50 },
+        { tool: 'dig', x0: 5, y0: 0, x1: 10, y1: 0 },
+        { tool: 'dig', x0: 10, y0: 0, x1: 10, y1: 0 },
+        { tool: 'dig', x0: 55, y0: 50, x1: 60, y1: 50 }
+    ];
+    const lines = SandPaths.strokePaths(strokes, { rakeTines: 3, rakeTineSpacing: 4 });
+    assert.deepStrictEqual(lines.map((line) => line.points), [
+        [[0, 0], [5, 0], [10, 0]],
+        [[50, 50], [55, 50], [60, 50]]
+    ]);
+
+    const tines = SandPaths.strokePaths([{ tool: 'rake', x0: 0, y0: 0, x1: 20, y1: 0 }], { rakeTines: 3, rakeTineSpacing: 4 });
+    assert.deepStrictEqual(tines.map((line) => line.points[0][1]), [-4, 0, 4]);
+});
+
+// A track of the garden's comb pattern and one drawn line
+function gardenTrack() {
+    const garden = SandGarden.create({ radius: 100 });
+    const strokes = [{ tool: 'dig', x0: -60, y0: 0, x1: 60, y1: 0 }];
+    return { garden, track: SandPaths.buildTrack(garden, strokes) };
+}
+
+test('a track starts at the center and marks its connecting moves', () => {
+    const { track } = gardenTrack();
+    assert.deepStrictEqual(track.points[0], { x: 0, y: 0, travel: false });
+    assert.ok(track.points.some((point) => point.travel));
+    assert.ok(track.points.some((point) => !point.travel));
+    assert.ok(track.length > 0);
+});
+
+test('theta-rho keeps rho within the table and theta unwrapped', () => {
+    const { garden, track } = gardenTrack();
+    const lines = SandPaths.toThetaRho(garden, track).trim().split('\n');
+    assert.match(lines[0], /^#/);
+    const pairs = lines.slice(1).map((line) => line.split(' ').map(Number));
+    pairs.forEach(([theta, rho]) => {
+        assert.ok(Number.isFinite(theta));
+        assert.ok(rho >= 0 && rho <= 1);
+    });
+    for (let i = 1; i < pairs.length; i++) {
+        assert.ok(Math.abs(pairs[i][0] - pairs[i - 1][0]) < Math.PI, `jump at line ${i + 1}`);
+    }
+
+    // Once around a circle is a full turn, counted on rather than wrapped
+    const circle = [];
+    for (let i = 0; i <= 64; i++) {
+        circle.push({ x: 50 * Math.cos(i / 64 * Math.PI * 2), y: -50 * Math.sin(i / 64 * Math.PI * 2), travel: false });
+    }
+    const turn = SandPaths.toThetaRho(garden, { points: circle, length: 0 }).trim().split('\n').slice(1).map((line) => line.split(' ').map(Number));
+    assert.ok(Math.abs(turn[turn.length - 1][0] - turn[0][0] - Math.PI * 2) < 1e-4);
+    // Split into straight moves, the chords dip just inside the circle
+    assert.ok(turn.every(([, rho]) => Math.abs(rho - 0.5) < 1e-3));
+});
+
+test('G-code is in millimetres with y up, from the center or a corner', () => {
+    const garden = SandGarden.create({ radius: 100 });
+    const track = { points: [{ x: 0, y: 0, travel: false }, { x: 100, y: -100, travel: true }], length: 0 };
+    const options = { config: { gcode: { diameter: 400, feedRate: 1500 }, track: { maxStep: 10 } } };
+    const lines = SandPaths.toGcode(garden, track, options).trim().split('\n');
+    assert.ok(lines.includes('G21 ; millimetres'));
+    assert.ok(lines.includes('G1 F1500'));
+    assert.ok(lines.includes('; travel'));
+    assert.strictEqual(lines[lines.length - 1], 'G1 X200.000 Y200.000');
+
+    const moves = lines.filter((line) => line.startsWith('G1 X'));
+    assert.strictEqual(moves.length, 2, 'short moves are not split');
+
+    const corner = SandPaths.toGcode(garden, track, { config: { gcode: { diameter: 400, origin: 'corner' }, track: { maxStep: 10 } } });
+    assert.ok(corner.includes('G1 X200.000 Y200.000'));
+    assert.ok(corner.includes('G1 X400.000 Y400.000'));
+});
+
+test('long moves are split so tables draw them straight', () => {
+    const garden = SandGarden.create({ radius: 100 });
+    const track = { points: [{ x: -80, y: 0, travel: false }, { x: 80, y: 0, travel: false }], length: 160 };
+    const moves = SandPaths.toGcode(garden, track).split('\n').filter((line) => line.startsWith('G1 X'));
+    assert.strictEqual(moves.length, 1 + Math.ceil(160 / (SandPaths.DEFAULTS.track.maxStep * 100)));
+});
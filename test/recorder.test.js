@@ -0,0 +1,82 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const SandGarden = require('../sand-garden.js');
+const SandRecorder = require('../sand-recorder.js');
+
+// A repeatable stand-in for Math.random()
+function random(seed) {
+    return () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+}
+
+function record() {
+    let garden = SandGarden.create({ radius: 120 });
+    // History from before recording starts is in the session's first snapshot
+    for (let i = 0; i < 30; i++) {
+        garden.dig(10 + i, 5);
+        garden.step(SandGarden.STEP_SECONDS);
+    }
+    const recorder = SandRecorder.createRecorder(garden);
+    const perform = (type, data) => {
+        recorder.log(type, data);
+        garden = SandRecorder.apply(garden, type, data);
+    };
+    const rnd = random(7);
+    const point = () => rnd() * 160 - 80;
+    for (let frame = 0; frame < 600; frame++) {
+        if (frame % 3 === 0) {
+            perform('stroke', {
+                tool: SandGarden.TOOLS[frame % SandGarden.TOOLS.length],
+                x0: point(), y0: point(), x1: point(), y1: point(),
+                contact: { pressure: rnd() + 0.5, size: 1 }
+            });
+        }
+        if (frame === 100) perform('addStone', { x: 30, y: 20, rx: 20, ry: 15, rotation: 0.3, tone: 0.4 });
+        if (frame === 150) perform('moveStone', { id: 1, x: 40, y: 25 });
+        if (frame === 200) perform('speed', { speed: 0.6 });
+        if (frame === 300) perform('pattern', { name: 'rose' });
+        if (frame === 400) perform('resize', { radius: 100 });
+        garden.step(SandGarden.STEP_SECONDS);
+        recorder.tick();
+    }
+    return { session: recorder.stop(), heights: garden.getHeightMap() };
+}
+
+function assertSameHeights(garden, heights) {
+    const replayed = garden.getHeightMap();
+    assert.strictEqual(replayed.length, heights.length);
+    assert.strictEqual(replayed.findIndex((h, i) => h !== heights[i]), -1);
+}
+
+const recording = record();
+const encoded = SandRecorder.encodeSession(recording.session);
+
+test('a recording replays to the same heights after encoding', () => {
+    const player = SandRecorder.createPlayer(SandRecorder.decodeSession(encoded));
+    player.play();
+    while (player.playing) player.update(SandGarden.STEP_SECONDS);
+    assertSameHeights(player.garden, recording.heights);
+});
+
+test('seeking back and forth lands on the same heights', () => {
+    const player = SandRecorder.createPlayer(SandRecorder.decodeSession(encoded));
+    player.seek(450);
+    player.seek(120);
+    player.seek(recording.session.frames);
+    assertSameHeights(player.garden, recording.heights);
+});
+
+test('faster playback runs the same steps', () => {
+    const player = SandRecorder.createPlayer(SandRecorder.decodeSession(encoded));
+    player.setSpeed(4);
+    player.play();
+    let updates = 0;
+    while (player.playing) {
+        player.update(SandGarden.STEP_SECONDS);
+        updates++;
+    }
+    assert.ok(updates <= recording.session.frames / 4 + 1);
+    assertSameHeights(player.garden, recording.heights);
+});
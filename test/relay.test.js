@@ -0,0 +1,146 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { serveFile, parseFrame, encodeFrame, readFrames, OPCODES, MAX_MESSAGE } = require('../sand-relay.js');
+
+// A frame as a browser sends it: masked
+function clientFrame(opcode, payload, fin = true) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([opcode | (fin ? 0x80 : 0), 0x80 | payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = opcode | (fin ? 0x80 : 0);
+        header[1] = 0x80 | 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = opcode | (fin ? 0x80 : 0);
+        header[1] = 0x80 | 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    const mask = Buffer.from([0x37, 0xfa, 0x21, 0x3d]);
+    const masked = Buffer.from(payload);
+    for (let i = 0; i < masked.length; i++) {
+        masked[i] ^= mask[i % 4];
+    }
+    return Buffer.concat([header, mask, masked]);
+}
+
+[5, 300, 70000].forEach((size) => {
+    test(`a masked ${size} byte frame parses`, () => {
+        const payload = Buffer.alloc(size, 'sand ');
+        const bytes = clientFrame(OPCODES.text, payload);
+        const frame = parseFrame(bytes);
+        assert.strictEqual(frame.fin, true);
+        assert.strictEqual(frame.opcode, OPCODES.text);
+        assert.strictEqual(frame.length, bytes.length);
+        assert.deepStrictEqual(frame.payload, payload);
+    });
+
+    test(`a ${size} byte frame encodes with its length`, () => {
+        const payload = Buffer.alloc(size, 'rake ');
+        const bytes = encodeFrame(OPCODES.binary, payload);
+        assert.strictEqual(bytes[0], 0x80 | OPCODES.binary);
+        assert.strictEqual(bytes[1] & 0x80, 0, 'server frames are unmasked');
+        const header = size < 126 ? 2 : size < 65536 ? 4 : 10;
+        assert.strictEqual(bytes.length, header + size);
+        assert.deepStrictEqual(bytes.subarray(header), payload);
+    });
+});
+
+test('a frame split across reads waits for the rest', () => {
+    const bytes = Buffer.concat([clientFrame(OPCODES.text, Buffer.from('hello')), clientFrame(OPCODES.ping, Buffer.alloc(0))]);
+    assert.strictEqual(parseFrame(bytes.subarray(0, 1)), null);
+    assert.strictEqual(parseFrame(bytes.subarray(0, 8)), null);
+
+    const first = parseFrame(bytes);
+    assert.strictEqual(first.payload.toString(), 'hello');
+    const second = parseFrame(bytes.subarray(first.length));
+    assert.strictEqual(second.opcode, OPCODES.ping);
+    assert.strictEqual(second.length, bytes.length - first.length);
+});
+
+test('fragments keep their fin bit', () => {
+    const frame = parseFrame(clientFrame(OPCODES.text, Buffer.from('gar'), false));
+    assert.strictEqual(frame.fin, false);
+    assert.strictEqual(parseFrame(clientFrame(OPCODES.continuation, Buffer.from('den'))).opcode, OPCODES.continuation);
+});
+
+test('unmasked and oversized frames are refused', () => {
+    assert.throws(() => parseFrame(encodeFrame(OPCODES.text, Buffer.from('hi'))), /Unmasked/);
+    const huge = Buffer.alloc(10);
+    huge[0] = 0x80 | OPCODES.binary;
+    huge[1] = 0x80 | 127;
+    huge.writeBigUInt64BE(BigInt(MAX_MESSAGE + 1), 2);
+    assert.throws(() => parseFrame(huge), /too large/);
+});
+
+test('an encoded frame parses back once masked', () => {
+    const payload = Buffer.from(JSON.stringify({ type: 'op', command: 'stroke' }));
+    const encoded = encodeFrame(OPCODES.text, payload);
+    const frame = parseFrame(clientFrame(encoded[0] & 0x0F, encoded.subarray(2)));
+    assert.deepStrictEqual(frame.payload, payload);
+});
+
+// A client as upgrade() keeps it, with a socket that records what is sent
+function fakeClient(buffer) {
+    const sent = [];
+    const socket = {
+        write: (bytes) => sent.push(bytes),
+        end: (bytes) => sent.push(bytes)
+    };
+    return { socket, sent, room: 'test', buffer, fragments: [], fragmentBytes: 0, closed: false };
+}
+
+test('fragments adding up past the limit close the connection with 1009', () => {
+    const half = Buffer.alloc(MAX_MESSAGE / 2 + 1, 'a');
+    const client = fakeClient(Buffer.concat([
+        clientFrame(OPCODES.text, half, false),
+        clientFrame(OPCODES.continuation, half, false),
+        clientFrame(OPCODES.continuation, Buffer.from('!'))
+    ]));
+    readFrames(client);
+
+    assert.strictEqual(client.closed, true);
+    assert.strictEqual(client.fragments.length, 0);
+    assert.strictEqual(client.sent.length, 1);
+    const close = client.sent[0];
+    assert.strictEqual(close[0], 0x80 | OPCODES.close);
+    assert.strictEqual(close[1], 2);
+    assert.strictEqual(close.readUInt16BE(2), 1009);
+});
+
+test('pings are answered between the fragments of a message', () => {
+    const client = fakeClient(Buffer.concat([
+        clientFrame(OPCODES.text, Buffer.from('gar'), false),
+        clientFrame(OPCODES.ping, Buffer.from('?'))
+    ]));
+    readFrames(client);
+
+    assert.strictEqual(client.closed, false);
+    assert.strictEqual(client.fragmentBytes, 3);
+    assert.deepStrictEqual(client.sent, [encodeFrame(OPCODES.pong, Buffer.from('?'))]);
+});
+
+// Resolves with the status serveFile answers a path with
+function statusFor(pathname) {
+    return new Promise((resolve) => {
+        let status = 0;
+        serveFile({ url: pathname }, {
+            writeHead: (code) => { status = code; },
+            end: () => resolve(status)
+        });
+    });
+}
+
+test('only the files the service worker caches are served', async () => {
+    for (const pathname of ['/', '/index.html', '/app.js', '/icons/icon-192.png', '/service-worker.js']) {
+        assert.strictEqual(await statusFor(pathname), 200, pathname);
+    }
+    for (const pathname of ['/sand-relay.js', '/package.json', '/test/relay.test.js', '/.git/config', '/../etc/passwd']) {
+        assert.strictEqual(await statusFor(pathname), 404, pathname);
+    }
+});
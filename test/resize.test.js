@@ -0,0 +1,66 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const SandGarden = require('../sand-garden.js');
+
+// The lowest cell, as a fraction of the garden's radius from its center
+function deepest(garden) {
+    const heights = garden.getHeightMap();
+    let lowest = 0;
+    for (let i = 1; i < heights.length; i++) {
+        if (heights[i] < heights[lowest]) lowest = i;
+    }
+    const x = lowest % garden.gridWidth;
+    const y = (lowest - x) / garden.gridWidth;
+    return {
+        x: ((x + 0.5) * garden.resolution - garden.halfWidth) / garden.radius,
+        y: ((y + 0.5) * garden.resolution - garden.halfHeight) / garden.radius
+    };
+}
+
+function dugGarden(radius) {
+    const garden = SandGarden.create({ radius });
+    garden.setRotationSpeed(0);
+    for (let i = 0; i < 6; i++) garden.dig(radius * 0.3, -radius * 0.4);
+    garden.addStone({ x: -radius * 0.5, y: radius * 0.2, rx: radius * 0.1, ry: radius * 0.08 });
+    return garden;
+}
+
+[[150, 90], [90, 150]].forEach(([from, to]) => {
+    test(`a garden resized from radius ${from} to ${to} keeps its sand and work`, () => {
+        const garden = dugGarden(from);
+        const saved = garden.snapshot();
+        const resized = SandGarden.create({ radius: to });
+        resized.restore(saved);
+
+        // Sand scales with the grid's area, exactly
+        const areaRatio = (resized.gridWidth * resized.gridHeight) / (garden.gridWidth * garden.gridHeight);
+        assert.ok(Math.abs(resized.totalMass() - saved.totalMass * areaRatio) < 1e-3);
+        assert.ok(Math.abs(resized.massAudit().drift) < 1e-3);
+
+        const hole = deepest(garden);
+        const moved = deepest(resized);
+        const cell = 2 * Math.max(garden.resolution / garden.radius, resized.resolution / resized.radius);
+        assert.ok(Math.abs(hole.x - moved.x) <= cell && Math.abs(hole.y - moved.y) <= cell,
+            `hole at ${JSON.stringify(moved)}, was ${JSON.stringify(hole)}`);
+
+        const stone = resized.getStones()[0];
+        assert.ok(Math.abs(stone.x - to * -0.5) < 1e-9);
+        assert.ok(Math.abs(stone.rx - to * 0.1) < 1e-9);
+    });
+});
+
+test('resampling keeps a level grid level and a slope a slope', () => {
+    const level = SandGarden.resampleGrid(new Float32Array(16).fill(3), 4, 4, 7, 7);
+    assert.ok(level.every((h) => Math.abs(h - 3) < 1e-6));
+
+    const ramp = new Float32Array(16).map((h, i) => i % 4);
+    const wider = SandGarden.resampleGrid(ramp, 4, 4, 8, 4);
+    for (let x = 1; x < 8; x++) {
+        assert.ok(wider[x] >= wider[x - 1]);
+    }
+    assert.strictEqual(wider[0], 0);
+    assert.strictEqual(wider[7], 3);
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const SandGarden = require('../sand-garden.js');
+const SandSerializer = require('../sand-serializer.js');
+
+function tendedGarden() {
+    const garden = SandGarden.create({ radius: 80, shape: 'hexagon' });
+    garden.addStone({ x: 20, y: -10, rx: 12, ry: 9, rotation: 0.5, tone: 0.3 });
+    for (let i = 0; i < 120; i++) {
+        if (i % 10 === 0) garden.stroke('rake', -40, -30 + i / 4, 40, 20, { pressure: 1, size: 1 });
+        garden.step(SandGarden.STEP_SECONDS);
+    }
+    return garden;
+}
+
+test('encode and decode keep the garden to within half a step', async () => {
+    const snapshot = tendedGarden().snapshot();
+    const bytes = await SandSerializer.encode(snapshot, { extras: { note: 'raked' } });
+    const decoded = await SandSerializer.decode(bytes);
+
+    ['radius', 'resolution', 'gridWidth', 'gridHeight', 'bladeAngle', 'rotationSpeed', 'initialMass'].forEach((key) => {
+        assert.strictEqual(decoded[key], snapshot[key], key);
+    });
+    assert.deepStrictEqual(decoded.shape, snapshot.shape);
+    assert.deepStrictEqual(decoded.stones, snapshot.stones);
+    assert.deepStrictEqual(decoded.extras, { note: 'raked' });
+
+    assert.strictEqual(decoded.heightMap.length, snapshot.heightMap.length);
+    let worst = 0;
+    snapshot.heightMap.forEach((h, i) => {
+        worst = Math.max(worst, Math.abs(decoded.heightMap[i] - h));
+    });
+    assert.ok(worst <= decoded.step / 2 + 1e-6, `off by ${worst}`);
+});
+
+test('a decoded garden restores', async () => {
+    const garden = tendedGarden();
+    const decoded = await SandSerializer.decode(await SandSerializer.encode(garden.snapshot()));
+    const copy = SandGarden.create({ radius: 80, shape: 'hexagon' });
+    copy.restore(decoded);
+    assert.deepStrictEqual(copy.getStones(), garden.getStones());
+    // Restoring spreads what quantization lost back over the sand
+    assert.ok(Math.abs(copy.totalMass() - garden.totalMass()) < 1e-3);
+    const heights = garden.getHeightMap();
+    copy.getHeightMap().forEach((h, i) => {
+        assert.ok(Math.abs(h - heights[i]) <= decoded.step, `cell ${i}`);
+    });
+});
+
+test('base64url text round-trips the bytes', async () => {
+    const bytes = await SandSerializer.encode(tendedGarden().snapshot());
+    const text = SandSerializer.toBase64Url(bytes);
+    assert.match(text, /^[A-Za-z0-9_-]*$/);
+    assert.deepStrictEqual(SandSerializer.fromBase64Url(text), bytes);
+});
+
+test('other files are refused', async () => {
+    await assert.rejects(SandSerializer.decode(new Uint8Array(16)), /Not a sand garden file/);
+});
@@ -0,0 +1,99 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const SandSettings = require('../sand-settings.js');
+
+function field(key) {
+    return SandSettings.SCHEMA.find((f) => f.key === key);
+}
+
+test('ranges are clamped, snapped to their step and read from text', () => {
+    const grain = field('sand.grain');
+    assert.strictEqual(SandSettings.normalize(grain, 0.32), 0.3);
+    assert.strictEqual(SandSettings.normalize(grain, 7), 0.5);
+    assert.strictEqual(SandSettings.normalize(grain, -1), 0);
+    assert.strictEqual(SandSettings.normalize(grain, '0.15'), 0.15);
+    assert.strictEqual(SandSettings.normalize(grain, NaN), undefined);
+    assert.strictEqual(SandSettings.normalize(grain, Infinity), undefined);
+    assert.strictEqual(SandSettings.normalize(grain, 'lots'), undefined);
+    assert.strictEqual(SandSettings.normalize(grain, null), undefined);
+});
+
+test('selects only take their options, matched as text', () => {
+    const resolution = field('simulation.gridResolution');
+    assert.strictEqual(SandSettings.normalize(resolution, '3'), 3);
+    assert.strictEqual(SandSettings.normalize(resolution, 7), undefined);
+    const reverse = field('blade.reverse');
+    assert.strictEqual(SandSettings.normalize(reverse, 'true'), true);
+    assert.strictEqual(SandSettings.normalize(field('blade.layout'), '__proto__'), undefined);
+});
+
+test('colors come in either form and leave in the field\'s own', () => {
+    const sand = field('sand.baseColor');
+    const frame = field('garden.frameColor');
+    assert.deepStrictEqual(SandSettings.normalize(sand, '#FF8000'), { r: 255, g: 128, b: 0 });
+    assert.deepStrictEqual(SandSettings.normalize(sand, { r: 1, g: 2, b: 3, a: 9 }), { r: 1, g: 2, b: 3 });
+    assert.strictEqual(SandSettings.normalize(frame, { r: 255, g: 128, b: 0 }), '#ff8000');
+    assert.strictEqual(SandSettings.normalize(sand, { r: 256, g: 0, b: 0 }), undefined);
+    assert.strictEqual(SandSettings.normalize(sand, { r: 1.5, g: 0, b: 0 }), undefined);
+    assert.strictEqual(SandSettings.normalize(frame, 'red'), undefined);
+    assert.strictEqual(SandSettings.normalize(frame, '#12345'), undefined);
+});
+
+test('decoding keeps known, valid settings and falls back for the rest', () => {
+    const bytes = new TextEncoder().encode(JSON.stringify({
+        version: 1,
+        values: {
+            'sand.grain': 0.2,
+            'touch.radius': 500,
+            'garden.frameColor': 'javascript:alert(1)',
+            'blade.layout': 'cross',
+            'not.a.setting': 42
+        }
+    }));
+    const values = SandSettings.decode(bytes);
+    const defaults = SandSettings.defaults();
+
+    assert.deepStrictEqual(Object.keys(values).sort(), Object.keys(defaults).sort());
+    assert.strictEqual(values['sand.grain'], 0.2);
+    assert.strictEqual(values['touch.radius'], field('touch.radius').max);
+    assert.strictEqual(values['garden.frameColor'], defaults['garden.frameColor']);
+    assert.strictEqual(values['blade.layout'], 'cross');
+    assert.ok(!('not.a.setting' in values));
+});
+
+test('decoding survives missing values and refuses newer versions and bad JSON', () => {
+    const encode = (saved) => new TextEncoder().encode(JSON.stringify(saved));
+    assert.deepStrictEqual(SandSettings.decode(encode({ version: 1 })), SandSettings.defaults());
+    assert.deepStrictEqual(SandSettings.decode(encode({ version: 1, values: null })), SandSettings.defaults());
+    assert.throws(() => SandSettings.decode(encode({ version: 99, values: {} })), /newer version/);
+    assert.throws(() => SandSettings.decode(new TextEncoder().encode('{not json')));
+});
+
+test('settings round-trip through storage', () => {
+    const values = SandSettings.preset('kyoto');
+    assert.deepStrictEqual(SandSettings.decode(SandSettings.encode(values)), values);
+});
+
+test('every preset holds valid values only', () => {
+    SandSettings.PRESETS.forEach((preset) => {
+        const values = SandSettings.preset(preset.name);
+        Object.keys(preset.values).forEach((key) => {
+            const valid = SandSettings.normalize(field(key), preset.values[key]);
+            assert.notStrictEqual(valid, undefined, `${preset.name}: ${key}`);
+            assert.deepStrictEqual(values[key], valid, `${preset.name}: ${key}`);
+            // Nothing was clamped or snapped
+            assert.strictEqual(JSON.stringify(valid).toLowerCase(), JSON.stringify(preset.values[key]).toLowerCase(), `${preset.name}: ${key}`);
+        });
+    });
+});
+
+test('settings become config for the module they belong to', () => {
+    const values = SandSettings.set(SandSettings.defaults(), 'touch.radius', 30);
+    const garden = SandSettings.toConfig(values, 'garden');
+    assert.strictEqual(garden.touch.radius, 30);
+    assert.ok(!('sand' in garden));
+    assert.ok('sand' in SandSettings.toConfig(values, 'renderer'));
+});
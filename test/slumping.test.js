@@ -0,0 +1,62 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const SandGarden = require('../sand-garden.js');
+
+// Steepest step between neighbouring cells inside a grid rectangle
+function steepest(garden, x0, y0, x1, y1) {
+    const heights = garden.getHeightMap();
+    const width = garden.gridWidth;
+    let steepest = 0;
+    for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+            const index = y * width + x;
+            steepest = Math.max(steepest,
+                Math.abs(heights[index] - heights[index + 1]),
+                Math.abs(heights[index] - heights[index + width]));
+        }
+    }
+    return steepest;
+}
+
+// A deep hole away from the stopped blade, and the cells around it
+function dugGarden(simulation) {
+    const garden = SandGarden.create({ radius: 80, config: { simulation } });
+    garden.setRotationSpeed(0);
+    for (let i = 0; i < 8; i++) garden.dig(0, -40);
+    const x = Math.round(garden.gridWidth / 2);
+    const y = Math.round(garden.gridHeight / 2 - 40 / garden.resolution);
+    return { garden, box: [x - 15, y - 15, x + 15, y + 15] };
+}
+
+test('holes slump towards the angle of repose without losing sand', () => {
+    const { garden, box } = dugGarden({});
+    const repose = Math.tan(garden.config.simulation.angleOfRepose * Math.PI / 180) * garden.resolution;
+    assert.ok(steepest(garden, ...box) > 1.5 * repose, 'the dig leaves a cliff');
+
+    const before = garden.totalMass();
+    for (let i = 0; i < 300; i++) garden.step(SandGarden.STEP_SECONDS);
+
+    assert.ok(steepest(garden, ...box) < 1.1 * repose, `still ${steepest(garden, ...box)} against ${repose}`);
+    assert.ok(Math.abs(garden.totalMass() - before) < 1e-3);
+    assert.ok(Math.abs(garden.massAudit().drift) < 1e-3);
+});
+
+test('no slumping passes leave the cliff', () => {
+    const { garden, box } = dugGarden({ slumpIterations: 0 });
+    const cliff = steepest(garden, ...box);
+    for (let i = 0; i < 300; i++) garden.step(SandGarden.STEP_SECONDS);
+    assert.strictEqual(steepest(garden, ...box), cliff);
+});
+
+test('a shallower angle of repose flattens further', () => {
+    const steep = dugGarden({ angleOfRepose: 40 });
+    const shallow = dugGarden({ angleOfRepose: 15 });
+    for (let i = 0; i < 300; i++) {
+        steep.garden.step(SandGarden.STEP_SECONDS);
+        shallow.garden.step(SandGarden.STEP_SECONDS);
+    }
+    assert.ok(steepest(shallow.garden, ...shallow.box) < steepest(steep.garden, ...steep.box));
+});
@@ -0,0 +1,207 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const SandGarden = require('../sand-garden.js');
+const SandRecorder = require('../sand-recorder.js');
+const SandSerializer = require('../sand-serializer.js');
+const SandSync = require('../sand-sync.js');
+
+const STROKE = { tool: 'rake', contact: { pressure: 1, size: 1 } };
+
+function rake(x) {
+    return Object.assign({ x0: x, y0: -30, x1: x, y1: 30 }, STROKE);
+}
+
+// Transports linked through a queue, so a test decides when messages
+// arrive. Messages go through JSON, as they would over a relay.
+function createHub() {
+    const transports = [];
+    const queue = [];
+    return {
+        transport() {
+            const transport = {
+                onMessage: null,
+                onOpen: null,
+                send: (message) => queue.push({ from: transport, json: JSON.stringify(message) }),
+                close() {}
+            };
+            transports.push(transport);
+            return transport;
+        },
+        // Delivers until nothing is left. Snapshots are compressed and
+        // decompressed off the main thread, so quiet is waited out.
+        async flush() {
+            for (let idle = 0; idle < 20; idle = queue.length ? 0 : idle + 1) {
+                while (queue.length) {
+                    const { from, json } = queue.shift();
+                    transports.forEach((transport) => {
+                        if (transport !== from) transport.onMessage(JSON.parse(json));
+                    });
+                }
+                await new Promise((resolve) => setTimeout(resolve, 5));
+            }
+        }
+    };
+}
+
+// A screen: its garden, sync, and what it was sent
+function createScreen(hub) {
+    const screen = { garden: SandGarden.create({ radius: 60 }), snapshots: 0, resyncs: 0 };
+    screen.perform = (type, data) => {
+        screen.sync.share(type, data);
+        screen.garden = SandRecorder.apply(screen.garden, type, data);
+    };
+    const transport = hub.transport();
+    screen.sync = SandSync.create({
+        transport,
+        garden: () => screen.garden,
+        onOperation: (type, data) => {
+            screen.garden = SandRecorder.apply(screen.garden, type, data);
+        },
+        onBlade: (state) => screen.garden.setBladeState(state),
+        onSnapshot: (bytes, resync) => SandSerializer.decode(bytes).then((saved) => {
+            if (resync) screen.resyncs++;
+            else screen.snapshots++;
+            screen.garden.restore(saved);
+        })
+    });
+    transport.onOpen();
+    return screen;
+}
+
+function worstDifference(a, b) {
+    const first = a.getHeightMap();
+    const second = b.getHeightMap();
+    let worst = 0;
+    for (let i = 0; i < first.length; i++) {
+        worst = Math.max(worst, Math.abs(first[i] - second[i]));
+    }
+    return worst;
+}
+
+// Stands in for the browser's WebSocket: the test plays the relay
+class FakeSocket {
+    constructor(url) {
+        this.url = url;
+        this.readyState = FakeSocket.OPEN;
+        this.listeners = {};
+        FakeSocket.last = this;
+    }
+
+    addEventListener(type, listener) {
+        this.listeners[type] = listener;
+    }
+
+    close() {}
+
+    emit(type, event) {
+        this.listeners[type](event);
+    }
+}
+FakeSocket.OPEN = 1;
+
+test('a websocket frame that is not JSON is dropped', (t) => {
+    t.mock.method(console, 'log', () => {});
+    global.WebSocket = FakeSocket;
+    t.after(() => delete global.WebSocket);
+
+    const transport = SandSync.websocketTransport('ws://relay', 'pond');
+    const received = [];
+    transport.onMessage = (message) => received.push(message);
+    const socket = FakeSocket.last;
+    assert.strictEqual(socket.url, 'ws://relay?room=pond');
+
+    socket.emit('message', { data: '{"type":"op",' });
+    socket.emit('message', { data: 'not json' });
+    socket.emit('message', { data: JSON.stringify({ type: 'here', peer: 'a' }) });
+    assert.deepStrictEqual(received, [{ type: 'here', peer: 'a' }]);
+    transport.close();
+});
+
+test('commands are replayed on a joining garden after those it was taken with', async () => {
+    const garden = SandGarden.create({ radius: 60 });
+    const sent = [];
+    const performed = [];
+    let loaded;
+    const transport = { send: (message) => sent.push(message), close() {} };
+    const sync = SandSync.create({
+        transport,
+        garden: () => garden,
+        onOperation: (type, data) => performed.push(Math.round(data.x0)),
+        onBlade() {},
+        onSnapshot: () => new Promise((resolve) => { loaded = resolve; })
+    });
+    const op = (seq) => ({ type: 'op', peer: 'lead', seq, command: 'stroke', data: SandSync.scale('stroke', rake(seq), 1 / 60) });
+
+    transport.onOpen();
+    transport.onMessage({ type: 'welcome', peer: 'lead', to: sync.peer, since: 0, joined: true, leader: 'lead' });
+    assert.deepStrictEqual(sent.map((message) => message.type), ['hello', 'request']);
+    assert.strictEqual(sent[1].to, 'lead');
+
+    // Asked, not yet answered: commands still land on the garden here
+    transport.onMessage(op(1));
+    transport.onMessage(op(2));
+    transport.onMessage(op(3));
+    assert.deepStrictEqual(performed, [1, 2, 3]);
+
+    // The garden sent holds commands up to 2; while it loads, 4 waits
+    const bytes = await SandSerializer.encode(SandGarden.create({ radius: 60 }).snapshot());
+    transport.onMessage({ type: 'snapshot', peer: 'lead', to: sync.peer, garden: SandSerializer.toBase64Url(bytes), applied: { lead: 2 } });
+    await new Promise((resolve) => setImmediate(resolve));
+    transport.onMessage(op(4));
+    assert.deepStrictEqual(performed, [1, 2, 3]);
+
+    loaded();
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.deepStrictEqual(performed, [1, 2, 3, 3, 4]);
+});
+
+test('a late screen takes the leader\'s garden and follows its strokes', async () => {
+    const hub = createHub();
+    const first = createScreen(hub);
+    first.sync.tick(SandSync.DEFAULTS.peerTimeout + 1);
+    [-30, -10, 10].forEach((x) => first.perform('stroke', rake(x)));
+    await hub.flush();
+
+    const late = createScreen(hub);
+    await hub.flush();
+    assert.strictEqual(late.snapshots, 1);
+    assert.strictEqual(first.snapshots, 0);
+    assert.ok(first.sync.leading);
+    assert.ok(!late.sync.leading);
+
+    first.perform('stroke', rake(30));
+    late.perform('stroke', rake(-45));
+    await hub.flush();
+    // As far apart as the snapshot's quantized heights
+    assert.ok(worstDifference(first.garden, late.garden) < 0.01, 'gardens apart');
+});
+
+test('a screen that drifts from the leader asks for its heights', async () => {
+    const hub = createHub();
+    const first = createScreen(hub);
+    first.sync.tick(SandSync.DEFAULTS.peerTimeout + 1);
+    const late = createScreen(hub);
+    await hub.flush();
+
+    // In step, the leader's heartbeat asks for nothing
+    const tick = async () => {
+        first.sync.tick(SandSync.DEFAULTS.heartbeat);
+        late.sync.tick(SandSync.DEFAULTS.heartbeat);
+        await hub.flush();
+    };
+    await tick();
+    assert.strictEqual(late.resyncs, 0);
+
+    late.garden.dig(0, 0, 20, 3);
+    assert.ok(worstDifference(first.garden, late.garden) > 0.1);
+    await tick();
+    assert.strictEqual(late.resyncs, 1);
+    assert.strictEqual(first.resyncs, 0);
+    assert.ok(worstDifference(first.garden, late.garden) < 0.01, 'heights not taken');
+
+    await tick();
+    assert.strictEqual(late.resyncs, 1);
+});
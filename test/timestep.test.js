@@ -0,0 +1,32 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const SandGarden = require('../sand-garden.js');
+
+// Four seconds of blade over a row of holes, in steps of the given length
+function run(seconds) {
+    const garden = SandGarden.create({ radius: 100 });
+    for (let i = 0; i < 10; i++) garden.dig(-30 + i * 6, 20);
+    const steps = Math.round(4 / seconds);
+    for (let i = 0; i < steps; i++) garden.step(seconds);
+    return garden;
+}
+
+function meanDifference(a, b) {
+    const x = a.getHeightMap();
+    const y = b.getHeightMap();
+    let sum = 0;
+    for (let i = 0; i < x.length; i++) sum += Math.abs(x[i] - y[i]);
+    return sum / x.length;
+}
+
+test('the blade does the same work in shorter or longer steps', () => {
+    const reference = run(SandGarden.STEP_SECONDS);
+    [SandGarden.STEP_SECONDS / 2, SandGarden.STEP_SECONDS * 2].forEach((seconds) => {
+        const garden = run(seconds);
+        assert.ok(Math.abs(garden.bladeAngle - reference.bladeAngle) < 1e-9);
+        assert.ok(meanDifference(garden, reference) < 0.002, `${seconds}: ${meanDifference(garden, reference)}`);
+    });
+});